@@ -1,95 +1,853 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
-import { Music, Upload, Play, Pause, Volume2, SkipBack, SkipForward } from 'lucide-react'
+import { toast } from 'sonner'
+import { Music, Upload, Play, Pause, Volume2, SkipBack, SkipForward, BarChart3, GripVertical, Pencil, Tags } from 'lucide-react'
 import AudioPlayer from './components/AudioPlayer'
 import AudioUploader from './components/AudioUploader'
+import StorageManager from './components/StorageManager'
+import PlaylistManager from './components/PlaylistManager'
+import AddToPlaylistMenu from './components/AddToPlaylistMenu'
+import SmartPlaylistEditor from './components/SmartPlaylistEditor'
+import StatsDashboard from './components/StatsDashboard'
+import ResumePrompt from './components/ResumePrompt'
+import DuplicateTrackDialog from './components/DuplicateTrackDialog'
+import TrashView from './components/TrashView'
+import TrackArtwork from './components/TrackArtwork'
+import TagEditorDialog from './components/TagEditorDialog'
+import { Toaster } from './components/ui/sonner'
+import RemotePlaybackNotice from './components/RemotePlaybackNotice'
+import { useStorageQuota } from './hooks/use-storage-quota'
+import { useTabSync } from './hooks/use-tab-sync'
+import { useEditHistory } from './hooks/use-edit-history'
+import { useTrackAnalysis } from './hooks/use-track-analysis'
+import { saveAudioBlob, deleteAudioBlob, getAudioUrl, createAudioUrl, addHistoryEntry, saveArtwork, deleteArtwork, saveLyrics, deleteLyrics, saveEmbeddedLyrics, deleteEmbeddedLyrics, subscribeToDatabaseBlocked } from './lib/audio-store'
+import { loadStorageData, updateStorageData, withRuntimeFields } from './lib/storage'
+import { hashStoredAudio, findDuplicateTrack, createCopyId } from './lib/content-hash'
+import { readStoredAudioTags, getTrackTitle } from './lib/metadata'
+import { readStoredArtwork, createThumbnail } from './lib/metadata/artwork'
+import { readStoredEmbeddedLyrics } from './lib/metadata/embedded-lyrics'
+import { readStoredChapters } from './lib/metadata/chapters'
+import { applyTagChanges } from './lib/metadata/tag-editor'
+import { createTaggedFile } from './lib/metadata/id3-writer'
+import { DEFAULT_FILENAME_PATTERNS } from './lib/metadata/filename-patterns'
+import { findTrackForLyrics } from './lib/lyrics'
+import { NORMALIZATION_MODES, DEFAULT_NORMALIZATION_MODE, getNormalizationGain } from './lib/loudness'
+import { getCamelotCode } from './lib/musical-key'
+import { SILENCE_THRESHOLD_OPTIONS, DEFAULT_SILENCE_THRESHOLD } from './lib/silence'
+import { downloadBlob } from './lib/audio-utils'
+import {
+  createPlaylist,
+  renamePlaylist,
+  duplicatePlaylist,
+  addTracksToPlaylist,
+  removeTracksFromPlaylist,
+  moveTrackById,
+  sortPlaylist,
+  playlistHasTrack,
+  setPlaylistCurrentTrack,
+  getPlaylistCurrentTrack,
+  setPlaylistModes,
+  setSmartDefinition,
+  resolvePlaylistTracks,
+  keepCurrentTrack
+} from './lib/playlists'
+import { SMART_FIELDS, SMART_SORT_DIRECTIONS } from './lib/smart-playlists'
+import {
+  SESSION_SAVE_INTERVAL,
+  parsePlaybackSession,
+  parseResumePoints,
+  pruneResumePoints,
+  createPlaybackSession,
+  isResumablePosition,
+  updateResumePoints,
+  clearResumePoint,
+  getResumePosition
+} from './lib/playback-session'
+import { createEdit, applyChanges } from './lib/edit-history'
+import {
+  DEFAULT_RETENTION_DAYS,
+  TRASH_SWEEP_INTERVAL,
+  isTrashed,
+  moveToTrash,
+  restoreFromTrash,
+  getExpiredTracks
+} from './lib/trash'
+
+const DEFAULT_PLAYBACK_MODES = { shuffle: false, repeat: 'none' }
 
 function App() {
-  const [currentTrack, setCurrentTrack] = useState(null)
-  const [playlist, setPlaylist] = useState([])
+  const [library, setLibrary] = useState([])
+  const [playlists, setPlaylists] = useState([])
+  const [activePlaylistId, setActivePlaylistId] = useState(null)
+  const [libraryModes, setLibraryModes] = useState(DEFAULT_PLAYBACK_MODES)
+  const [currentTrackId, setCurrentTrackId] = useState(null)
   const [isPlaying, setIsPlaying] = useState(false)
-  const [currentTime, setCurrentTime] = useState(0)
-  const [duration, setDuration] = useState(0)
-  const [volume, setVolume] = useState(0.7)
   const [showUploader, setShowUploader] = useState(false)
+  const [smartEditor, setSmartEditor] = useState({ open: false, playlistId: null })
+  const [showStats, setShowStats] = useState(false)
+  const [volumeSettings, setVolumeSettings] = useState({ volume: 1, isMuted: false })
+  const [resumeSession, setResumeSession] = useState(null)
+  const [pendingDuplicates, setPendingDuplicates] = useState([])
+  const [showTrash, setShowTrash] = useState(false)
+  const [trashRetentionDays, setTrashRetentionDays] = useState(DEFAULT_RETENTION_DAYS)
+  const [filenamePatterns, setFilenamePatterns] = useState(DEFAULT_FILENAME_PATTERNS)
+  const [normalizationMode, setNormalizationMode] = useState(DEFAULT_NORMALIZATION_MODE)
+  const [silenceThreshold, setSilenceThreshold] = useState(DEFAULT_SILENCE_THRESHOLD)
+  const [selectedTrackIds, setSelectedTrackIds] = useState([])
+  const [tagEditorTrackIds, setTagEditorTrackIds] = useState(null)
+  const hasLoadedTracks = useRef(false)
+  const libraryRef = useRef([])
+  const skipNextSave = useRef(false)
+  const playerRef = useRef(null)
+  const resumePointsRef = useRef({})
+  const playbackPositionRef = useRef({ trackId: null, position: 0, duration: 0 })
+  const lastSessionSaveRef = useRef(0)
+  const draggedTrackId = useRef(null)
+  const { quota, isPersisted, refresh: refreshQuota, requestPersistence } = useStorageQuota()
+
+  // Trashed tracks stay in `library` (and their playlists) until purged, but
+  // everything except the Trash view works from `activeTracks`
+  const activeTracks = useMemo(() => library.filter(track => !isTrashed(track)), [library])
+  const trashedTracks = useMemo(() => library.filter(isTrashed), [library])
+  const tagEditorTracks = useMemo(
+    () => (tagEditorTrackIds ? library.filter(track => tagEditorTrackIds.includes(track.id)) : []),
+    [library, tagEditorTrackIds]
+  )
 
-  // Load saved tracks from localStorage on mount
+  // The active playlist, or null when playing straight from the library
+  const activePlaylist = playlists.find(playlist => playlist.id === activePlaylistId) || null
+  // Smart playlists are re-evaluated as the library changes, but keep the
+  // playing track until playback moves on
+  const previousQueueRef = useRef([])
+  const queue = useMemo(() => {
+    if (!activePlaylist) return activeTracks
+    const resolved = resolvePlaylistTracks(activePlaylist, activeTracks)
+    if (!activePlaylist.smart) return resolved
+    return keepCurrentTrack(resolved, previousQueueRef.current, activeTracks.find(track => track.id === currentTrackId))
+  }, [activePlaylist, activeTracks, currentTrackId])
   useEffect(() => {
-    const savedTracks = localStorage.getItem('audioTracks')
-    if (savedTracks) {
-      try {
-        const parsedTracks = JSON.parse(savedTracks)
-        setPlaylist(parsedTracks)
-        if (parsedTracks.length > 0 && !currentTrack) {
-          setCurrentTrack(parsedTracks[0])
-        }
-      } catch (error) {
-        console.error('Failed to load saved tracks:', error)
+    previousQueueRef.current = queue
+  }, [queue])
+  const trackCounts = useMemo(
+    () => Object.fromEntries(playlists.map(playlist => [playlist.id, resolvePlaylistTracks(playlist, activeTracks).length])),
+    [playlists, activeTracks]
+  )
+  const manualPlaylists = playlists.filter(playlist => !playlist.smart)
+  const canReorder = !!activePlaylist && !activePlaylist.smart
+  const currentTrack = library.find(track => track.id === currentTrackId) || null
+  const currentTrackIndex = queue.findIndex(track => track.id === currentTrackId)
+  const normalizationGain = useMemo(
+    () => getNormalizationGain(currentTrack, library, normalizationMode),
+    [currentTrack, library, normalizationMode]
+  )
+  const playbackModes = activePlaylist
+    ? { shuffle: activePlaylist.shuffle, repeat: activePlaylist.repeat }
+    : libraryModes
+
+  const handleApplyEdit = (edit, side) => {
+    setLibrary(prev => applyChanges(prev, edit.tracks, side))
+    setPlaylists(prev => applyChanges(prev, edit.playlists, side))
+
+    if (side === 'before') {
+      toast(`Undone: ${edit.label}`, { action: { label: 'Redo', onClick: () => redo() } })
+    } else {
+      toast(`Redone: ${edit.label}`)
+    }
+  }
+
+  const { record, undo, redo, forget } = useEditHistory(handleApplyEdit)
+
+  // Permanently remove tracks, their playlist entries and their stored audio
+  const purgeTracks = useCallback((trackIds) => {
+    if (trackIds.length === 0) return
+
+    setLibrary(prev => prev.filter(track => !trackIds.includes(track.id)))
+    setPlaylists(prev => prev.map(playlist => removeTracksFromPlaylist(playlist, trackIds)))
+    forget(trackIds)
+
+    Promise.all(trackIds.map(id => Promise.all([deleteAudioBlob(id), deleteArtwork(id), deleteLyrics(id), deleteEmbeddedLyrics(id)]).catch(error => {
+      console.error('Failed to delete stored audio:', error)
+    }))).finally(refreshQuota)
+  }, [refreshQuota, forget])
+
+  // An older version of the player open in another tab holds up the
+  // stored audio until it is closed
+  useEffect(() => subscribeToDatabaseBlocked(() => {
+    toast.error('Close the player in other tabs to finish updating its storage', { id: 'database-blocked' })
+  }), [])
+
+  // Load saved library, playlists and the last session on mount
+  useEffect(() => {
+    const { audioFiles, playlists: savedPlaylists, settings, lastPlayed } = loadStorageData()
+    const session = parsePlaybackSession(settings.session)
+    resumePointsRef.current = pruneResumePoints(
+      parseResumePoints(settings.resumePoints),
+      audioFiles.map(track => track.id)
+    )
+    setLibrary(audioFiles)
+    setPlaylists(savedPlaylists)
+
+    const retentionDays = settings.trashRetentionDays || DEFAULT_RETENTION_DAYS
+    setTrashRetentionDays(retentionDays)
+    purgeTracks(getExpiredTracks(audioFiles, retentionDays).map(track => track.id))
+
+    if (savedPlaylists.some(playlist => playlist.id === settings.activePlaylistId)) {
+      setActivePlaylistId(settings.activePlaylistId)
+    }
+    if (settings.libraryPlayback) {
+      setLibraryModes({ ...DEFAULT_PLAYBACK_MODES, ...settings.libraryPlayback })
+    }
+    if (NORMALIZATION_MODES.includes(settings.normalization)) {
+      setNormalizationMode(settings.normalization)
+    }
+    if (SILENCE_THRESHOLD_OPTIONS.includes(settings.silenceThreshold)) {
+      setSilenceThreshold(settings.silenceThreshold)
+    }
+    if (Array.isArray(settings.filenamePatterns)) {
+      setFilenamePatterns(settings.filenamePatterns.filter(pattern => typeof pattern === 'string'))
+    }
+    if (session) {
+      setVolumeSettings({ volume: session.volume, isMuted: session.muted })
+    }
+
+    const playableFiles = audioFiles.filter(track => !isTrashed(track))
+    const restoredTrackId = session ? session.trackId : lastPlayed
+    const restoredTrack = playableFiles.find(track => track.id === restoredTrackId)
+    if (restoredTrack) {
+      setCurrentTrackId(restoredTrack.id)
+      if (session && isResumablePosition(session.position, restoredTrack.duration)) {
+        setResumeSession(session)
       }
+    } else if (playableFiles.length > 0) {
+      setCurrentTrackId(playableFiles[0].id)
     }
-  }, [currentTrack])
+    hasLoadedTracks.current = true
 
-  // Save tracks to localStorage whenever playlist changes
+    // Tracks uploaded before content hashing keep their ids, but get a
+    // `contentHash` so re-uploading them is still detected
+    hashStoredAudio(audioFiles.filter(track => !track.contentHash)).then(hashes => {
+      if (Object.keys(hashes).length === 0) return
+      setLibrary(prev => prev.map(track => (hashes[track.id] ? { ...track, contentHash: hashes[track.id] } : track)))
+    }).catch(error => {
+      console.warn('Failed to hash stored audio:', error)
+    })
+
+    // Tracks uploaded before tags were read get them from their stored audio
+    readStoredAudioTags(audioFiles.filter(track => !track.metadata)).then(tags => {
+      if (Object.keys(tags).length === 0) return
+      setLibrary(prev => prev.map(track => (tags[track.id] ? { ...track, metadata: tags[track.id] } : track)))
+    }).catch(error => {
+      console.warn('Failed to read stored tags:', error)
+    })
+
+    // Same for artwork; `hasArtwork: false` marks tracks already scanned
+    const unscannedArtwork = audioFiles.filter(track => track.hasArtwork === undefined)
+    readStoredArtwork(unscannedArtwork).then(async thumbnails => {
+      const scanned = unscannedArtwork.filter(track => track.id in thumbnails)
+      if (scanned.length === 0) return
+      await Promise.all(scanned.map(track => thumbnails[track.id] && saveArtwork(track.id, thumbnails[track.id])))
+      const scannedIds = new Set(scanned.map(track => track.id))
+      setLibrary(prev => prev.map(track => (
+        scannedIds.has(track.id) ? { ...track, hasArtwork: !!thumbnails[track.id] } : track
+      )))
+    }).catch(error => {
+      console.warn('Failed to store artwork:', error)
+    })
+
+    // And for lyrics embedded in the tags
+    const unscannedLyrics = audioFiles.filter(track => track.hasEmbeddedLyrics === undefined)
+    readStoredEmbeddedLyrics(unscannedLyrics).then(async embedded => {
+      const scanned = unscannedLyrics.filter(track => track.id in embedded)
+      if (scanned.length === 0) return
+      await Promise.all(scanned.map(track => embedded[track.id] && saveEmbeddedLyrics(track.id, embedded[track.id])))
+      const scannedIds = new Set(scanned.map(track => track.id))
+      setLibrary(prev => prev.map(track => (
+        scannedIds.has(track.id) ? { ...track, hasEmbeddedLyrics: !!embedded[track.id] } : track
+      )))
+    }).catch(error => {
+      console.warn('Failed to store embedded lyrics:', error)
+    })
+
+    // And for chapters
+    readStoredChapters(audioFiles.filter(track => track.chapters === undefined)).then(chapters => {
+      if (Object.keys(chapters).length === 0) return
+      setLibrary(prev => prev.map(track => (chapters[track.id] ? { ...track, chapters: chapters[track.id] } : track)))
+    }).catch(error => {
+      console.warn('Failed to read stored chapters:', error)
+    })
+  }, [purgeTracks])
+
+  // Measure loudness, tempo, key and silence of new uploads and of tracks
+  // stored before they were measured; a new silence threshold re-measures
+  const handleTrackAnalyzed = useCallback((trackId, changes) => {
+    setLibrary(prev => prev.map(track => (track.id === trackId ? { ...track, ...changes } : track)))
+  }, [])
+  useTrackAnalysis(library, handleTrackAnalyzed, { silenceThreshold })
+
+  const handleTrimSilenceChange = (trackId, enabled) => {
+    setLibrary(prev => prev.map(track => (
+      track.id === trackId ? { ...track, trimSilence: enabled ? undefined : false } : track
+    )))
+  }
+
+  // Uploads arrive one by one from callbacks created before the previous
+  // upload was added, so duplicate checks read the library from a ref
   useEffect(() => {
-    if (playlist.length > 0) {
-      localStorage.setItem('audioTracks', JSON.stringify(playlist))
-    }
-  }, [playlist])
-
-  const handleFileUpload = (files) => {
-    const newTracks = files.map(file => ({
-      id: Date.now() + Math.random(),
-      name: file.name,
-      file: file,
-      url: URL.createObjectURL(file),
-      duration: 0,
-      uploadedAt: new Date().toISOString()
+    libraryRef.current = library
+  }, [library])
+
+  // Save library and playlists whenever they change, except when the change
+  // came from another tab and is already stored
+  useEffect(() => {
+    if (skipNextSave.current) {
+      skipNextSave.current = false
+    } else if (hasLoadedTracks.current) {
+      updateStorageData(data => ({
+        ...data,
+        audioFiles: library,
+        playlists,
+        settings: { ...data.settings, activePlaylistId, libraryPlayback: libraryModes, trashRetentionDays, filenamePatterns, normalization: normalizationMode, silenceThreshold }
+      }))
+    }
+  }, [library, playlists, activePlaylistId, libraryModes, trashRetentionDays, filenamePatterns, normalizationMode, silenceThreshold])
+
+  // Purge expired tracks from the trash while the player stays open; the
+  // same check runs on load
+  useEffect(() => {
+    const sweep = () => purgeTracks(getExpiredTracks(libraryRef.current, trashRetentionDays).map(track => track.id))
+    sweep()
+    const timer = setInterval(sweep, TRASH_SWEEP_INTERVAL)
+    return () => clearInterval(timer)
+  }, [trashRetentionDays, purgeTracks])
+
+  // Remember the selected track so it is restored on the next visit
+  useEffect(() => {
+    if (hasLoadedTracks.current && currentTrackId !== null) {
+      updateStorageData(data => ({ ...data, lastPlayed: currentTrackId }))
+    }
+  }, [currentTrackId])
+
+  // Another tab changed the library or playlists: reload them so neither
+  // tab overwrites the other's edits with stale data
+  const handleRemoteDataChange = () => {
+    const { audioFiles, playlists: savedPlaylists } = loadStorageData()
+    skipNextSave.current = true
+    setLibrary(prev => withRuntimeFields(audioFiles, prev))
+    setPlaylists(savedPlaylists)
+    setActivePlaylistId(prev => (savedPlaylists.some(playlist => playlist.id === prev) ? prev : null))
+  }
+
+  // Only one tab plays at a time; the others pause and show what it plays
+  const { remotePlayback, announcePlayback } = useTabSync({
+    onDataChange: handleRemoteDataChange,
+    onRemotePlay: () => playerRef.current?.pause()
+  })
+
+  const currentTrackTitle = currentTrack ? getTrackTitle(currentTrack) : null
+  useEffect(() => {
+    announcePlayback({ trackId: currentTrackId, trackName: currentTrackTitle, isPlaying })
+  }, [announcePlayback, currentTrackId, currentTrackTitle, isPlaying])
+
+  // Write the current track, position and volume, and the resume point of
+  // the track last reported by the player. Held back while the resume prompt
+  // is open so the saved position is not overwritten before it is used.
+  const persistSession = useCallback(() => {
+    if (!hasLoadedTracks.current || resumeSession || currentTrackId === null) return
+
+    const { trackId, position, duration } = playbackPositionRef.current
+    resumePointsRef.current = updateResumePoints(resumePointsRef.current, trackId, position, duration)
+    lastSessionSaveRef.current = Date.now()
+
+    const session = createPlaybackSession({
+      trackId: currentTrackId,
+      position: trackId === currentTrackId ? position : getResumePosition(resumePointsRef.current, currentTrackId),
+      volume: volumeSettings.volume,
+      muted: volumeSettings.isMuted
+    })
+    updateStorageData(data => ({
+      ...data,
+      settings: { ...data.settings, session, resumePoints: resumePointsRef.current }
     }))
+  }, [currentTrackId, resumeSession, volumeSettings])
+
+  // Save on track and volume changes, on pause and when the page goes away
+  useEffect(() => {
+    persistSession()
+  }, [persistSession])
+
+  useEffect(() => {
+    if (!isPlaying) {
+      persistSession()
+    }
+  }, [isPlaying, persistSession])
+
+  useEffect(() => {
+    window.addEventListener('pagehide', persistSession)
+    return () => window.removeEventListener('pagehide', persistSession)
+  }, [persistSession])
+
+  // Starting playback any other way answers the resume prompt too
+  useEffect(() => {
+    if (isPlaying) {
+      setResumeSession(null)
+    }
+  }, [isPlaying])
+
+  // Stamp the track when playback starts; used by least-recently-played eviction
+  useEffect(() => {
+    if (!isPlaying || currentTrackId === null) return
+    const lastPlayed = new Date().toISOString()
+    setLibrary(prev => prev.map(track => (track.id === currentTrackId ? { ...track, lastPlayed } : track)))
+  }, [isPlaying, currentTrackId])
+
+  // Regenerate the object URL for the current track from its stored audio
+  const currentTrackNeedsUrl = !!currentTrack && !currentTrack.url && !currentTrack.unavailable
+  useEffect(() => {
+    if (!currentTrackNeedsUrl) return
+
+    let cancelled = false
+    const updateTrack = (changes) => {
+      if (cancelled) return
+      setLibrary(prev => prev.map(track => (track.id === currentTrackId ? { ...track, ...changes } : track)))
+    }
+
+    getAudioUrl(currentTrackId)
+      .then(url => updateTrack(url ? { url } : { unavailable: true }))
+      .catch(error => {
+        console.error('Failed to load stored audio:', error)
+        updateTrack({ unavailable: true })
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [currentTrackId, currentTrackNeedsUrl])
+
+  const updatePlaylist = (playlistId, update) => {
+    setPlaylists(prev => prev.map(playlist => (playlist.id === playlistId ? update(playlist) : playlist)))
+  }
+
+  // Apply a user edit to the library and/or playlists and record it so it
+  // can be undone
+  const applyEdit = (label, { library: updateLibrary, playlists: updatePlaylists }) => {
+    const nextLibrary = updateLibrary ? updateLibrary(library) : library
+    const nextPlaylists = updatePlaylists ? updatePlaylists(playlists) : playlists
+    const edit = createEdit(label, { library: [library, nextLibrary], playlists: [playlists, nextPlaylists] })
+
+    setLibrary(nextLibrary)
+    setPlaylists(nextPlaylists)
+    if (record(edit)) {
+      toast(label, { action: { label: 'Undo', onClick: () => undo(edit.id) } })
+    }
+    return edit
+  }
+
+  const editPlaylist = (label, playlistId, update) => {
+    return applyEdit(label, {
+      playlists: prev => prev.map(playlist => (playlist.id === playlistId ? update(playlist) : playlist))
+    })
+  }
+
+  const storeUploadedAudio = (track, { file, artwork, lyrics, embeddedLyrics }) => {
+    saveAudioBlob(track.id, file)
+      .catch(error => {
+        console.error('Failed to store audio for', track.name, error)
+      })
+      .finally(refreshQuota)
+
+    // The track only claims artwork once the thumbnail is stored, so other
+    // tabs never look it up too early
+    const storeArtwork = artwork ? saveArtwork(track.id, artwork) : deleteArtwork(track.id)
+    storeArtwork
+      .then(() => {
+        if (!artwork) return
+        setLibrary(prev => prev.map(item => (item.id === track.id ? { ...item, hasArtwork: true } : item)))
+      })
+      .catch(error => {
+        console.error('Failed to store artwork for', track.name, error)
+      })
+
+    const storeEmbeddedLyrics = embeddedLyrics ? saveEmbeddedLyrics(track.id, embeddedLyrics) : deleteEmbeddedLyrics(track.id)
+    storeEmbeddedLyrics
+      .then(() => {
+        if (!embeddedLyrics) return
+        setLibrary(prev => prev.map(item => (item.id === track.id ? { ...item, hasEmbeddedLyrics: true } : item)))
+      })
+      .catch(error => {
+        console.error('Failed to store embedded lyrics for', track.name, error)
+      })
+
+    if (lyrics) {
+      attachLyrics(track, lyrics)
+    }
+  }
+
+  const attachLyrics = (track, lyrics) => {
+    return saveLyrics(track.id, lyrics)
+      .then(() => {
+        setLibrary(prev => prev.map(item => (item.id === track.id ? { ...item, hasLyrics: true } : item)))
+        return true
+      })
+      .catch(error => {
+        console.error('Failed to store lyrics for', track.name, error)
+        toast.error(`Could not save lyrics for "${track.name}"`)
+        return false
+      })
+  }
+
+  const handleAttachLyrics = async (trackId, file) => {
+    const track = library.find(item => item.id === trackId)
+    if (!track) return
+    if (await attachLyrics(track, { text: await file.text(), name: file.name })) {
+      toast(`Attached ${file.name} to "${getTrackTitle(track)}"`)
+    }
+  }
+
+  const handleRemoveLyrics = (trackId) => {
+    deleteLyrics(trackId)
+      .then(() => {
+        setLibrary(prev => prev.map(item => (item.id === trackId ? { ...item, hasLyrics: false } : item)))
+      })
+      .catch(error => {
+        console.error('Failed to remove lyrics:', error)
+      })
+  }
+
+  // Lyrics files uploaded on their own are matched to library tracks by
+  // file name
+  const handleLyricsFiles = async (files) => {
+    const tracks = libraryRef.current.filter(track => !isTrashed(track))
+    const unmatched = []
+    let attached = 0
+
+    for (const file of files) {
+      const track = findTrackForLyrics(tracks, file)
+      if (track) {
+        if (await attachLyrics(track, { text: await file.text(), name: file.name })) attached += 1
+      } else {
+        unmatched.push(file.name)
+      }
+    }
+
+    if (attached > 0) {
+      toast(`Attached lyrics to ${attached} track${attached === 1 ? '' : 's'}`)
+      setShowUploader(false)
+    }
+    if (unmatched.length > 0) {
+      toast.error(`No track matches ${unmatched.join(', ')}`)
+    }
+  }
+
+  const addUploadedTrack = (fileData) => {
+    const { file, artwork, lyrics, embeddedLyrics, ...trackData } = fileData
+    const newTrack = {
+      ...trackData,
+      hasArtwork: false,
+      hasLyrics: false,
+      hasEmbeddedLyrics: false,
+      url: createAudioUrl(trackData.id, file)
+    }
+
+    storeUploadedAudio(newTrack, { file, artwork, lyrics, embeddedLyrics })
+    libraryRef.current = [...libraryRef.current, newTrack]
+    setLibrary(prev => [...prev, newTrack])
+
+    // Uploading while a playlist is open adds the track to it as well
+    if (activePlaylist && !activePlaylist.smart) {
+      updatePlaylist(activePlaylistId, playlist => addTracksToPlaylist(playlist, [newTrack.id]))
+    }
     
-    setPlaylist(prev => [...prev, ...newTracks])
-    
-    if (!currentTrack && newTracks.length > 0) {
-      setCurrentTrack(newTracks[0])
+    if (!currentTrack) {
+      setCurrentTrackId(newTrack.id)
     }
     
     setShowUploader(false)
   }
 
+  const handleFileUpload = (fileData) => {
+    const existing = findDuplicateTrack(libraryRef.current, fileData.contentHash)
+    if (existing && isTrashed(existing)) {
+      // Uploading a trashed track again brings it back with its playlists
+      replaceTrack(existing, fileData)
+      toast(`Restored "${existing.name}" from the trash`)
+      setShowUploader(false)
+    } else if (existing) {
+      setPendingDuplicates(prev => [...prev, { upload: fileData, existing }])
+      setShowUploader(false)
+    } else {
+      addUploadedTrack(fileData)
+    }
+  }
+
+  // Replacing keeps the existing id, so playlists, history and resume
+  // points carry over to the new upload
+  const replaceTrack = (existing, fileData) => {
+    const { file, artwork, lyrics, embeddedLyrics, ...trackData } = fileData
+    const replacement = restoreFromTrash({
+      ...existing,
+      ...trackData,
+      id: existing.id,
+      hasArtwork: false,
+      hasEmbeddedLyrics: false,
+      loudness: undefined,
+      tempo: undefined,
+      key: undefined,
+      silence: undefined,
+      url: createAudioUrl(existing.id, file),
+      unavailable: undefined,
+      evictedAt: undefined
+    })
+
+    // Lyrics are kept unless the upload brings its own
+    storeUploadedAudio(replacement, { file, artwork, lyrics, embeddedLyrics })
+    setLibrary(prev => prev.map(track => (track.id === existing.id ? replacement : track)))
+  }
+
+  const resolveDuplicate = ({ upload, existing }, action) => {
+    if (action === 'replace') {
+      replaceTrack(existing, upload)
+    } else if (action === 'keep') {
+      addUploadedTrack({ ...upload, id: createCopyId(libraryRef.current, upload.contentHash) })
+    }
+  }
+
+  const handleResolveDuplicates = (action, applyToAll) => {
+    const resolved = applyToAll ? pendingDuplicates : pendingDuplicates.slice(0, 1)
+    resolved.forEach(duplicate => resolveDuplicate(duplicate, action))
+    setPendingDuplicates(prev => prev.slice(resolved.length))
+  }
+
   const handleTrackSelect = (track) => {
-    setCurrentTrack(track)
+    setCurrentTrackId(track.id)
+    setIsPlaying(false)
+  }
+
+  // If the current track leaves the queue, select its neighbour instead
+  const selectNeighbourOf = (trackId, remainingQueue) => {
+    if (currentTrackId !== trackId) return
+    const removedIndex = queue.findIndex(track => track.id === trackId)
+    const nextTrack = remainingQueue[removedIndex] || remainingQueue[removedIndex - 1] || null
+    setCurrentTrackId(nextTrack ? nextTrack.id : null)
     setIsPlaying(false)
   }
 
+  // In a playlist this only removes the track from that playlist; in the
+  // library it deletes the track and its audio everywhere
   const handleRemoveTrack = (trackId) => {
-    setPlaylist(prev => {
-      const filtered = prev.filter(track => track.id !== trackId)
-      
-      // If current track is removed, select next available track
-      if (currentTrack?.id === trackId) {
-        const currentIndex = prev.findIndex(track => track.id === trackId)
-        const nextTrack = filtered[currentIndex] || filtered[currentIndex - 1] || null
-        setCurrentTrack(nextTrack)
-        setIsPlaying(false)
+    const track = library.find(item => item.id === trackId)
+    if (!track) return
+    const remainingQueue = queue.filter(item => item.id !== trackId)
+
+    if (activePlaylist) {
+      editPlaylist(`Removed "${track.name}" from ${activePlaylist.name}`, activePlaylistId, playlist => (
+        removeTracksFromPlaylist(playlist, [trackId])
+      ))
+      selectNeighbourOf(trackId, remainingQueue)
+      return
+    }
+
+    // Playlist entries are kept so restoring the track puts it back
+    applyEdit(`Moved "${track.name}" to the trash`, {
+      library: prev => prev.map(item => (item.id === trackId ? moveToTrash(item) : item))
+    })
+    selectNeighbourOf(trackId, remainingQueue)
+  }
+
+  const handleRestoreTrack = (trackId) => {
+    const track = library.find(item => item.id === trackId)
+    if (!track) return
+    applyEdit(`Restored "${track.name}"`, {
+      library: prev => prev.map(item => (item.id === trackId ? restoreFromTrash(item) : item))
+    })
+  }
+
+  const toggleTrackSelection = (trackId) => {
+    setSelectedTrackIds(prev => (
+      prev.includes(trackId) ? prev.filter(id => id !== trackId) : [...prev, trackId]
+    ))
+  }
+
+  // Selections belong to the list they were made in
+  useEffect(() => {
+    setSelectedTrackIds([])
+  }, [activePlaylistId, showTrash])
+
+  const handleSaveTags = async ({ values, fields, cover, download }) => {
+    const tracks = tagEditorTracks
+    const trackIds = new Set(tracks.map(track => track.id))
+
+    if (fields.length > 0) {
+      applyEdit(tracks.length === 1 ? `Edited tags of "${tracks[0].name}"` : `Edited tags of ${tracks.length} tracks`, {
+        library: prev => prev.map(track => (trackIds.has(track.id) ? applyTagChanges(track, values, fields) : track))
+      })
+    }
+
+    if (cover) {
+      try {
+        const thumbnail = await createThumbnail({ mimeType: cover.type, data: new Uint8Array(await cover.arrayBuffer()) })
+        await Promise.all(tracks.map(track => saveArtwork(track.id, thumbnail, cover)))
+        setLibrary(prev => prev.map(track => (trackIds.has(track.id) ? { ...track, hasArtwork: true } : track)))
+      } catch (error) {
+        console.error('Failed to save cover art:', error)
+        toast.error('That image could not be used as cover art')
       }
-      
-      return filtered
+    }
+
+    if (download) {
+      for (const track of tracks) {
+        try {
+          downloadBlob(await createTaggedFile(applyTagChanges(track, values, fields)), track.name)
+        } catch (error) {
+          console.error('Failed to export', track.name, error)
+          toast.error(`Could not export "${track.name}"`)
+        }
+      }
+    }
+  }
+
+  const handleSelectTrash = () => {
+    setShowTrash(true)
+  }
+
+  const handleMoveTrack = (trackId, targetTrackId) => {
+    const track = library.find(item => item.id === trackId)
+    if (!activePlaylist || !track || trackId === targetTrackId) return
+    editPlaylist(`Moved "${track.name}"`, activePlaylistId, playlist => moveTrackById(playlist, trackId, targetTrackId))
+  }
+
+  const handleSortPlaylist = (value) => {
+    const [field, direction] = value.split(':')
+    if (!canReorder || !SMART_FIELDS[field]) return
+    editPlaylist(`Sorted "${activePlaylist.name}" by ${SMART_FIELDS[field].label}`, activePlaylistId, playlist => (
+      sortPlaylist(playlist, library, { field, direction })
+    ))
+  }
+
+  // Drop the stored audio for tracks but keep them in the library, so they
+  // can be re-uploaded later
+  const handleEvictTracks = async (trackIds) => {
+    await Promise.all(trackIds.map(id => deleteAudioBlob(id).catch(error => {
+      console.error('Failed to evict stored audio:', error)
+    })))
+
+    setLibrary(prev => prev.map(track => (
+      trackIds.includes(track.id) ? { ...track, url: undefined, unavailable: true, evictedAt: new Date().toISOString() } : track
+    )))
+    await refreshQuota()
+  }
+
+  const handleTrackChange = (index) => {
+    if (!queue[index]) return
+    setCurrentTrackId(queue[index].id)
+    if (activePlaylistId) {
+      updatePlaylist(activePlaylistId, playlist => setPlaylistCurrentTrack(playlist, queue[index].id))
+    }
+  }
+
+  const handlePlaybackModesChange = (modes) => {
+    if (activePlaylistId) {
+      updatePlaylist(activePlaylistId, playlist => setPlaylistModes(playlist, modes))
+    } else {
+      setLibraryModes(prev => ({ ...prev, ...modes }))
+    }
+  }
+
+  const handleSelectPlaylist = (playlistId) => {
+    setActivePlaylistId(playlistId)
+
+    setShowTrash(false)
+
+    const playlist = playlists.find(item => item.id === playlistId)
+    const nextQueue = playlist ? resolvePlaylistTracks(playlist, activeTracks) : activeTracks
+    if (!nextQueue.some(track => track.id === currentTrackId)) {
+      const nextTrack = (playlist && getPlaylistCurrentTrack(playlist, activeTracks)) || nextQueue[0]
+      setCurrentTrackId(nextTrack ? nextTrack.id : null)
+      setIsPlaying(false)
+    }
+  }
+
+  const handleCreatePlaylist = (name) => {
+    const playlist = createPlaylist(name)
+    applyEdit(`Created playlist "${playlist.name}"`, { playlists: prev => [...prev, playlist] })
+    setActivePlaylistId(playlist.id)
+    setShowTrash(false)
+  }
+
+  const handleRenamePlaylist = (playlistId, name) => {
+    editPlaylist(`Renamed playlist to "${name}"`, playlistId, playlist => renamePlaylist(playlist, name))
+  }
+
+  const handleDuplicatePlaylist = (playlistId) => {
+    const source = playlists.find(playlist => playlist.id === playlistId)
+    if (source) {
+      applyEdit(`Duplicated "${source.name}"`, { playlists: prev => [...prev, duplicatePlaylist(source)] })
+    }
+  }
+
+  const handleDeletePlaylist = (playlistId) => {
+    const playlist = playlists.find(item => item.id === playlistId)
+    if (!playlist) return
+    applyEdit(`Deleted playlist "${playlist.name}"`, {
+      playlists: prev => prev.filter(item => item.id !== playlistId)
     })
+    if (activePlaylistId === playlistId) {
+      setActivePlaylistId(null)
+    }
   }
 
-  const handleNextTrack = () => {
-    if (playlist.length === 0) return
-    
-    const currentIndex = playlist.findIndex(track => track.id === currentTrack?.id)
-    const nextIndex = (currentIndex + 1) % playlist.length
-    setCurrentTrack(playlist[nextIndex])
+  const handleSaveSmartPlaylist = ({ name, smart }) => {
+    if (smartEditor.playlistId) {
+      editPlaylist(`Updated "${name}"`, smartEditor.playlistId, playlist => (
+        setSmartDefinition(renamePlaylist(playlist, name), smart)
+      ))
+    } else {
+      const playlist = { ...createPlaylist(name), smart }
+      applyEdit(`Created smart playlist "${playlist.name}"`, { playlists: prev => [...prev, playlist] })
+      setActivePlaylistId(playlist.id)
+      setShowTrash(false)
+    }
   }
 
-  const handlePreviousTrack = () => {
-    if (playlist.length === 0) return
-    
-    const currentIndex = playlist.findIndex(track => track.id === currentTrack?.id)
-    const prevIndex = currentIndex === 0 ? playlist.length - 1 : currentIndex - 1
-    setCurrentTrack(playlist[prevIndex])
+  const handlePlaybackProgress = (trackId, position, duration) => {
+    playbackPositionRef.current = { trackId, position, duration }
+    if (Date.now() - lastSessionSaveRef.current >= SESSION_SAVE_INTERVAL) {
+      persistSession()
+    }
+  }
+
+  const handleContinueSession = () => {
+    const { trackId, position } = resumeSession
+    setResumeSession(null)
+    if (!queue.some(track => track.id === trackId)) {
+      setActivePlaylistId(null)
+    }
+    setCurrentTrackId(trackId)
+    playerRef.current?.resumeAt(trackId, position, { play: true })
+  }
+
+  const handleDismissSession = () => {
+    const { trackId } = resumeSession
+    setResumeSession(null)
+    resumePointsRef.current = clearResumePoint(resumePointsRef.current, trackId)
+    playerRef.current?.resumeAt(trackId, 0)
+  }
+
+  const handlePlayRecorded = (entry) => {
+    addHistoryEntry(entry).catch(error => {
+      console.error('Failed to record play:', error)
+    })
+  }
+
+  const handleTogglePlaylistTrack = (playlistId, trackId) => {
+    const playlist = playlists.find(item => item.id === playlistId)
+    const track = library.find(item => item.id === trackId)
+    if (!playlist || !track) return
+
+    if (playlistHasTrack(playlist, trackId)) {
+      editPlaylist(`Removed "${track.name}" from ${playlist.name}`, playlistId, item => removeTracksFromPlaylist(item, [trackId]))
+    } else {
+      editPlaylist(`Added "${track.name}" to ${playlist.name}`, playlistId, item => addTracksToPlaylist(item, [trackId]))
+    }
   }
 
   const formatTime = (time) => {
@@ -150,6 +908,15 @@ function App() {
           <p className="text-white/70 text-lg">
             Upload and play your favorite tracks with stunning visualizations
           </p>
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={() => setShowStats(true)}
+            className="mt-4 inline-flex items-center gap-2 text-white/70 hover:text-white text-sm"
+          >
+            <BarChart3 className="w-4 h-4" />
+            Listening stats
+          </motion.button>
         </motion.div>
 
         {/* Main Content */}
@@ -160,74 +927,219 @@ function App() {
             animate={{ opacity: 1, x: 0 }}
             className="lg:col-span-1"
           >
-            <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 shadow-2xl">
-              <div className="flex items-center justify-between mb-6">
-                <h2 className="text-xl font-semibold text-white">Playlist</h2>
-                <motion.button
-                  whileHover={{ scale: 1.05 }}
-                  whileTap={{ scale: 0.95 }}
-                  onClick={() => setShowUploader(true)}
-                  className="flex items-center gap-2 bg-purple-600/80 hover:bg-purple-600 text-white px-4 py-2 rounded-lg transition-colors"
-                >
-                  <Upload className="w-4 h-4" />
-                  Upload
-                </motion.button>
-              </div>
+            <div className="mb-6">
+              <PlaylistManager
+                playlists={playlists}
+                activePlaylistId={activePlaylistId}
+                libraryCount={activeTracks.length}
+                trashCount={trashedTracks.length}
+                isTrashActive={showTrash}
+                onSelectTrash={handleSelectTrash}
+                trackCounts={trackCounts}
+                onSelect={handleSelectPlaylist}
+                onCreate={handleCreatePlaylist}
+                onCreateSmart={() => setSmartEditor({ open: true, playlistId: null })}
+                onEditSmart={(playlistId) => setSmartEditor({ open: true, playlistId })}
+                onRename={handleRenamePlaylist}
+                onDuplicate={handleDuplicatePlaylist}
+                onDelete={handleDeletePlaylist}
+              />
+            </div>
 
-              <div className="space-y-3 max-h-96 overflow-y-auto">
-                {playlist.length === 0 ? (
-                  <div className="text-center py-8 text-white/60">
-                    <Music className="w-12 h-12 mx-auto mb-3 opacity-50" />
-                    <p>No tracks uploaded yet</p>
-                    <p className="text-sm mt-1">Click upload to add music</p>
-                  </div>
-                ) : (
-                  playlist.map((track) => (
-                    <motion.div
-                      key={track.id}
-                      initial={{ opacity: 0, y: 10 }}
-                      animate={{ opacity: 1, y: 0 }}
-                      className={`p-3 rounded-lg cursor-pointer transition-all ${
-                        currentTrack?.id === track.id
-                          ? 'bg-purple-600/30 border border-purple-400/50'
-                          : 'bg-white/5 hover:bg-white/10'
-                      }`}
-                      onClick={() => handleTrackSelect(track)}
+            {showTrash ? (
+              <TrashView
+                tracks={trashedTracks}
+                retentionDays={trashRetentionDays}
+                onRetentionChange={setTrashRetentionDays}
+                onRestore={handleRestoreTrack}
+                onPurge={purgeTracks}
+              />
+            ) : (
+              <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 shadow-2xl">
+                <div className="flex items-center justify-between mb-6">
+                  <h2 className="text-xl font-semibold text-white truncate">
+                    {activePlaylist ? activePlaylist.name : 'Library'}
+                  </h2>
+                  <div className="flex items-center gap-2 flex-shrink-0">
+                    {canReorder && queue.length > 1 && (
+                      <select
+                        value=""
+                        onChange={(e) => handleSortPlaylist(e.target.value)}
+                        className="bg-white/10 border border-white/20 rounded-md px-2 py-1 text-sm text-white focus:outline-none focus:border-purple-400 [&>option]:bg-slate-900"
+                        aria-label="Sort playlist"
+                      >
+                        <option value="" disabled>Sort by…</option>
+                        {Object.entries(SMART_FIELDS).flatMap(([key, { label }]) => (
+                          Object.entries(SMART_SORT_DIRECTIONS).map(([direction, directionLabel]) => (
+                            <option key={`${key}:${direction}`} value={`${key}:${direction}`}>
+                              {label}, {directionLabel.toLowerCase()}
+                            </option>
+                          ))
+                        ))}
+                      </select>
+                    )}
+                    <motion.button
+                      whileHover={{ scale: 1.05 }}
+                      whileTap={{ scale: 0.95 }}
+                      onClick={() => setShowUploader(true)}
+                      className="flex items-center gap-2 bg-purple-600/80 hover:bg-purple-600 text-white px-4 py-2 rounded-lg transition-colors"
                     >
-                      <div className="flex items-center justify-between">
-                        <div className="flex-1 min-w-0">
-                          <p className="text-white font-medium truncate">
-                            {track.name.replace(/\.[^/.]+$/, "")}
-                          </p>
-                          <p className="text-white/60 text-sm">
-                            {formatTime(track.duration)}
-                          </p>
-                        </div>
-                        <div className="flex items-center gap-2 ml-2">
-                          {currentTrack?.id === track.id && isPlaying && (
-                            <motion.div
-                              animate={{ scale: [1, 1.2, 1] }}
-                              transition={{ duration: 1, repeat: Infinity }}
-                              className="w-2 h-2 bg-purple-400 rounded-full"
-                            />
+                      <Upload className="w-4 h-4" />
+                      Upload
+                    </motion.button>
+                  </div>
+                </div>
+
+                {selectedTrackIds.length > 0 && (
+                  <div className="flex items-center justify-between mb-3 px-3 py-2 rounded-lg bg-purple-600/20 text-sm text-white">
+                    <span>{selectedTrackIds.length} selected</span>
+                    <div className="flex items-center gap-3">
+                      <button
+                        onClick={() => setTagEditorTrackIds(selectedTrackIds)}
+                        className="flex items-center gap-1 text-purple-200 hover:text-white transition-colors"
+                      >
+                        <Tags className="w-4 h-4" />
+                        Edit tags
+                      </button>
+                      <button
+                        onClick={() => setSelectedTrackIds([])}
+                        className="text-white/60 hover:text-white transition-colors"
+                      >
+                        Clear
+                      </button>
+                    </div>
+                  </div>
+                )}
+
+                <div className="space-y-3 max-h-96 overflow-y-auto">
+                  {queue.length === 0 ? (
+                    <div className="text-center py-8 text-white/60">
+                      <Music className="w-12 h-12 mx-auto mb-3 opacity-50" />
+                      {activePlaylist ? (
+                        <>
+                          <p>This playlist is empty</p>
+                          <p className="text-sm mt-1">Add tracks from the library or upload new music</p>
+                        </>
+                      ) : (
+                        <>
+                          <p>No tracks uploaded yet</p>
+                          <p className="text-sm mt-1">Click upload to add music</p>
+                        </>
+                      )}
+                    </div>
+                  ) : (
+                    queue.map((track) => (
+                      <motion.div
+                        key={track.id}
+                        initial={{ opacity: 0, y: 10 }}
+                        animate={{ opacity: 1, y: 0 }}
+                        className={`p-3 rounded-lg cursor-pointer transition-all ${
+                          currentTrackId === track.id
+                            ? 'bg-purple-600/30 border border-purple-400/50'
+                            : 'bg-white/5 hover:bg-white/10'
+                        }`}
+                        onClick={() => handleTrackSelect(track)}
+                      >
+                        {/* Native drag and drop on the inner row; motion.div claims the drag handlers */}
+                        <div
+                          className="flex items-center justify-between"
+                          draggable={canReorder}
+                          onDragStart={() => {
+                            draggedTrackId.current = track.id
+                          }}
+                          onDragOver={(e) => canReorder && e.preventDefault()}
+                          onDrop={(e) => {
+                            e.preventDefault()
+                            handleMoveTrack(draggedTrackId.current, track.id)
+                            draggedTrackId.current = null
+                          }}
+                        >
+                          {canReorder && (
+                            <GripVertical className="w-4 h-4 mr-2 text-white/40 flex-shrink-0 cursor-grab" />
                           )}
-                          <motion.button
-                            whileHover={{ scale: 1.1 }}
-                            whileTap={{ scale: 0.9 }}
-                            onClick={(e) => {
-                              e.stopPropagation()
-                              handleRemoveTrack(track.id)
-                            }}
-                            className="text-white/60 hover:text-red-400 transition-colors"
-                          >
-                            ×
-                          </motion.button>
+                          <input
+                            type="checkbox"
+                            checked={selectedTrackIds.includes(track.id)}
+                            onChange={() => toggleTrackSelection(track.id)}
+                            onClick={(e) => e.stopPropagation()}
+                            className="mr-3 accent-purple-500 flex-shrink-0"
+                            aria-label={`Select ${track.name}`}
+                          />
+                          <TrackArtwork track={track} className="w-10 h-10 mr-3 rounded-md" />
+                          <div className="flex-1 min-w-0">
+                            <p className="text-white font-medium truncate">
+                              {getTrackTitle(track)}
+                            </p>
+                            <p className="text-white/60 text-sm truncate">
+                              {track.unavailable
+                                ? 'Audio missing, please re-upload'
+                                : [
+                                    track.metadata?.artist,
+                                    formatTime(track.duration),
+                                    track.tempo && `${Math.round(track.tempo.bpm)} BPM`,
+                                    getCamelotCode(track.key)
+                                  ].filter(Boolean).join(' · ')}
+                            </p>
+                          </div>
+                          <div className="flex items-center gap-2 ml-2">
+                            {currentTrackId === track.id && isPlaying && (
+                              <motion.div
+                                animate={{ scale: [1, 1.2, 1] }}
+                                transition={{ duration: 1, repeat: Infinity }}
+                                className="w-2 h-2 bg-purple-400 rounded-full"
+                              />
+                            )}
+                            <motion.button
+                              whileHover={{ scale: 1.1 }}
+                              whileTap={{ scale: 0.9 }}
+                              onClick={(e) => {
+                                e.stopPropagation()
+                                setTagEditorTrackIds([track.id])
+                              }}
+                              className="text-white/60 hover:text-white transition-colors"
+                              aria-label="Edit tags"
+                            >
+                              <Pencil className="w-4 h-4" />
+                            </motion.button>
+                            {manualPlaylists.length > 0 && (
+                              <AddToPlaylistMenu
+                                playlists={manualPlaylists}
+                                trackId={track.id}
+                                onToggle={handleTogglePlaylistTrack}
+                              />
+                            )}
+                            {!activePlaylist?.smart && (
+                              <motion.button
+                                whileHover={{ scale: 1.1 }}
+                                whileTap={{ scale: 0.9 }}
+                                onClick={(e) => {
+                                  e.stopPropagation()
+                                  handleRemoveTrack(track.id)
+                                }}
+                                className="text-white/60 hover:text-red-400 transition-colors"
+                                aria-label={activePlaylist ? 'Remove from playlist' : 'Delete track'}
+                              >
+                                ×
+                              </motion.button>
+                            )}
+                          </div>
                         </div>
-                      </div>
-                    </motion.div>
-                  ))
-                )}
+                      </motion.div>
+                    ))
+                  )}
+                </div>
               </div>
+            )}
+
+            <div className="mt-6">
+              <StorageManager
+                tracks={activeTracks}
+                quota={quota}
+                isPersisted={isPersisted}
+                onRequestPersistence={requestPersistence}
+                onEvict={handleEvictTracks}
+                protectedIds={currentTrackId !== null ? [currentTrackId] : []}
+              />
             </div>
           </motion.div>
 
@@ -238,20 +1150,37 @@ function App() {
             className="lg:col-span-2"
           >
             <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-8 border border-white/20 shadow-2xl">
-              {currentTrack ? (
+              <RemotePlaybackNotice playback={remotePlayback} />
+              <ResumePrompt
+                session={resumeSession}
+                track={resumeSession && library.find(track => track.id === resumeSession.trackId)}
+                onContinue={handleContinueSession}
+                onDismiss={handleDismissSession}
+              />
+              {currentTrackIndex !== -1 ? (
                 <AudioPlayer
-                  track={currentTrack}
-                  isPlaying={isPlaying}
-                  setIsPlaying={setIsPlaying}
-                  currentTime={currentTime}
-                  setCurrentTime={setCurrentTime}
-                  duration={duration}
-                  setDuration={setDuration}
-                  volume={volume}
-                  setVolume={setVolume}
-                  onNext={handleNextTrack}
-                  onPrevious={handlePreviousTrack}
-                  onTrackEnd={handleNextTrack}
+                  ref={playerRef}
+                  playlist={queue}
+                  currentTrackIndex={currentTrackIndex}
+                  onTrackChange={handleTrackChange}
+                  onPlayingChange={setIsPlaying}
+                  shuffle={playbackModes.shuffle}
+                  repeat={playbackModes.repeat}
+                  onModesChange={handlePlaybackModesChange}
+                  onPlayRecorded={handlePlayRecorded}
+                  volume={volumeSettings.volume}
+                  isMuted={volumeSettings.isMuted}
+                  onVolumeChange={setVolumeSettings}
+                  normalizationMode={normalizationMode}
+                  normalizationGain={normalizationGain}
+                  onNormalizationModeChange={setNormalizationMode}
+                  silenceThreshold={silenceThreshold}
+                  onSilenceThresholdChange={setSilenceThreshold}
+                  onTrimSilenceChange={handleTrimSilenceChange}
+                  getResumePosition={(trackId) => getResumePosition(resumePointsRef.current, trackId)}
+                  onProgress={handlePlaybackProgress}
+                  onAttachLyrics={handleAttachLyrics}
+                  onRemoveLyrics={handleRemoveLyrics}
                 />
               ) : (
                 <div className="text-center py-16">
@@ -282,6 +1211,40 @@ function App() {
         </div>
       </div>
 
+      <SmartPlaylistEditor
+        open={smartEditor.open}
+        onOpenChange={(open) => setSmartEditor(prev => ({ ...prev, open }))}
+        playlist={playlists.find(playlist => playlist.id === smartEditor.playlistId) || null}
+        library={activeTracks}
+        onSave={handleSaveSmartPlaylist}
+      />
+
+      <StatsDashboard open={showStats} onOpenChange={setShowStats} />
+
+      <Toaster
+        theme="dark"
+        position="bottom-center"
+        toastOptions={{
+          classNames: {
+            toast: 'bg-slate-900/95 border-white/20 text-white backdrop-blur-lg',
+            actionButton: 'bg-purple-600 text-white'
+          }
+        }}
+      />
+
+      <DuplicateTrackDialog
+        duplicate={pendingDuplicates[0] || null}
+        remaining={pendingDuplicates.length - 1}
+        onResolve={handleResolveDuplicates}
+      />
+
+      <TagEditorDialog
+        open={tagEditorTrackIds !== null}
+        onOpenChange={(open) => !open && setTagEditorTrackIds(null)}
+        tracks={tagEditorTracks}
+        onSave={handleSaveTags}
+      />
+
       {/* Upload Modal */}
       <AnimatePresence>
         {showUploader && (
@@ -296,12 +1259,17 @@ function App() {
               initial={{ scale: 0.9, opacity: 0 }}
               animate={{ scale: 1, opacity: 1 }}
               exit={{ scale: 0.9, opacity: 0 }}
-              className="bg-white/10 backdrop-blur-lg rounded-2xl p-8 border border-white/20 shadow-2xl max-w-md w-full"
+              className="bg-white/10 backdrop-blur-lg rounded-2xl p-8 border border-white/20 shadow-2xl max-w-md w-full max-h-[90vh] overflow-y-auto"
               onClick={(e) => e.stopPropagation()}
             >
               <AudioUploader
-                onUpload={handleFileUpload}
-                onClose={() => setShowUploader(false)}
+                onFileUpload={handleFileUpload}
+                uploadedFiles={queue}
+                onFileRemove={handleRemoveTrack}
+                availableStorage={quota?.available}
+                filenamePatterns={filenamePatterns}
+                onFilenamePatternsChange={setFilenamePatterns}
+                onLyricsFiles={handleLyricsFiles}
               />
             </motion.div>
           </motion.div>
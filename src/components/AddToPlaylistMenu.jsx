@@ -0,0 +1,45 @@
+import { ListPlus } from 'lucide-react'
+import {
+  DropdownMenu,
+  DropdownMenuTrigger,
+  DropdownMenuContent,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuCheckboxItem
+} from '@/components/ui/dropdown-menu'
+import { playlistHasTrack } from '@/lib/playlists'
+
+const AddToPlaylistMenu = ({ playlists, trackId, onToggle }) => {
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger
+        onClick={(e) => e.stopPropagation()}
+        className="text-white/60 hover:text-white transition-colors"
+        aria-label="Add to playlist"
+      >
+        <ListPlus className="w-4 h-4" />
+      </DropdownMenuTrigger>
+      <DropdownMenuContent
+        align="end"
+        className="bg-slate-900/95 border-white/20 text-white backdrop-blur-lg"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <DropdownMenuLabel>Add to playlist</DropdownMenuLabel>
+        <DropdownMenuSeparator className="bg-white/10" />
+        {playlists.map(playlist => (
+          <DropdownMenuCheckboxItem
+            key={playlist.id}
+            checked={playlistHasTrack(playlist, trackId)}
+            onCheckedChange={() => onToggle(playlist.id, trackId)}
+            onSelect={(e) => e.preventDefault()}
+            className="focus:bg-white/10 focus:text-white"
+          >
+            {playlist.name}
+          </DropdownMenuCheckboxItem>
+        ))}
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
+
+export default AddToPlaylistMenu
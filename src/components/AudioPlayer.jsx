@@ -1,46 +1,125 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useImperativeHandle } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
-import { Play, Pause, SkipBack, SkipForward, Volume2, VolumeX, Repeat, Shuffle } from 'lucide-react';
+import { Play, Pause, SkipBack, SkipForward, Volume2, VolumeX, Repeat, Repeat1, Shuffle, MicVocal, ListOrdered, Gauge } from 'lucide-react';
 import { Button } from '@/components/ui/button';
 import { Slider } from '@/components/ui/slider';
 import { Card } from '@/components/ui/card';
 import {
   initializeAudioContext,
   connectAudioElement,
+  setNormalizationGain,
   getAudioData,
   drawVisualization,
 } from '@/lib/audio-utils';
-
-const AudioPlayer = ({ playlist = [], currentTrackIndex = 0, onTrackChange }) => {
+import { nextRepeatMode } from '@/lib/playlists';
+import { getTrackTitle } from '@/lib/metadata';
+import { NORMALIZATION_MODES } from '@/lib/loudness';
+import { getBeatsBetween, getBeatPulse } from '@/lib/tempo';
+import { getSilenceTrim } from '@/lib/silence';
+import { hasChapters, getChapterIndex, getNextChapterStart, getPreviousChapterStart } from '@/lib/chapters';
+import { useListeningTracker } from '@/hooks/use-listening-tracker';
+import { useArtworkUrl } from '@/hooks/use-artwork-url';
+import { useLyrics } from '@/hooks/use-lyrics';
+import TrackArtwork from '@/components/TrackArtwork';
+import LyricsPane from '@/components/LyricsPane';
+import ChapterSheet from '@/components/ChapterSheet';
+import SilenceTrimMenu from '@/components/SilenceTrimMenu';
+
+// Seconds of beat grid shown across the visualizer
+const BEAT_GRID_SPAN = 4;
+
+const AudioPlayer = React.forwardRef(({
+  playlist = [],
+  currentTrackIndex = 0,
+  onTrackChange,
+  onPlayingChange,
+  shuffle = false,
+  repeat = 'none',
+  onModesChange,
+  onPlayRecorded,
+  volume = 1,
+  isMuted = false,
+  onVolumeChange,
+  normalizationMode = 'off',
+  normalizationGain = 0,
+  onNormalizationModeChange,
+  silenceThreshold,
+  onSilenceThresholdChange,
+  onTrimSilenceChange,
+  getResumePosition,
+  onProgress,
+  onAttachLyrics,
+  onRemoveLyrics,
+}, ref) => {
   const [isPlaying, setIsPlaying] = useState(false);
   const [currentTime, setCurrentTime] = useState(0);
   const [duration, setDuration] = useState(0);
-  const [volume, setVolume] = useState(1);
-  const [isMuted, setIsMuted] = useState(false);
-  const [isRepeat, setIsRepeat] = useState(false);
-  const [isShuffle, setIsShuffle] = useState(false);
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [showLyrics, setShowLyrics] = useState(false);
+  const [showChapters, setShowChapters] = useState(false);
 
   const audioRef = useRef(null);
   const canvasRef = useRef(null);
   const audioContextRef = useRef(null);
   const animationRef = useRef(null);
+  // Start position requested before the track's metadata had loaded
+  const pendingStartRef = useRef(null);
 
   const currentTrack = playlist[currentTrackIndex];
+  const listeningTracker = useListeningTracker(audioRef, currentTrack, onPlayRecorded);
+  const artworkUrl = useArtworkUrl(currentTrack);
+  const lyrics = useLyrics(currentTrack);
+  const chapters = hasChapters(currentTrack) ? currentTrack.chapters : [];
+  const chapterIndex = getChapterIndex(chapters, currentTime);
+  // Silent lead-ins are skipped when a track starts and silent tails end it
+  const silenceTrim = getSilenceTrim(currentTrack);
+
+  useEffect(() => {
+    onPlayingChange?.(isPlaying);
+  }, [isPlaying, onPlayingChange]);
+
+  // Volume is owned by the parent so it survives reloads
+  useEffect(() => {
+    if (audioRef.current) {
+      audioRef.current.volume = isMuted ? 0 : volume;
+    }
+  }, [volume, isMuted, currentTrack?.url]);
+
+  // Loudness normalization is computed by the parent from the library
+  useEffect(() => {
+    setNormalizationGain(normalizationGain);
+  }, [normalizationGain]);
 
   // Initialize Audio Context and connect audio element
   useEffect(() => {
     if (currentTrack && audioRef.current) {
       initializeAudioVisualization();
     }
-    return () => {
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
-    };
   }, [currentTrack]);
 
+  // Animate the visualizer while playing; with a detected beat grid it
+  // pulses on the beats and the grid scrolls behind it
+  const tempo = currentTrack?.tempo;
+  useEffect(() => {
+    if (!isPlaying || !canvasRef.current) return;
+
+    const canvas = canvasRef.current;
+    const animate = () => {
+      const time = audioRef.current?.currentTime || 0;
+      drawVisualization(canvas, getAudioData(), 'bars', {
+        pulse: getBeatPulse(tempo, time),
+        beatGrid: tempo
+          ? { beats: getBeatsBetween(tempo, time - BEAT_GRID_SPAN / 2, time + BEAT_GRID_SPAN / 2), time, span: BEAT_GRID_SPAN }
+          : null,
+      });
+      animationRef.current = requestAnimationFrame(animate);
+    };
+
+    animate();
+    return () => cancelAnimationFrame(animationRef.current);
+  }, [isPlaying, tempo]);
+
   const initializeAudioVisualization = () => {
     try {
       if (!audioContextRef.current) {
@@ -54,23 +133,6 @@ const AudioPlayer = ({ playlist = [], currentTrackIndex = 0, onTrackChange }) =>
     }
   };
 
-  const startVisualization = () => {
-    if (!canvasRef.current) return;
-
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-
-    const animate = () => {
-      if (isPlaying) {
-        const audioData = getAudioData();
-        drawVisualization(canvas, audioData, 'bars'); // or 'wave', 'circle', etc.
-        animationRef.current = requestAnimationFrame(animate);
-      }
-    };
-
-    animate();
-  };
-
   const handlePlay = async () => {
     if (!audioRef.current || !currentTrack) return;
 
@@ -84,7 +146,6 @@ const AudioPlayer = ({ playlist = [], currentTrackIndex = 0, onTrackChange }) =>
 
       await audioRef.current.play();
       setIsPlaying(true);
-      startVisualization();
     } catch (err) {
       setError('Failed to play audio. Please check the file format.');
       console.error('Play error:', err);
@@ -93,13 +154,30 @@ const AudioPlayer = ({ playlist = [], currentTrackIndex = 0, onTrackChange }) =>
     }
   };
 
+  const seekTo = (position) => {
+    audioRef.current.currentTime = position;
+    setCurrentTime(position);
+  };
+
+  useImperativeHandle(ref, () => ({
+    // Jump to a position in a track, optionally starting playback. If the
+    // track is not loaded yet this happens once its metadata arrives.
+    resumeAt: (trackId, position, { play = false } = {}) => {
+      const isLoaded = audioRef.current?.readyState >= HTMLMediaElement.HAVE_METADATA;
+      if (currentTrack?.id === trackId && isLoaded) {
+        seekTo(position);
+        if (play) handlePlay();
+      } else {
+        pendingStartRef.current = { trackId, position, play };
+      }
+    },
+    pause: () => handlePause(),
+  }));
+
   const handlePause = () => {
     if (audioRef.current) {
       audioRef.current.pause();
       setIsPlaying(false);
-      if (animationRef.current) {
-        cancelAnimationFrame(animationRef.current);
-      }
     }
   };
 
@@ -114,15 +192,43 @@ const AudioPlayer = ({ playlist = [], currentTrackIndex = 0, onTrackChange }) =>
   const handleTimeUpdate = () => {
     if (audioRef.current) {
       setCurrentTime(audioRef.current.currentTime);
+      listeningTracker.handleTimeUpdate(audioRef.current.currentTime);
+      onProgress?.(currentTrack.id, audioRef.current.currentTime, duration);
+
+      // Pausing first stops the next update from ending the track again,
+      // just like the element does when it really ends
+      if (silenceTrim?.end && !audioRef.current.paused && audioRef.current.currentTime >= silenceTrim.end) {
+        audioRef.current.pause();
+        handleEnded();
+      }
     }
   };
 
   const handleLoadedMetadata = () => {
-    if (audioRef.current) {
-      setDuration(audioRef.current.duration);
+    if (!audioRef.current) return;
+
+    // Recorded WebM files report Infinity; the stored duration was read
+    // from the file itself
+    const trackDuration = Number.isFinite(audioRef.current.duration)
+      ? audioRef.current.duration
+      : currentTrack.duration;
+    setDuration(trackDuration);
+
+    const pending = pendingStartRef.current;
+    pendingStartRef.current = null;
+    const start = pending?.trackId === currentTrack.id
+      ? pending
+      : { position: getResumePosition?.(currentTrack.id) || silenceTrim?.start || 0, play: false };
+    if (start.position > 0 && !(start.position >= trackDuration)) {
+      seekTo(start.position);
+    }
+    if (start.play) {
+      handlePlay();
     }
   };
 
+  const getCurrentTime = useCallback(() => audioRef.current?.currentTime || 0, []);
+
   const handleSeek = (value) => {
     if (audioRef.current) {
       const newTime = (value[0] / 100) * duration;
@@ -133,30 +239,29 @@ const AudioPlayer = ({ playlist = [], currentTrackIndex = 0, onTrackChange }) =>
 
   const handleVolumeChange = (value) => {
     const newVolume = value[0] / 100;
-    setVolume(newVolume);
-    if (audioRef.current) {
-      audioRef.current.volume = newVolume;
-    }
-    setIsMuted(newVolume === 0);
+    onVolumeChange?.({ volume: newVolume, isMuted: newVolume === 0 });
   };
 
   const toggleMute = () => {
-    if (audioRef.current) {
-      if (isMuted) {
-        audioRef.current.volume = volume;
-        setIsMuted(false);
-      } else {
-        audioRef.current.volume = 0;
-        setIsMuted(true);
-      }
-    }
+    onVolumeChange?.({ volume, isMuted: !isMuted });
   };
 
+  const cycleNormalizationMode = () => {
+    const index = NORMALIZATION_MODES.indexOf(normalizationMode);
+    onNormalizationModeChange?.(NORMALIZATION_MODES[(index + 1) % NORMALIZATION_MODES.length]);
+  };
+
+  // With chapters, skipping moves between chapters before tracks
   const handleNext = () => {
+    const chapterStart = getNextChapterStart(chapters, audioRef.current?.currentTime || 0);
+    if (chapterStart !== null) {
+      seekTo(chapterStart);
+      return;
+    }
     if (playlist.length === 0) return;
 
     let nextIndex;
-    if (isShuffle) {
+    if (shuffle) {
       nextIndex = Math.floor(Math.random() * playlist.length);
     } else {
       nextIndex = (currentTrackIndex + 1) % playlist.length;
@@ -166,10 +271,15 @@ const AudioPlayer = ({ playlist = [], currentTrackIndex = 0, onTrackChange }) =>
   };
 
   const handlePrevious = () => {
+    const chapterStart = getPreviousChapterStart(chapters, audioRef.current?.currentTime || 0);
+    if (chapterStart !== null) {
+      seekTo(chapterStart);
+      return;
+    }
     if (playlist.length === 0) return;
 
     let prevIndex;
-    if (isShuffle) {
+    if (shuffle) {
       prevIndex = Math.floor(Math.random() * playlist.length);
     } else {
       prevIndex = currentTrackIndex === 0 ? playlist.length - 1 : currentTrackIndex - 1;
@@ -179,9 +289,14 @@ const AudioPlayer = ({ playlist = [], currentTrackIndex = 0, onTrackChange }) =>
   };
 
   const handleEnded = () => {
-    if (isRepeat) {
-      audioRef.current.currentTime = 0;
+    listeningTracker.handleEnded();
+
+    if (repeat === 'one') {
+      audioRef.current.currentTime = silenceTrim?.start || 0;
       handlePlay();
+    } else if (repeat === 'none' && !shuffle && currentTrackIndex === playlist.length - 1) {
+      // End of the list without repeat: stop instead of wrapping around
+      handlePause();
     } else {
       handleNext();
     }
@@ -219,6 +334,7 @@ const AudioPlayer = ({ playlist = [], currentTrackIndex = 0, onTrackChange }) =>
         <audio
           ref={audioRef}
           src={currentTrack?.url}
+          onPlaying={listeningTracker.handlePlaying}
           onTimeUpdate={handleTimeUpdate}
           onLoadedMetadata={handleLoadedMetadata}
           onEnded={handleEnded}
@@ -241,27 +357,39 @@ const AudioPlayer = ({ playlist = [], currentTrackIndex = 0, onTrackChange }) =>
 
         {/* Track Info */}
         <div className="text-center mb-6">
+          {currentTrack?.hasArtwork && (
+            <TrackArtwork track={currentTrack} className="w-32 h-32 mx-auto mb-4 rounded-xl shadow-lg" />
+          )}
           <motion.h2
             key={currentTrack?.name}
             initial={{ opacity: 0 }}
             animate={{ opacity: 1 }}
             className="text-2xl font-bold text-white mb-2 truncate"
           >
-            {currentTrack?.name || 'Unknown Track'}
+            {currentTrack ? getTrackTitle(currentTrack) : 'Unknown Track'}
           </motion.h2>
           <p className="text-white/70">
+            {currentTrack?.metadata?.artist && `${currentTrack.metadata.artist} · `}
             Track {currentTrackIndex + 1} of {playlist.length}
           </p>
         </div>
 
         {/* Visualizer */}
         <div className="mb-6 flex justify-center">
-          <div className="relative">
+          <div className="relative overflow-hidden rounded-lg">
+            {artworkUrl && (
+              <img
+                src={artworkUrl}
+                alt=""
+                aria-hidden="true"
+                className="absolute inset-0 w-full h-full object-cover blur-2xl scale-125 opacity-40"
+              />
+            )}
             <canvas
               ref={canvasRef}
               width={600}
               height={120}
-              className="rounded-lg bg-black/20 border border-white/10"
+              className="relative block rounded-lg bg-black/20 border border-white/10"
               style={{ maxWidth: '100%', height: 'auto' }}
             />
             {!isPlaying && (
@@ -272,18 +400,58 @@ const AudioPlayer = ({ playlist = [], currentTrackIndex = 0, onTrackChange }) =>
           </div>
         </div>
 
+        {/* Lyrics */}
+        {showLyrics && (
+          <div className="mb-6 rounded-lg bg-black/20 border border-white/10">
+            <LyricsPane
+              lyrics={lyrics}
+              currentTime={currentTime}
+              getCurrentTime={getCurrentTime}
+              isPlaying={isPlaying}
+              onSeek={seekTo}
+              onAttach={(file) => onAttachLyrics?.(currentTrack.id, file)}
+              onRemove={() => onRemoveLyrics?.(currentTrack.id)}
+            />
+          </div>
+        )}
+
         {/* Progress Bar */}
         <div className="mb-6">
-          <Slider
-            value={[progressPercentage]}
-            onValueChange={handleSeek}
-            max={100}
-            step={0.1}
-            className="w-full mb-2"
-            disabled={!currentTrack || isLoading}
-          />
-          <div className="flex justify-between text-sm text-white/70">
+          <div className="relative mb-2">
+            <Slider
+              value={[progressPercentage]}
+              onValueChange={handleSeek}
+              max={100}
+              step={0.1}
+              className="w-full"
+              disabled={!currentTrack || isLoading}
+            />
+            {duration > 0 && chapters.slice(1).map((chapter) => (
+              <span
+                key={chapter.start}
+                aria-hidden="true"
+                className="absolute top-1/2 -translate-y-1/2 -translate-x-1/2 w-0.5 h-3 rounded-full bg-white/60 pointer-events-none"
+                style={{ left: `${(chapter.start / duration) * 100}%` }}
+              />
+            ))}
+          </div>
+          <div className="flex justify-between items-center gap-4 text-sm text-white/70">
             <span>{formatTime(currentTime)}</span>
+            {chapters.length > 0 && (
+              <button
+                type="button"
+                onClick={() => setShowChapters(true)}
+                className="flex items-center gap-1.5 min-w-0 hover:text-white transition-colors"
+                aria-label="Show chapters"
+              >
+                <ListOrdered className="w-4 h-4 flex-shrink-0" />
+                <span className="truncate">
+                  {chapterIndex === -1
+                    ? `${chapters.length} chapters`
+                    : `${chapterIndex + 1}/${chapters.length} · ${chapters[chapterIndex].title}`}
+                </span>
+              </button>
+            )}
             <span>{formatTime(duration)}</span>
           </div>
         </div>
@@ -291,8 +459,8 @@ const AudioPlayer = ({ playlist = [], currentTrackIndex = 0, onTrackChange }) =>
         {/* Main Controls */}
         <div className="flex items-center justify-center gap-4 mb-6">
           <Button
-            onClick={() => setIsShuffle(!isShuffle)}
-            variant={isShuffle ? 'default' : 'ghost'}
+            onClick={() => onModesChange?.({ shuffle: !shuffle })}
+            variant={shuffle ? 'default' : 'ghost'}
             size="sm"
             className="text-white hover:bg-white/20"
             disabled={playlist.length <= 1}
@@ -305,7 +473,7 @@ const AudioPlayer = ({ playlist = [], currentTrackIndex = 0, onTrackChange }) =>
             variant="ghost"
             size="lg"
             className="text-white hover:bg-white/20"
-            disabled={playlist.length <= 1}
+            disabled={playlist.length <= 1 && chapters.length === 0}
           >
             <SkipBack className="w-6 h-6" />
           </Button>
@@ -330,19 +498,40 @@ const AudioPlayer = ({ playlist = [], currentTrackIndex = 0, onTrackChange }) =>
             variant="ghost"
             size="lg"
             className="text-white hover:bg-white/20"
-            disabled={playlist.length <= 1}
+            disabled={playlist.length <= 1 && chapters.length === 0}
           >
             <SkipForward className="w-6 h-6" />
           </Button>
 
           <Button
-            onClick={() => setIsRepeat(!isRepeat)}
-            variant={isRepeat ? 'default' : 'ghost'}
+            onClick={() => onModesChange?.({ repeat: nextRepeatMode(repeat) })}
+            variant={repeat !== 'none' ? 'default' : 'ghost'}
+            size="sm"
+            className="text-white hover:bg-white/20"
+            aria-label={`Repeat: ${repeat}`}
+          >
+            {repeat === 'one' ? <Repeat1 className="w-4 h-4" /> : <Repeat className="w-4 h-4" />}
+          </Button>
+
+          <Button
+            onClick={() => setShowLyrics((previous) => !previous)}
+            variant={showLyrics ? 'default' : 'ghost'}
             size="sm"
             className="text-white hover:bg-white/20"
+            aria-label={showLyrics ? 'Hide lyrics' : 'Show lyrics'}
+            aria-pressed={showLyrics}
           >
-            <Repeat className="w-4 h-4" />
+            <MicVocal className="w-4 h-4" />
           </Button>
+
+          {currentTrack && (
+            <SilenceTrimMenu
+              track={currentTrack}
+              threshold={silenceThreshold}
+              onThresholdChange={(threshold) => onSilenceThresholdChange?.(threshold)}
+              onTrimChange={(trackId, enabled) => onTrimSilenceChange?.(trackId, enabled)}
+            />
+          )}
         </div>
 
         {/* Volume Control */}
@@ -367,10 +556,34 @@ const AudioPlayer = ({ playlist = [], currentTrackIndex = 0, onTrackChange }) =>
             step={1}
             className="flex-1"
           />
+
+          <Button
+            onClick={cycleNormalizationMode}
+            variant="ghost"
+            size="sm"
+            className={`hover:bg-white/20 flex-shrink-0 gap-1.5 ${normalizationMode !== 'off' ? 'text-purple-300' : 'text-white/60'}`}
+            aria-label={`Loudness normalization: ${normalizationMode}`}
+            title={normalizationMode === 'off'
+              ? 'Loudness normalization off'
+              : `Normalizing by ${normalizationMode} (${normalizationGain > 0 ? '+' : ''}${normalizationGain.toFixed(1)} dB)`}
+          >
+            <Gauge className="w-4 h-4" />
+            <span className="text-xs capitalize w-9 text-left">{normalizationMode}</span>
+          </Button>
         </div>
       </Card>
+
+      <ChapterSheet
+        open={showChapters && chapters.length > 0}
+        onOpenChange={setShowChapters}
+        trackTitle={currentTrack ? getTrackTitle(currentTrack) : ''}
+        chapters={chapters}
+        currentIndex={chapterIndex}
+        onSelect={seekTo}
+      />
     </motion.div>
   );
-};
+});
+AudioPlayer.displayName = 'AudioPlayer';
 
 export default AudioPlayer;
@@ -1,19 +1,33 @@
 import { useState, useRef } from 'react'
-import { Upload, X, Music, FileAudio } from 'lucide-react'
+import { Upload, X, Music, FileAudio, FolderOpen } from 'lucide-react'
 import { motion, AnimatePresence } from 'framer-motion'
+import { formatFileSize, isValidAudioFile } from '@/lib/audio-utils'
+import { hashFile } from '@/lib/content-hash'
+import { readAudioTags } from '@/lib/metadata'
+import { readArtworkThumbnail } from '@/lib/metadata/artwork'
+import { readEmbeddedLyrics } from '@/lib/metadata/embedded-lyrics'
+import { readChapters } from '@/lib/metadata/chapters'
+import { inferTagsFromPath, applyInferredTags, getFilePath } from '@/lib/metadata/filename-patterns'
+import { isLyricsFile, matchLyricsFiles } from '@/lib/lyrics'
+import FilenamePatternPreview from '@/components/FilenamePatternPreview'
 
-const AudioUploader = ({ onFileUpload, uploadedFiles, onFileRemove }) => {
+const AudioUploader = ({ onFileUpload, uploadedFiles, onFileRemove, availableStorage, filenamePatterns, onFilenamePatternsChange, onLyricsFiles }) => {
   const [isDragOver, setIsDragOver] = useState(false)
   const [isUploading, setIsUploading] = useState(false)
   const [error, setError] = useState('')
+  // Files waiting on the filename pattern preview, with their embedded tags
+  const [pendingEntries, setPendingEntries] = useState(null)
   const fileInputRef = useRef(null)
+  const folderInputRef = useRef(null)
 
-  const allowedTypes = ['audio/mp3', 'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/m4a', 'audio/aac']
+  const allowedTypes = ['audio/mp3', 'audio/mpeg', 'audio/wav', 'audio/ogg', 'audio/opus', 'audio/flac', 'audio/x-flac', 'audio/m4a', 'audio/aac', 'audio/webm']
   const maxFileSize = 50 * 1024 * 1024 // 50MB
 
   const validateFile = (file) => {
-    if (!allowedTypes.includes(file.type)) {
-      return 'Please upload a valid audio file (MP3, WAV, OGG, M4A, AAC)'
+    // Some systems report no MIME type for FLAC and Opus, so fall back to
+    // the file extension
+    if (!allowedTypes.includes(file.type) && !isValidAudioFile(file)) {
+      return 'Please upload a valid audio file (MP3, WAV, OGG, OPUS, FLAC, M4A, AAC, WEBM)'
     }
     if (file.size > maxFileSize) {
       return 'File size must be less than 50MB'
@@ -21,42 +35,21 @@ const AudioUploader = ({ onFileUpload, uploadedFiles, onFileRemove }) => {
     return null
   }
 
-  const processFile = async (file) => {
-    const validationError = validateFile(file)
-    if (validationError) {
-      setError(validationError)
-      return
-    }
-
+  const processFile = async (file, metadata, lyricsFile) => {
     setIsUploading(true)
     setError('')
 
+    // Temporary URL used only to read the duration; playback URLs are
+    // created from the stored audio bytes
+    const url = URL.createObjectURL(file)
+
     try {
-      // Create file URL for playback
-      const url = URL.createObjectURL(file)
-      
       // Create audio element to get duration and metadata
       const audio = new Audio(url)
       
-      await new Promise((resolve, reject) => {
+      const duration = await new Promise((resolve, reject) => {
         audio.addEventListener('loadedmetadata', () => {
-          const fileData = {
-            id: Date.now() + Math.random(),
-            name: file.name,
-            size: file.size,
-            type: file.type,
-            duration: audio.duration,
-            url: url,
-            uploadedAt: new Date().toISOString()
-          }
-
-          // Save to localStorage
-          const existingFiles = JSON.parse(localStorage.getItem('audioFiles') || '[]')
-          const updatedFiles = [...existingFiles, fileData]
-          localStorage.setItem('audioFiles', JSON.stringify(updatedFiles))
-
-          onFileUpload(fileData)
-          resolve()
+          resolve(audio.duration)
         })
 
         audio.addEventListener('error', () => {
@@ -66,17 +59,103 @@ const AudioUploader = ({ onFileUpload, uploadedFiles, onFileRemove }) => {
         audio.load()
       })
 
-    } catch (err) {
+      // The content hash doubles as the track id, so re-uploading the same
+      // file is recognised as a duplicate
+      const contentHash = await hashFile(file).catch(hashError => {
+        console.warn('Failed to hash', file.name, hashError)
+        return null
+      })
+
+      // Stream headers give exact durations where the browser estimates
+      // (VBR MP3) or reports Infinity (recorded WebM, some Ogg files)
+      const trackDuration = metadata.duration || (Number.isFinite(duration) ? duration : 0)
+
+      const [artwork, embeddedLyrics, chapters] = await Promise.all([
+        readArtworkThumbnail(file),
+        readEmbeddedLyrics(file),
+        readChapters(file, trackDuration)
+      ])
+      const lyrics = lyricsFile ? { text: await lyricsFile.text(), name: lyricsFile.name } : null
+
+      onFileUpload({
+        id: contentHash || Date.now() + Math.random(),
+        contentHash: contentHash || undefined,
+        name: file.name,
+        size: file.size,
+        type: file.type,
+        duration: trackDuration,
+        metadata,
+        chapters,
+        artwork,
+        lyrics,
+        embeddedLyrics,
+        uploadedAt: new Date().toISOString(),
+        file
+      })
+    } catch {
       setError('Failed to process audio file. Please try again.')
-      URL.revokeObjectURL(url)
     } finally {
+      URL.revokeObjectURL(url)
       setIsUploading(false)
     }
   }
 
-  const handleFileSelect = (files) => {
-    const fileArray = Array.from(files)
-    fileArray.forEach(processFile)
+  const importFiles = (entries) => {
+    setPendingEntries(null)
+    entries.forEach(({ file, metadata, lyricsFile }) => processFile(file, metadata, lyricsFile))
+  }
+
+  const handleFileSelect = async (files, { fromFolder = false } = {}) => {
+    // Lyrics files travel with the audio they are named after
+    const lyricsFiles = Array.from(files).filter(isLyricsFile)
+    // Folders usually hold cover images and playlists next to the audio
+    const fileArray = Array.from(files).filter(file => {
+      if (isLyricsFile(file)) return false
+      return !fromFolder || allowedTypes.includes(file.type) || isValidAudioFile(file)
+    })
+    setError('')
+
+    // Warn up front instead of letting the browser fail mid-way through a batch
+    const totalSize = fileArray.reduce((sum, file) => sum + file.size, 0)
+    if (availableStorage !== undefined && totalSize > availableStorage) {
+      setError(
+        `Not enough storage space: ${formatFileSize(totalSize)} needed, ` +
+        `${formatFileSize(availableStorage)} available. Free up space in the storage panel and try again.`
+      )
+      return
+    }
+
+    const validFiles = fileArray.filter(file => {
+      const validationError = validateFile(file)
+      if (validationError) setError(validationError)
+      return !validationError
+    })
+
+    // Lyrics without audio in the same upload are for tracks already in
+    // the library
+    const { matches, unmatched } = matchLyricsFiles(lyricsFiles, validFiles)
+    if (unmatched.length > 0) onLyricsFiles(unmatched)
+    if (validFiles.length === 0) return
+
+    setIsUploading(true)
+    const entries = await Promise.all(validFiles.map(async (file, index) => ({
+      key: `${index}-${getFilePath(file)}`,
+      file,
+      lyricsFile: matches.get(file),
+      tags: await readAudioTags(file)
+    })))
+    setIsUploading(false)
+
+    // Untagged files get a preview of what the filename patterns make of
+    // them before anything is imported
+    if (entries.some(entry => !entry.tags.title || !entry.tags.artist)) {
+      setPendingEntries(entries)
+    } else {
+      importFiles(entries.map(entry => ({
+        ...entry,
+        metadata: applyInferredTags(entry.tags, inferTagsFromPath(getFilePath(entry.file), filenamePatterns).tags).metadata
+      })))
+    }
   }
 
   const handleDragEnter = (e) => {
@@ -112,34 +191,16 @@ const AudioUploader = ({ onFileUpload, uploadedFiles, onFileRemove }) => {
   const handleFileInputChange = (e) => {
     const files = e.target.files
     if (files.length > 0) {
-      handleFileSelect(files)
+      handleFileSelect(files, { fromFolder: e.target === folderInputRef.current })
     }
     // Reset input value to allow re-uploading same file
     e.target.value = ''
   }
 
   const handleRemoveFile = (fileId) => {
-    const existingFiles = JSON.parse(localStorage.getItem('audioFiles') || '[]')
-    const fileToRemove = existingFiles.find(f => f.id === fileId)
-    
-    if (fileToRemove && fileToRemove.url) {
-      URL.revokeObjectURL(fileToRemove.url)
-    }
-
-    const updatedFiles = existingFiles.filter(f => f.id !== fileId)
-    localStorage.setItem('audioFiles', JSON.stringify(updatedFiles))
-    
     onFileRemove(fileId)
   }
 
-  const formatFileSize = (bytes) => {
-    if (bytes === 0) return '0 Bytes'
-    const k = 1024
-    const sizes = ['Bytes', 'KB', 'MB', 'GB']
-    const i = Math.floor(Math.log(bytes) / Math.log(k))
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i]
-  }
-
   const formatDuration = (seconds) => {
     if (!seconds || isNaN(seconds)) return '0:00'
     const mins = Math.floor(seconds / 60)
@@ -150,56 +211,89 @@ const AudioUploader = ({ onFileUpload, uploadedFiles, onFileRemove }) => {
   return (
     <div className="space-y-6">
       {/* Upload Area */}
-      <motion.div
-        className={`relative border-2 border-dashed rounded-xl p-8 text-center transition-all duration-300 ${
-          isDragOver
-            ? 'border-blue-400 bg-blue-50/10 backdrop-blur-sm'
-            : 'border-gray-300/50 hover:border-gray-400/70'
-        } ${isUploading ? 'pointer-events-none opacity-50' : 'cursor-pointer'}`}
-        style={{
-          background: isDragOver 
-            ? 'rgba(59, 130, 246, 0.05)' 
-            : 'rgba(255, 255, 255, 0.05)',
-          backdropFilter: 'blur(10px)',
-          border: isDragOver 
-            ? '2px dashed rgba(59, 130, 246, 0.5)' 
-            : '2px dashed rgba(255, 255, 255, 0.2)'
-        }}
-        onDragEnter={handleDragEnter}
-        onDragLeave={handleDragLeave}
-        onDragOver={handleDragOver}
-        onDrop={handleDrop}
-        onClick={() => !isUploading && fileInputRef.current?.click()}
-        whileHover={{ scale: 1.02 }}
-        whileTap={{ scale: 0.98 }}
-      >
-        <input
-          ref={fileInputRef}
-          type="file"
-          multiple
-          accept=".mp3,.wav,.ogg,.m4a,.aac"
-          onChange={handleFileInputChange}
-          className="hidden"
-          disabled={isUploading}
+      {pendingEntries ? (
+        <FilenamePatternPreview
+          entries={pendingEntries}
+          patterns={filenamePatterns}
+          onPatternsChange={onFilenamePatternsChange}
+          onImport={importFiles}
+          onCancel={() => setPendingEntries(null)}
         />
-
+      ) : (
         <motion.div
-          animate={isUploading ? { rotate: 360 } : { rotate: 0 }}
-          transition={{ duration: 2, repeat: isUploading ? Infinity : 0, ease: "linear" }}
+          className={`relative border-2 border-dashed rounded-xl p-8 text-center transition-all duration-300 ${
+            isDragOver
+              ? 'border-blue-400 bg-blue-50/10 backdrop-blur-sm'
+              : 'border-gray-300/50 hover:border-gray-400/70'
+          } ${isUploading ? 'pointer-events-none opacity-50' : 'cursor-pointer'}`}
+          style={{
+            background: isDragOver 
+              ? 'rgba(59, 130, 246, 0.05)' 
+              : 'rgba(255, 255, 255, 0.05)',
+            backdropFilter: 'blur(10px)',
+            border: isDragOver 
+              ? '2px dashed rgba(59, 130, 246, 0.5)' 
+              : '2px dashed rgba(255, 255, 255, 0.2)'
+          }}
+          onDragEnter={handleDragEnter}
+          onDragLeave={handleDragLeave}
+          onDragOver={handleDragOver}
+          onDrop={handleDrop}
+          onClick={() => !isUploading && fileInputRef.current?.click()}
+          whileHover={{ scale: 1.02 }}
+          whileTap={{ scale: 0.98 }}
         >
-          <Upload className="mx-auto h-12 w-12 text-gray-400 mb-4" />
-        </motion.div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            accept=".mp3,.wav,.ogg,.oga,.opus,.flac,.m4a,.aac,.webm,.lrc"
+            onChange={handleFileInputChange}
+            className="hidden"
+            disabled={isUploading}
+          />
+
+          <motion.div
+            animate={isUploading ? { rotate: 360 } : { rotate: 0 }}
+            transition={{ duration: 2, repeat: isUploading ? Infinity : 0, ease: "linear" }}
+          >
+            <Upload className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          </motion.div>
 
-        <h3 className="text-lg font-semibold text-white mb-2">
-          {isUploading ? 'Processing Audio...' : 'Upload Audio Files'}
-        </h3>
-        <p className="text-gray-300 mb-4">
-          Drag and drop your audio files here, or click to browse
-        </p>
-        <p className="text-sm text-gray-400">
-          Supports MP3, WAV, OGG, M4A, AAC (max 50MB per file)
-        </p>
-      </motion.div>
+          <h3 className="text-lg font-semibold text-white mb-2">
+            {isUploading ? 'Processing Audio...' : 'Upload Audio Files'}
+          </h3>
+          <p className="text-gray-300 mb-4">
+            Drag and drop your audio files here, or click to browse
+          </p>
+          <p className="text-sm text-gray-400">
+            Supports MP3, WAV, OGG, OPUS, FLAC, M4A, AAC, WEBM (max 50MB per file)
+          </p>
+          <p className="text-sm text-gray-400">
+            Add .lrc files named like their tracks for synced lyrics
+          </p>
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation()
+              folderInputRef.current?.click()
+            }}
+            className="mt-3 inline-flex items-center gap-1.5 text-sm text-purple-300 hover:text-purple-200 transition-colors"
+          >
+            <FolderOpen className="h-4 w-4" />
+            Or choose a folder
+          </button>
+        </motion.div>
+      )}
+      {/* Kept outside the drop zone so its click does not also open the file picker */}
+      <input
+        ref={folderInputRef}
+        type="file"
+        webkitdirectory=""
+        onChange={handleFileInputChange}
+        className="hidden"
+        disabled={isUploading}
+      />
 
       {/* Error Message */}
       <AnimatePresence>
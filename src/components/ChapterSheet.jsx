@@ -0,0 +1,48 @@
+import {
+  Sheet,
+  SheetContent,
+  SheetHeader,
+  SheetTitle,
+  SheetDescription
+} from '@/components/ui/sheet'
+import { cn } from '@/lib/utils'
+import { formatTime } from '@/lib/audio-utils'
+
+const ChapterSheet = ({ open, onOpenChange, trackTitle, chapters, currentIndex, onSelect }) => {
+  return (
+    <Sheet open={open} onOpenChange={onOpenChange}>
+      <SheetContent className="bg-slate-900/95 border-white/20 text-white backdrop-blur-lg flex flex-col">
+        <SheetHeader>
+          <SheetTitle className="text-white">Chapters</SheetTitle>
+          <SheetDescription className="text-white/60 truncate">
+            {trackTitle} · {chapters.length} chapters
+          </SheetDescription>
+        </SheetHeader>
+
+        <ol className="flex-1 overflow-y-auto -mx-2 space-y-1">
+          {chapters.map((chapter, index) => (
+            <li key={`${index}-${chapter.start}`}>
+              <button
+                type="button"
+                onClick={() => onSelect(chapter.start)}
+                aria-current={index === currentIndex ? 'true' : undefined}
+                className={cn(
+                  'w-full flex items-baseline gap-3 px-2 py-2 rounded-lg text-left transition-colors hover:bg-white/10',
+                  index === currentIndex && 'bg-white/20'
+                )}
+              >
+                <span className="text-white/40 text-sm tabular-nums w-6 flex-shrink-0">{index + 1}</span>
+                <span className={cn('flex-1 min-w-0 truncate', index === currentIndex ? 'text-white font-medium' : 'text-white/80')}>
+                  {chapter.title}
+                </span>
+                <span className="text-white/50 text-sm tabular-nums">{formatTime(chapter.start)}</span>
+              </button>
+            </li>
+          ))}
+        </ol>
+      </SheetContent>
+    </Sheet>
+  )
+}
+
+export default ChapterSheet
@@ -0,0 +1,77 @@
+import { useState, useEffect } from 'react'
+import { Copy } from 'lucide-react'
+import {
+  AlertDialog,
+  AlertDialogContent,
+  AlertDialogHeader,
+  AlertDialogTitle,
+  AlertDialogDescription,
+  AlertDialogFooter
+} from '@/components/ui/alert-dialog'
+
+const actionClassName = 'px-4 py-2 rounded-lg text-sm transition-colors'
+
+const DuplicateTrackDialog = ({ duplicate, remaining = 0, onResolve }) => {
+  const [applyToAll, setApplyToAll] = useState(false)
+
+  useEffect(() => {
+    if (!duplicate) setApplyToAll(false)
+  }, [duplicate])
+
+  const resolve = (action) => onResolve(action, applyToAll)
+
+  return (
+    <AlertDialog open={!!duplicate} onOpenChange={(open) => !open && resolve('skip')}>
+      <AlertDialogContent className="bg-slate-900/95 border-white/20 text-white backdrop-blur-lg">
+        <AlertDialogHeader>
+          <AlertDialogTitle className="flex items-center gap-2">
+            <Copy className="w-5 h-5 text-purple-300" />
+            Already in your library
+          </AlertDialogTitle>
+          <AlertDialogDescription className="text-white/70">
+            {duplicate && (
+              duplicate.upload.name === duplicate.existing.name
+                ? `"${duplicate.upload.name}" has already been uploaded.`
+                : `"${duplicate.upload.name}" has the same audio as "${duplicate.existing.name}".`
+            )}
+          </AlertDialogDescription>
+        </AlertDialogHeader>
+
+        {remaining > 0 && (
+          <label className="flex items-center gap-2 text-sm text-white/70">
+            <input
+              type="checkbox"
+              checked={applyToAll}
+              onChange={(e) => setApplyToAll(e.target.checked)}
+              className="accent-purple-500"
+            />
+            Do the same for the other {remaining} duplicate{remaining === 1 ? '' : 's'}
+          </label>
+        )}
+
+        <AlertDialogFooter className="gap-2">
+          <button
+            onClick={() => resolve('keep')}
+            className={`${actionClassName} text-white/70 hover:text-white hover:bg-white/10`}
+          >
+            Keep both
+          </button>
+          <button
+            onClick={() => resolve('replace')}
+            className={`${actionClassName} bg-white/10 hover:bg-white/20 text-white`}
+          >
+            Replace
+          </button>
+          <button
+            onClick={() => resolve('skip')}
+            className={`${actionClassName} bg-purple-600/80 hover:bg-purple-600 text-white`}
+          >
+            Skip
+          </button>
+        </AlertDialogFooter>
+      </AlertDialogContent>
+    </AlertDialog>
+  )
+}
+
+export default DuplicateTrackDialog
@@ -0,0 +1,134 @@
+import { useState, useMemo } from 'react'
+import { FileAudio } from 'lucide-react'
+import {
+  FILENAME_TOKENS,
+  DEFAULT_FILENAME_PATTERNS,
+  compilePattern,
+  inferTagsFromPath,
+  applyInferredTags,
+  getFilePath
+} from '@/lib/metadata/filename-patterns'
+
+const PREVIEW_FIELDS = [
+  ['track', '#'],
+  ['artist', 'Artist'],
+  ['album', 'Album'],
+  ['title', 'Title']
+]
+
+/**
+ * Preview of the tags filename patterns fill in for files selected in the
+ * uploader. Pattern edits apply live and are saved as they are typed.
+ */
+const FilenamePatternPreview = ({ entries, patterns, onPatternsChange, onImport, onCancel }) => {
+  // Kept as typed so blank lines can be added while editing
+  const [text, setText] = useState(() => patterns.join('\n'))
+
+  const errors = useMemo(() => {
+    return patterns
+      .map(pattern => ({ pattern, error: compilePattern(pattern).error }))
+      .filter(({ error }) => error)
+  }, [patterns])
+
+  const previews = useMemo(() => {
+    return entries.map(entry => {
+      const { tags, pattern } = inferTagsFromPath(getFilePath(entry.file), patterns)
+      return { ...entry, ...applyInferredTags(entry.tags, tags), pattern }
+    })
+  }, [entries, patterns])
+
+  const untagged = previews.filter(preview => !preview.tags.title || !preview.tags.artist)
+  const matched = untagged.filter(preview => preview.pattern)
+
+  const handleTextChange = (value) => {
+    setText(value)
+    onPatternsChange(value.split('\n').map(line => line.trim()).filter(Boolean))
+  }
+
+  return (
+    <div className="space-y-4 text-left">
+      <div>
+        <h3 className="text-lg font-semibold text-white">Fill in missing tags</h3>
+        <p className="text-sm text-white/60">
+          {untagged.length} of {entries.length} file{entries.length === 1 ? ' has' : 's have'} no title or artist.
+          {' '}{matched.length} match{matched.length === 1 ? 'es' : ''} a filename pattern.
+        </p>
+      </div>
+
+      <label className="block space-y-1">
+        <span className="text-sm text-white/80">Filename patterns, tried in order</span>
+        <textarea
+          value={text}
+          onChange={(e) => handleTextChange(e.target.value)}
+          rows={Math.min(Math.max(patterns.length, 2), 5)}
+          spellCheck={false}
+          className="w-full bg-white/10 border border-white/20 rounded-md px-2 py-1.5 text-sm text-white font-mono focus:outline-none focus:border-purple-400"
+        />
+      </label>
+      <p className="text-xs text-white/50">
+        Fields: {Object.keys(FILENAME_TOKENS).map(token => `%${token}%`).join(' ')}.
+        {' '}Use <span className="font-mono">/</span> to match folders, e.g. <span className="font-mono">%artist%/%album%/%title%</span>.
+        {' '}
+        <button
+          type="button"
+          onClick={() => handleTextChange(DEFAULT_FILENAME_PATTERNS.join('\n'))}
+          className="text-purple-300 hover:text-purple-200"
+        >
+          Reset to defaults
+        </button>
+      </p>
+      {errors.map(({ pattern, error }, index) => (
+        <p key={index} className="text-xs text-red-300">
+          <span className="font-mono">{pattern}</span>: {error}
+        </p>
+      ))}
+
+      <div className="space-y-2 max-h-64 overflow-y-auto">
+        {untagged.map(preview => (
+          <div key={preview.key} className="flex items-start gap-3 p-3 rounded-lg bg-white/5">
+            <FileAudio className="h-4 w-4 mt-0.5 text-blue-400 flex-shrink-0" />
+            <div className="min-w-0 flex-1">
+              <p className="text-white/50 text-xs truncate" title={getFilePath(preview.file)}>
+                {getFilePath(preview.file)}
+              </p>
+              {preview.fields.length === 0 ? (
+                <p className="text-white/60 text-sm">No pattern matches; the file name is used as the title</p>
+              ) : (
+                <p className="text-sm truncate">
+                  {PREVIEW_FIELDS.filter(([field]) => preview.metadata[field] !== undefined).map(([field, label], index) => (
+                    <span key={field}>
+                      {index > 0 && <span className="text-white/40"> · </span>}
+                      <span className="text-white/40">{label} </span>
+                      <span className={preview.fields.includes(field) ? 'text-purple-300' : 'text-white'}>
+                        {preview.metadata[field]}
+                      </span>
+                    </span>
+                  ))}
+                </p>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button
+          type="button"
+          onClick={onCancel}
+          className="px-4 py-2 rounded-lg text-sm text-white/70 hover:text-white hover:bg-white/10 transition-colors"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => onImport(entries.map((entry, index) => ({ ...entry, metadata: previews[index].metadata })))}
+          className="bg-purple-600/80 hover:bg-purple-600 text-white px-4 py-2 rounded-lg transition-colors"
+        >
+          Import {entries.length} file{entries.length === 1 ? '' : 's'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default FilenamePatternPreview
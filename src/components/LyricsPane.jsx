@@ -0,0 +1,145 @@
+import { useState, useEffect, useRef } from 'react'
+import { FileText, X } from 'lucide-react'
+import { cn } from '@/lib/utils'
+import { getActiveLineIndex, getWordProgress } from '@/lib/lyrics'
+
+const ACTIVE_WORD_COLOR = 'rgb(216 180 254)'
+const PENDING_WORD_COLOR = 'rgb(255 255 255 / 0.5)'
+
+/**
+ * Scrolling lyrics for the current track. Synced lyrics follow playback and
+ * seek on click; word-timed lines fill in word by word.
+ */
+const LyricsPane = ({ lyrics, currentTime, getCurrentTime, isPlaying, onSeek, onAttach, onRemove }) => {
+  const [liveTime, setLiveTime] = useState(currentTime)
+  const containerRef = useRef(null)
+  const lineRefs = useRef([])
+
+  const synced = !!lyrics?.synced
+  const hasWordTimings = synced && lyrics.lines.some(line => line.words)
+
+  // timeupdate only fires a few times a second, too coarse for word timings
+  useEffect(() => {
+    if (!hasWordTimings || !isPlaying) return
+    let frame
+    const tick = () => {
+      setLiveTime(getCurrentTime())
+      frame = requestAnimationFrame(tick)
+    }
+    frame = requestAnimationFrame(tick)
+    return () => cancelAnimationFrame(frame)
+  }, [hasWordTimings, isPlaying, getCurrentTime])
+
+  const time = hasWordTimings && isPlaying ? liveTime : currentTime
+  const activeIndex = synced ? getActiveLineIndex(lyrics.lines, time) : -1
+
+  // Keep the active line in the middle of the pane without scrolling the page
+  useEffect(() => {
+    const container = containerRef.current
+    const line = lineRefs.current[activeIndex]
+    if (!container || !line) return
+    container.scrollTo({
+      top: line.offsetTop - container.clientHeight / 2 + line.clientHeight / 2,
+      behavior: 'smooth'
+    })
+  }, [activeIndex])
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0]
+    if (file) onAttach(file)
+    e.target.value = ''
+  }
+
+  const attachInput = (
+    <input type="file" accept=".lrc,text/plain" onChange={handleFileChange} className="hidden" />
+  )
+
+  if (!lyrics) {
+    return (
+      <div className="h-64 flex flex-col items-center justify-center gap-2 text-white/60 text-sm">
+        <p>No lyrics for this track</p>
+        <label className="flex items-center gap-2 text-purple-300 hover:text-purple-200 cursor-pointer">
+          <FileText className="w-4 h-4" />
+          Attach an .lrc file
+          {attachInput}
+        </label>
+      </div>
+    )
+  }
+
+  const renderWords = (line, index) => {
+    const nextLineTime = lyrics.lines[index + 1]?.time
+    return line.words.map((word, wordIndex) => {
+      const progress = index === activeIndex ? getWordProgress(line, wordIndex, time, nextLineTime) : index < activeIndex ? 1 : 0
+      return (
+        <span
+          key={wordIndex}
+          className="bg-clip-text text-transparent"
+          style={{
+            backgroundImage: `linear-gradient(to right, ${ACTIVE_WORD_COLOR} ${progress * 100}%, ${PENDING_WORD_COLOR} ${progress * 100}%)`
+          }}
+        >
+          {word.text}
+        </span>
+      )
+    })
+  }
+
+  return (
+    <div className="relative">
+      <div ref={containerRef} className="relative h-64 overflow-y-auto px-4 py-24 text-center space-y-3">
+        {lyrics.lines.map((line, index) => {
+          const isActive = index === activeIndex
+          const content = line.words ? renderWords(line, index) : line.text || (synced ? '♪' : ' ')
+
+          if (!synced) {
+            return (
+              <p key={index} className="text-white/80">
+                {content}
+              </p>
+            )
+          }
+
+          return (
+            <button
+              key={index}
+              ref={element => { lineRefs.current[index] = element }}
+              type="button"
+              onClick={() => onSeek(line.time)}
+              className={cn(
+                'block w-full text-lg transition-all duration-300 hover:text-white',
+                isActive ? 'text-white font-semibold scale-105' : index < activeIndex ? 'text-white/40' : 'text-white/60'
+              )}
+            >
+              {content}
+            </button>
+          )
+        })}
+      </div>
+
+      <div className="absolute top-2 right-2 flex items-center gap-2 text-xs text-white/50">
+        <span className="truncate max-w-40">{lyrics.source === 'embedded' ? 'From the file\'s tags' : lyrics.name}</span>
+        {/* Attached lyrics take priority, so attaching overrides embedded ones */}
+        <label
+          className="hover:text-white cursor-pointer"
+          title={lyrics.source === 'embedded' ? 'Attach an .lrc file instead' : 'Replace lyrics'}
+        >
+          <FileText className="w-4 h-4" />
+          {attachInput}
+        </label>
+        {lyrics.source === 'attached' && (
+          <button
+            type="button"
+            onClick={onRemove}
+            className="hover:text-red-400 transition-colors"
+            aria-label="Remove attached lyrics"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default LyricsPane
@@ -0,0 +1,191 @@
+import { useState } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { Library, ListMusic, MoreVertical, Plus, Pencil, Copy, Trash2, Sparkles, SlidersHorizontal } from 'lucide-react'
+import {
+  DropdownMenu,
+  DropdownMenuTrigger,
+  DropdownMenuContent,
+  DropdownMenuItem
+} from '@/components/ui/dropdown-menu'
+
+const PlaylistNameInput = ({ initialValue = '', placeholder, onSubmit, onCancel }) => {
+  const [value, setValue] = useState(initialValue)
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (value.trim()) {
+      onSubmit(value.trim())
+    } else {
+      onCancel()
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="flex-1" onClick={(e) => e.stopPropagation()}>
+      <input
+        autoFocus
+        value={value}
+        placeholder={placeholder}
+        onChange={(e) => setValue(e.target.value)}
+        onBlur={handleSubmit}
+        onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+        className="w-full bg-white/10 border border-white/20 rounded-md px-2 py-1 text-sm text-white placeholder:text-white/40 focus:outline-none focus:border-purple-400"
+      />
+    </form>
+  )
+}
+
+const PlaylistManager = ({
+  playlists,
+  activePlaylistId,
+  libraryCount,
+  trackCounts = {},
+  trashCount = 0,
+  isTrashActive = false,
+  onSelect,
+  onSelectTrash,
+  onCreate,
+  onCreateSmart,
+  onEditSmart,
+  onRename,
+  onDuplicate,
+  onDelete
+}) => {
+  const [isCreating, setIsCreating] = useState(false)
+  const [renamingId, setRenamingId] = useState(null)
+
+  const rowClassName = (isActive) => `flex items-center gap-3 p-2 rounded-lg cursor-pointer transition-all ${
+    isActive ? 'bg-purple-600/30 border border-purple-400/50' : 'bg-white/5 hover:bg-white/10'
+  }`
+
+  const handleDelete = (playlist) => {
+    if (window.confirm(`Delete playlist "${playlist.name}"? The tracks stay in your library.`)) {
+      onDelete(playlist.id)
+    }
+  }
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 shadow-2xl">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-white">Playlists</h2>
+        <DropdownMenu>
+          <DropdownMenuTrigger
+            className="text-white/70 hover:text-white transition-colors"
+            aria-label="New playlist"
+          >
+            <Plus className="w-5 h-5" />
+          </DropdownMenuTrigger>
+          <DropdownMenuContent
+            align="end"
+            className="bg-slate-900/95 border-white/20 text-white backdrop-blur-lg"
+          >
+            <DropdownMenuItem className="focus:bg-white/10 focus:text-white" onSelect={() => setIsCreating(true)}>
+              <ListMusic />
+              New playlist
+            </DropdownMenuItem>
+            <DropdownMenuItem className="focus:bg-white/10 focus:text-white" onSelect={onCreateSmart}>
+              <Sparkles />
+              New smart playlist
+            </DropdownMenuItem>
+          </DropdownMenuContent>
+        </DropdownMenu>
+      </div>
+
+      <div className="space-y-2 max-h-64 overflow-y-auto">
+        <div className={rowClassName(activePlaylistId === null && !isTrashActive)} onClick={() => onSelect(null)}>
+          <Library className="w-4 h-4 text-white/70 flex-shrink-0" />
+          <span className="flex-1 text-white font-medium">Library</span>
+          <span className="text-white/50 text-sm">{libraryCount}</span>
+        </div>
+
+        <AnimatePresence>
+          {playlists.map(playlist => (
+            <motion.div
+              key={playlist.id}
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, x: 20 }}
+              className={rowClassName(activePlaylistId === playlist.id && !isTrashActive)}
+              onClick={() => onSelect(playlist.id)}
+            >
+              {playlist.smart ? (
+                <Sparkles className="w-4 h-4 text-purple-300 flex-shrink-0" />
+              ) : (
+                <ListMusic className="w-4 h-4 text-white/70 flex-shrink-0" />
+              )}
+              {renamingId === playlist.id ? (
+                <PlaylistNameInput
+                  initialValue={playlist.name}
+                  onSubmit={(name) => {
+                    onRename(playlist.id, name)
+                    setRenamingId(null)
+                  }}
+                  onCancel={() => setRenamingId(null)}
+                />
+              ) : (
+                <span className="flex-1 min-w-0 text-white font-medium truncate">{playlist.name}</span>
+              )}
+              <span className="text-white/50 text-sm">{trackCounts[playlist.id] ?? playlist.items.length}</span>
+
+              <DropdownMenu>
+                <DropdownMenuTrigger
+                  onClick={(e) => e.stopPropagation()}
+                  className="text-white/60 hover:text-white transition-colors"
+                  aria-label={`Actions for ${playlist.name}`}
+                >
+                  <MoreVertical className="w-4 h-4" />
+                </DropdownMenuTrigger>
+                <DropdownMenuContent
+                  align="end"
+                  className="bg-slate-900/95 border-white/20 text-white backdrop-blur-lg"
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  <DropdownMenuItem className="focus:bg-white/10 focus:text-white" onSelect={() => setRenamingId(playlist.id)}>
+                    <Pencil />
+                    Rename
+                  </DropdownMenuItem>
+                  {playlist.smart && (
+                    <DropdownMenuItem className="focus:bg-white/10 focus:text-white" onSelect={() => onEditSmart(playlist.id)}>
+                      <SlidersHorizontal />
+                      Edit rules
+                    </DropdownMenuItem>
+                  )}
+                  <DropdownMenuItem className="focus:bg-white/10 focus:text-white" onSelect={() => onDuplicate(playlist.id)}>
+                    <Copy />
+                    Duplicate
+                  </DropdownMenuItem>
+                  <DropdownMenuItem className="text-red-300 focus:bg-red-500/20 focus:text-red-200" onSelect={() => handleDelete(playlist)}>
+                    <Trash2 />
+                    Delete
+                  </DropdownMenuItem>
+                </DropdownMenuContent>
+              </DropdownMenu>
+            </motion.div>
+          ))}
+        </AnimatePresence>
+
+        {isCreating && (
+          <div className="flex items-center gap-3 p-2">
+            <ListMusic className="w-4 h-4 text-white/70 flex-shrink-0" />
+            <PlaylistNameInput
+              placeholder="Playlist name"
+              onSubmit={(name) => {
+                onCreate(name)
+                setIsCreating(false)
+              }}
+              onCancel={() => setIsCreating(false)}
+            />
+          </div>
+        )}
+
+        <div className={rowClassName(isTrashActive)} onClick={onSelectTrash}>
+          <Trash2 className="w-4 h-4 text-white/70 flex-shrink-0" />
+          <span className="flex-1 text-white font-medium">Trash</span>
+          <span className="text-white/50 text-sm">{trashCount}</span>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default PlaylistManager
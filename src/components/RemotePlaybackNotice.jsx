@@ -0,0 +1,28 @@
+import { motion, AnimatePresence } from 'framer-motion'
+import { MonitorSpeaker } from 'lucide-react'
+
+const RemotePlaybackNotice = ({ playback }) => {
+  return (
+    <AnimatePresence>
+      {playback && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: -10 }}
+          className="flex items-center gap-3 mb-6 p-4 rounded-xl bg-blue-600/20 border border-blue-400/40"
+        >
+          <MonitorSpeaker className="w-5 h-5 text-blue-200 flex-shrink-0" />
+          <div className="flex-1 min-w-0">
+            <p className="text-white font-medium">Playing in another tab</p>
+            <p className="text-white/70 text-sm truncate">
+              {playback.trackName || 'Unknown Track'}
+            </p>
+          </div>
+          <span className="text-white/50 text-xs">Press play to take over</span>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  )
+}
+
+export default RemotePlaybackNotice
@@ -0,0 +1,50 @@
+import { motion, AnimatePresence } from 'framer-motion'
+import { History, Play, X } from 'lucide-react'
+import { getTrackTitle } from '@/lib/metadata'
+
+const formatTime = (time) => {
+  const minutes = Math.floor(time / 60)
+  const seconds = Math.floor(time % 60)
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`
+}
+
+const ResumePrompt = ({ session, track, onContinue, onDismiss }) => {
+  return (
+    <AnimatePresence>
+      {session && track && (
+        <motion.div
+          initial={{ opacity: 0, y: -10 }}
+          animate={{ opacity: 1, y: 0 }}
+          exit={{ opacity: 0, y: -10 }}
+          className="flex flex-wrap items-center gap-3 mb-6 p-4 rounded-xl bg-purple-600/20 border border-purple-400/40"
+        >
+          <History className="w-5 h-5 text-purple-200 flex-shrink-0" />
+          <div className="flex-1 min-w-0">
+            <p className="text-white font-medium">Continue where you left off?</p>
+            <p className="text-white/70 text-sm truncate">
+              {getTrackTitle(track)} · {formatTime(session.position)}
+            </p>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={onContinue}
+              className="flex items-center gap-2 bg-purple-600/80 hover:bg-purple-600 text-white px-3 py-2 rounded-lg text-sm transition-colors"
+            >
+              <Play className="w-4 h-4" />
+              Continue
+            </button>
+            <button
+              onClick={onDismiss}
+              className="flex items-center gap-2 text-white/70 hover:text-white px-3 py-2 rounded-lg text-sm transition-colors"
+            >
+              <X className="w-4 h-4" />
+              Start over
+            </button>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  )
+}
+
+export default ResumePrompt
@@ -0,0 +1,76 @@
+import { Scissors } from 'lucide-react'
+import {
+  DropdownMenu,
+  DropdownMenuTrigger,
+  DropdownMenuContent,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuCheckboxItem,
+  DropdownMenuRadioGroup,
+  DropdownMenuRadioItem
+} from '@/components/ui/dropdown-menu'
+import { cn } from '@/lib/utils'
+import { formatTime } from '@/lib/audio-utils'
+import { SILENCE_THRESHOLD_OPTIONS, hasSilenceToTrim } from '@/lib/silence'
+
+// e.g. "Skips a 0:04 lead-in and a 0:12 tail"
+const describeSilence = (track) => {
+  if (!track.silence) return 'Not analyzed yet'
+  if (!hasSilenceToTrim(track)) return 'No silent lead-in or tail'
+  const { start, end } = track.silence
+  const parts = [
+    start > 0 && `a ${formatTime(start)} lead-in`,
+    end !== null && `a ${formatTime(Math.max(0, track.duration - end))} tail`
+  ].filter(Boolean)
+  return `Skips ${parts.join(' and ')}`
+}
+
+const SilenceTrimMenu = ({ track, threshold, onThresholdChange, onTrimChange }) => {
+  const canTrim = hasSilenceToTrim(track)
+  const isTrimming = canTrim && track.trimSilence !== false
+
+  return (
+    <DropdownMenu>
+      <DropdownMenuTrigger
+        className={cn(
+          'inline-flex items-center justify-center h-9 px-3 rounded-md transition-colors hover:bg-white/20',
+          isTrimming ? 'text-purple-300' : 'text-white'
+        )}
+        aria-label="Silence trimming"
+      >
+        <Scissors className="w-4 h-4" />
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end" className="w-64 bg-slate-900/95 border-white/20 text-white backdrop-blur-lg">
+        <DropdownMenuLabel>Silence trimming</DropdownMenuLabel>
+        <DropdownMenuCheckboxItem
+          checked={isTrimming}
+          disabled={!canTrim}
+          onCheckedChange={(checked) => onTrimChange(track.id, checked)}
+          onSelect={(e) => e.preventDefault()}
+          className="focus:bg-white/10 focus:text-white"
+        >
+          <span className="flex flex-col">
+            Trim this track
+            <span className="text-xs text-white/50">{describeSilence(track)}</span>
+          </span>
+        </DropdownMenuCheckboxItem>
+        <DropdownMenuSeparator className="bg-white/10" />
+        <DropdownMenuLabel className="text-xs font-normal text-white/60">Quieter than this counts as silence</DropdownMenuLabel>
+        <DropdownMenuRadioGroup value={String(threshold)} onValueChange={(value) => onThresholdChange(Number(value))}>
+          {SILENCE_THRESHOLD_OPTIONS.map(option => (
+            <DropdownMenuRadioItem
+              key={option}
+              value={String(option)}
+              onSelect={(e) => e.preventDefault()}
+              className="focus:bg-white/10 focus:text-white"
+            >
+              {option} dB
+            </DropdownMenuRadioItem>
+          ))}
+        </DropdownMenuRadioGroup>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  )
+}
+
+export default SilenceTrimMenu
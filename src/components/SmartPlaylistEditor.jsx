@@ -0,0 +1,200 @@
+import { useState, useEffect } from 'react'
+import { Plus, X } from 'lucide-react'
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter
+} from '@/components/ui/dialog'
+import {
+  SMART_FIELDS,
+  SMART_SORT_DIRECTIONS,
+  getOperatorsForField,
+  createCondition,
+  createSmartDefinition,
+  evaluateSmartPlaylist
+} from '@/lib/smart-playlists'
+
+const fieldClassName = 'bg-white/10 border border-white/20 rounded-md px-2 py-1 text-sm text-white focus:outline-none focus:border-purple-400 [&>option]:bg-slate-900'
+
+const SmartPlaylistEditor = ({ open, onOpenChange, playlist, library, onSave }) => {
+  const [name, setName] = useState('')
+  const [smart, setSmart] = useState(createSmartDefinition)
+
+  // Start from the edited playlist, or a fresh definition when creating
+  useEffect(() => {
+    if (open) {
+      setName(playlist?.name || '')
+      setSmart(playlist?.smart || createSmartDefinition())
+    }
+  }, [open, playlist])
+
+  const matchCount = evaluateSmartPlaylist(smart, library).length
+
+  const updateCondition = (index, changes) => {
+    setSmart(prev => ({
+      ...prev,
+      conditions: prev.conditions.map((condition, i) => {
+        if (i !== index) return condition
+        // Changing the field resets the operator to one valid for its type
+        return changes.field ? createCondition(changes.field) : { ...condition, ...changes }
+      })
+    }))
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!name.trim()) return
+    onSave({ name: name.trim(), smart })
+    onOpenChange(false)
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-slate-900/95 border-white/20 text-white backdrop-blur-lg max-w-xl">
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <DialogHeader>
+            <DialogTitle>{playlist ? 'Edit smart playlist' : 'New smart playlist'}</DialogTitle>
+            <DialogDescription className="text-white/60">
+              Tracks are picked automatically and update as your library changes.
+            </DialogDescription>
+          </DialogHeader>
+
+          <input
+            autoFocus
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Playlist name"
+            className={`${fieldClassName} w-full py-2`}
+          />
+
+          <div className="flex items-center gap-2 text-sm text-white/80">
+            Match
+            <select
+              value={smart.match}
+              onChange={(e) => setSmart(prev => ({ ...prev, match: e.target.value }))}
+              className={fieldClassName}
+            >
+              <option value="all">all</option>
+              <option value="any">any</option>
+            </select>
+            of the following rules:
+          </div>
+
+          <div className="space-y-2">
+            {smart.conditions.map((condition, index) => {
+              const operators = getOperatorsForField(condition.field)
+              const operator = operators[condition.operator]
+              return (
+                <div key={index} className="flex items-center gap-2">
+                  <select
+                    value={condition.field}
+                    onChange={(e) => updateCondition(index, { field: e.target.value })}
+                    className={fieldClassName}
+                  >
+                    {Object.entries(SMART_FIELDS).map(([key, { label }]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={condition.operator}
+                    onChange={(e) => updateCondition(index, { operator: e.target.value })}
+                    className={fieldClassName}
+                  >
+                    {Object.entries(operators).map(([key, { label }]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                  {!operator?.noValue && (
+                    <input
+                      value={condition.value ?? ''}
+                      type={SMART_FIELDS[condition.field].type === 'text' ? 'text' : 'number'}
+                      min={0}
+                      step="any"
+                      onChange={(e) => updateCondition(index, { value: e.target.value })}
+                      className={`${fieldClassName} flex-1 min-w-0`}
+                    />
+                  )}
+                  <button
+                    type="button"
+                    onClick={() => setSmart(prev => ({
+                      ...prev,
+                      conditions: prev.conditions.filter((_, i) => i !== index)
+                    }))}
+                    className="ml-auto text-white/60 hover:text-red-400"
+                    aria-label="Remove rule"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              )
+            })}
+            <button
+              type="button"
+              onClick={() => setSmart(prev => ({ ...prev, conditions: [...prev.conditions, createCondition()] }))}
+              className="flex items-center gap-1 text-sm text-purple-300 hover:text-purple-200"
+            >
+              <Plus className="w-4 h-4" />
+              Add rule
+            </button>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2 text-sm text-white/80">
+            Sort by
+            <select
+              value={smart.sort?.field || ''}
+              onChange={(e) => setSmart(prev => ({
+                ...prev,
+                sort: e.target.value ? { field: e.target.value, direction: prev.sort?.direction || 'asc' } : null
+              }))}
+              className={fieldClassName}
+            >
+              <option value="">Library order</option>
+              {Object.entries(SMART_FIELDS).map(([key, { label }]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+            {smart.sort && (
+              <select
+                value={smart.sort.direction}
+                onChange={(e) => setSmart(prev => ({ ...prev, sort: { ...prev.sort, direction: e.target.value } }))}
+                className={fieldClassName}
+              >
+                {Object.entries(SMART_SORT_DIRECTIONS).map(([key, label]) => (
+                  <option key={key} value={key}>{label}</option>
+                ))}
+              </select>
+            )}
+            <span className="ml-2">Limit to</span>
+            <input
+              type="number"
+              min={1}
+              value={smart.limit ?? ''}
+              placeholder="All"
+              onChange={(e) => setSmart(prev => ({ ...prev, limit: parseInt(e.target.value, 10) || null }))}
+              className={`${fieldClassName} w-20`}
+            />
+            tracks
+          </div>
+
+          <DialogFooter className="items-center gap-2">
+            <span className="text-sm text-white/60 sm:mr-auto">
+              {matchCount} matching track{matchCount === 1 ? '' : 's'}
+            </span>
+            <button
+              type="submit"
+              disabled={!name.trim()}
+              className="bg-purple-600/80 hover:bg-purple-600 text-white px-4 py-2 rounded-lg transition-colors disabled:opacity-50"
+            >
+              Save
+            </button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default SmartPlaylistEditor
@@ -0,0 +1,186 @@
+import { useState, useEffect, useMemo } from 'react'
+import { Bar, BarChart, CartesianGrid, XAxis, YAxis } from 'recharts'
+import { Download, Trash2 } from 'lucide-react'
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription
+} from '@/components/ui/dialog'
+import { ChartContainer, ChartTooltip, ChartTooltipContent } from '@/components/ui/chart'
+import { loadHistory, clearHistory } from '@/lib/audio-store'
+import { downloadBlob } from '@/lib/audio-utils'
+import {
+  WEEKDAYS,
+  getListeningTimePerDay,
+  getTopTracks,
+  getSummary,
+  getTimeOfDayHeatmap,
+  historyToJson,
+  historyToCsv
+} from '@/lib/listening-stats'
+
+const chartConfig = {
+  minutes: { label: 'Minutes', color: '#a78bfa' },
+  plays: { label: 'Plays', color: '#60a5fa' }
+}
+
+const tooltipClassName = 'bg-slate-900/95 border-white/20 text-white'
+
+const StatCard = ({ label, value }) => (
+  <div className="p-3 rounded-lg bg-white/5 border border-white/10">
+    <p className="text-white/60 text-xs">{label}</p>
+    <p className="text-white text-xl font-semibold">{value}</p>
+  </div>
+)
+
+const StatsDashboard = ({ open, onOpenChange }) => {
+  const [history, setHistory] = useState([])
+
+  // History lives in IndexedDB, so only read it while the dashboard is open
+  useEffect(() => {
+    if (!open) return
+    loadHistory()
+      .then(setHistory)
+      .catch(error => console.error('Failed to load listening history:', error))
+  }, [open])
+
+  const stats = useMemo(() => ({
+    perDay: getListeningTimePerDay(history),
+    topTracks: getTopTracks(history),
+    summary: getSummary(history),
+    heatmap: getTimeOfDayHeatmap(history)
+  }), [history])
+
+  const heatmapMax = Math.max(1, ...stats.heatmap.flat())
+
+  const handleExport = (format) => {
+    const date = new Date().toISOString().slice(0, 10)
+    const blob = format === 'csv'
+      ? new Blob([historyToCsv(history)], { type: 'text/csv' })
+      : new Blob([historyToJson(history)], { type: 'application/json' })
+    downloadBlob(blob, `listening-history-${date}.${format}`)
+  }
+
+  const handleClear = async () => {
+    if (!window.confirm('Delete your entire listening history?')) return
+    try {
+      await clearHistory()
+      setHistory([])
+    } catch (error) {
+      console.error('Failed to clear listening history:', error)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-slate-900/95 border-white/20 text-white backdrop-blur-lg max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Listening statistics</DialogTitle>
+          <DialogDescription className="text-white/60">
+            Computed on this device from {history.length} recorded play{history.length === 1 ? '' : 's'}.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+          <StatCard label="Plays" value={stats.summary.plays} />
+          <StatCard label="Minutes listened" value={stats.summary.minutes} />
+          <StatCard label="Completed" value={stats.summary.completed} />
+          <StatCard label="Skip rate" value={`${Math.round(stats.summary.skipRate * 100)}%`} />
+        </div>
+
+        <section>
+          <h3 className="text-sm font-semibold text-white/80 mb-2">Listening time per day</h3>
+          <ChartContainer config={chartConfig} className="aspect-auto h-48 w-full">
+            <BarChart data={stats.perDay}>
+              <CartesianGrid vertical={false} stroke="rgba(255,255,255,0.1)" />
+              <XAxis
+                dataKey="date"
+                tickLine={false}
+                axisLine={false}
+                tickFormatter={(date) => date.slice(5)}
+                stroke="rgba(255,255,255,0.6)"
+              />
+              <ChartTooltip content={<ChartTooltipContent className={tooltipClassName} />} />
+              <Bar dataKey="minutes" fill="var(--color-minutes)" radius={4} />
+            </BarChart>
+          </ChartContainer>
+        </section>
+
+        <section>
+          <h3 className="text-sm font-semibold text-white/80 mb-2">Top tracks</h3>
+          {stats.topTracks.length === 0 ? (
+            <p className="text-white/60 text-sm">Play some music to see your top tracks.</p>
+          ) : (
+            <ChartContainer config={chartConfig} className="aspect-auto w-full" style={{ height: stats.topTracks.length * 32 + 20 }}>
+              <BarChart data={stats.topTracks} layout="vertical" margin={{ left: 8 }}>
+                <XAxis type="number" hide />
+                <YAxis
+                  dataKey="name"
+                  type="category"
+                  width={160}
+                  tickLine={false}
+                  axisLine={false}
+                  stroke="rgba(255,255,255,0.6)"
+                  tickFormatter={(name) => (name.length > 22 ? `${name.slice(0, 21)}…` : name)}
+                />
+                <ChartTooltip content={<ChartTooltipContent className={tooltipClassName} />} />
+                <Bar dataKey="plays" fill="var(--color-plays)" radius={4} />
+              </BarChart>
+            </ChartContainer>
+          )}
+        </section>
+
+        <section>
+          <h3 className="text-sm font-semibold text-white/80 mb-2">When you listen</h3>
+          <div className="overflow-x-auto">
+            <div className="grid gap-px text-[10px] text-white/50" style={{ gridTemplateColumns: 'auto repeat(24, minmax(14px, 1fr))' }}>
+              <span />
+              {Array.from({ length: 24 }, (_, hour) => (
+                <span key={hour} className="text-center">{hour % 3 === 0 ? hour : ''}</span>
+              ))}
+              {stats.heatmap.map((hours, day) => (
+                <div key={WEEKDAYS[day]} className="contents">
+                  <span className="pr-2">{WEEKDAYS[day]}</span>
+                  {hours.map((minutes, hour) => (
+                    <div
+                      key={hour}
+                      className="h-4 rounded-sm"
+                      style={{ backgroundColor: `rgba(167, 139, 250, ${minutes ? 0.15 + (minutes / heatmapMax) * 0.85 : 0.05})` }}
+                      title={`${WEEKDAYS[day]} ${hour}:00 · ${minutes} min`}
+                    />
+                  ))}
+                </div>
+              ))}
+            </div>
+          </div>
+        </section>
+
+        <div className="flex flex-wrap gap-2 justify-end">
+          <button
+            onClick={handleClear}
+            disabled={history.length === 0}
+            className="flex items-center gap-2 text-sm text-red-300 hover:text-red-200 px-3 py-2 rounded-lg disabled:opacity-50 sm:mr-auto"
+          >
+            <Trash2 className="w-4 h-4" />
+            Clear history
+          </button>
+          {['json', 'csv'].map(format => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={history.length === 0}
+              className="flex items-center gap-2 text-sm bg-purple-600/80 hover:bg-purple-600 text-white px-3 py-2 rounded-lg disabled:opacity-50"
+            >
+              <Download className="w-4 h-4" />
+              Export {format.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default StatsDashboard
@@ -0,0 +1,116 @@
+import { useState } from 'react'
+import { motion } from 'framer-motion'
+import { HardDrive, ShieldCheck, Trash2, AlertTriangle } from 'lucide-react'
+import { Progress } from '@/components/ui/progress'
+import { formatFileSize } from '@/lib/audio-utils'
+import {
+  EVICTION_STRATEGIES,
+  QUOTA_WARNING_RATIO,
+  getBytesOverTarget,
+  planEviction
+} from '@/lib/storage-quota'
+
+const StorageManager = ({ tracks, quota, isPersisted, onRequestPersistence, onEvict, protectedIds = [] }) => {
+  const [strategy, setStrategy] = useState('least-recently-played')
+  const [isEvicting, setIsEvicting] = useState(false)
+
+  if (!quota) return null
+
+  const isNearlyFull = quota.percentage >= QUOTA_WARNING_RATIO * 100
+  const bytesToFree = getBytesOverTarget(quota)
+  const plan = planEviction(tracks, bytesToFree, strategy, protectedIds)
+
+  const handleEvict = async () => {
+    setIsEvicting(true)
+    try {
+      await onEvict(plan.tracks.map(track => track.id))
+    } finally {
+      setIsEvicting(false)
+    }
+  }
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 shadow-2xl">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+          <HardDrive className="w-5 h-5" />
+          Storage
+        </h2>
+        {isPersisted ? (
+          <span className="flex items-center gap-1 text-xs text-green-300">
+            <ShieldCheck className="w-4 h-4" />
+            Persistent
+          </span>
+        ) : (
+          <motion.button
+            whileHover={{ scale: 1.05 }}
+            whileTap={{ scale: 0.95 }}
+            onClick={onRequestPersistence}
+            className="text-xs text-white/70 hover:text-white underline"
+          >
+            Keep my library
+          </motion.button>
+        )}
+      </div>
+
+      <Progress
+        value={quota.percentage}
+        className={`bg-white/10 ${isNearlyFull ? '[&>div]:bg-red-400' : '[&>div]:bg-purple-400'}`}
+      />
+      <div className="flex justify-between text-sm text-white/70 mt-2">
+        <span>{formatFileSize(quota.used)} used</span>
+        <span>{formatFileSize(quota.available)} free</span>
+      </div>
+
+      {bytesToFree > 0 && (
+        <div className="mt-4 p-3 rounded-lg bg-red-500/10 border border-red-500/30 space-y-3">
+          <p className="text-red-200 text-sm flex items-start gap-2">
+            <AlertTriangle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+            Storage is almost full. Free {formatFileSize(bytesToFree)} to keep uploading.
+          </p>
+
+          <div className="flex gap-2">
+            {Object.entries(EVICTION_STRATEGIES).map(([key, { label }]) => (
+              <button
+                key={key}
+                onClick={() => setStrategy(key)}
+                className={`flex-1 text-xs px-2 py-1 rounded-md transition-colors ${
+                  strategy === key ? 'bg-purple-600/80 text-white' : 'bg-white/5 text-white/70 hover:bg-white/10'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {plan.tracks.length > 0 ? (
+            <>
+              <ul className="text-xs text-white/70 space-y-1 max-h-24 overflow-y-auto">
+                {plan.tracks.map(track => (
+                  <li key={track.id} className="flex justify-between gap-2">
+                    <span className="truncate">{track.name}</span>
+                    <span className="flex-shrink-0">{formatFileSize(track.size)}</span>
+                  </li>
+                ))}
+              </ul>
+              <motion.button
+                whileHover={{ scale: 1.02 }}
+                whileTap={{ scale: 0.98 }}
+                onClick={handleEvict}
+                disabled={isEvicting}
+                className="w-full flex items-center justify-center gap-2 text-sm bg-red-500/60 hover:bg-red-500/80 text-white px-3 py-2 rounded-lg disabled:opacity-50"
+              >
+                <Trash2 className="w-4 h-4" />
+                Remove audio for {plan.tracks.length} track{plan.tracks.length === 1 ? '' : 's'} ({formatFileSize(plan.bytes)})
+              </motion.button>
+            </>
+          ) : (
+            <p className="text-xs text-white/60">No stored audio can be removed.</p>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default StorageManager
@@ -0,0 +1,156 @@
+import { useState, useEffect, useRef } from 'react'
+import { useForm } from 'react-hook-form'
+import { zodResolver } from '@hookform/resolvers/zod'
+import { ImagePlus, Download } from 'lucide-react'
+import {
+  Dialog,
+  DialogContent,
+  DialogHeader,
+  DialogTitle,
+  DialogDescription,
+  DialogFooter
+} from '@/components/ui/dialog'
+import {
+  Form,
+  FormField,
+  FormItem,
+  FormLabel,
+  FormControl,
+  FormMessage
+} from '@/components/ui/form'
+import TrackArtwork from '@/components/TrackArtwork'
+import { EDITABLE_TAG_FIELDS, tagFormSchema, getTagFormValues, canExportTags } from '@/lib/metadata/tag-editor'
+import { getTrackTitle, formatStreamInfo } from '@/lib/metadata'
+import { formatKey, getCamelotCode } from '@/lib/musical-key'
+
+const fieldClassName = 'w-full bg-white/10 border border-white/20 rounded-md px-2 py-1.5 text-sm text-white placeholder:text-white/40 focus:outline-none focus:border-purple-400'
+
+// Tempo and key found by the background analysis, e.g. "128 BPM · A minor (8A)"
+const formatAnalysisInfo = (track) => [
+  track.tempo && `${Math.round(track.tempo.bpm)} BPM`,
+  track.key && `${formatKey(track.key)} (${getCamelotCode(track.key)})`
+].filter(Boolean).join(' · ')
+
+const emptyValues = Object.fromEntries(Object.keys(EDITABLE_TAG_FIELDS).map(field => [field, '']))
+
+const TagEditorDialog = ({ open, onOpenChange, tracks, onSave }) => {
+  const [mixedFields, setMixedFields] = useState([])
+  const [cover, setCover] = useState(null)
+  const form = useForm({ resolver: zodResolver(tagFormSchema), defaultValues: emptyValues })
+  const { reset } = form
+
+  const isBatch = tracks.length > 1
+  const canExport = tracks.length > 0 && tracks.every(canExportTags)
+  const streamInfo = tracks.length === 1 ? formatStreamInfo(tracks[0].metadata) : ''
+  const analysisInfo = tracks.length === 1 ? formatAnalysisInfo(tracks[0]) : ''
+
+  // Start from the tracks' current tags each time the editor opens. Only on
+  // opening: `tracks` changes whenever the library does (analysis results,
+  // play stamps), which must not throw away edits in progress.
+  const wasOpenRef = useRef(false)
+  useEffect(() => {
+    if (open && !wasOpenRef.current) {
+      const { values, mixed } = getTagFormValues(tracks)
+      reset(values)
+      setMixedFields(mixed)
+      setCover(null)
+    }
+    wasOpenRef.current = open
+  }, [open, tracks, reset])
+
+  useEffect(() => {
+    return () => {
+      if (cover) URL.revokeObjectURL(cover.url)
+    }
+  }, [cover])
+
+  const handleCoverChange = (e) => {
+    const file = e.target.files[0]
+    if (file) setCover({ file, url: URL.createObjectURL(file) })
+    e.target.value = ''
+  }
+
+  const submit = (download) => form.handleSubmit(values => {
+    // A batch edit only touches the fields that were changed
+    const fields = isBatch ? Object.keys(form.formState.dirtyFields) : Object.keys(EDITABLE_TAG_FIELDS)
+    onSave({ values, fields, cover: cover?.file || null, download })
+    onOpenChange(false)
+  })
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="bg-slate-900/95 border-white/20 text-white backdrop-blur-lg max-w-lg">
+        <Form {...form}>
+          <form onSubmit={submit(false)} className="space-y-4">
+            <DialogHeader>
+              <DialogTitle>{isBatch ? `Edit ${tracks.length} tracks` : 'Edit tags'}</DialogTitle>
+              <DialogDescription className="text-white/60 truncate">
+                {isBatch ? 'Only the fields you change are applied to every track.' : tracks[0] && getTrackTitle(tracks[0])}
+              </DialogDescription>
+              {streamInfo && <p className="text-xs text-white/50">{streamInfo}</p>}
+              {analysisInfo && <p className="text-xs text-white/50">{analysisInfo}</p>}
+            </DialogHeader>
+
+            <div className="flex items-center gap-4">
+              {cover ? (
+                <img src={cover.url} alt="" className="w-20 h-20 rounded-lg object-cover flex-shrink-0" />
+              ) : (
+                <TrackArtwork track={isBatch ? null : tracks[0]} className="w-20 h-20 rounded-lg" />
+              )}
+              <label className="flex items-center gap-2 text-sm text-purple-300 hover:text-purple-200 cursor-pointer">
+                <ImagePlus className="w-4 h-4" />
+                {cover || tracks.some(track => track.hasArtwork) ? 'Replace cover art' : 'Add cover art'}
+                <input type="file" accept="image/*" onChange={handleCoverChange} className="hidden" />
+              </label>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              {Object.entries(EDITABLE_TAG_FIELDS).map(([field, label]) => (
+                <FormField
+                  key={field}
+                  control={form.control}
+                  name={field}
+                  render={({ field: props }) => (
+                    <FormItem className={field === 'title' || field === 'album' ? 'col-span-2' : ''}>
+                      <FormLabel className="text-white/80">{label}</FormLabel>
+                      <FormControl>
+                        <input
+                          {...props}
+                          inputMode={field === 'year' ? 'numeric' : undefined}
+                          placeholder={mixedFields.includes(field) ? 'Multiple values' : ''}
+                          className={fieldClassName}
+                        />
+                      </FormControl>
+                      <FormMessage className="text-red-300" />
+                    </FormItem>
+                  )}
+                />
+              ))}
+            </div>
+
+            <DialogFooter className="items-center gap-2">
+              <button
+                type="button"
+                onClick={submit(true)}
+                disabled={!canExport}
+                title={canExport ? undefined : 'Only MP3 files can be downloaded with updated tags'}
+                className="flex items-center gap-2 px-4 py-2 rounded-lg text-sm text-white/70 hover:text-white hover:bg-white/10 transition-colors disabled:opacity-50 sm:mr-auto"
+              >
+                <Download className="w-4 h-4" />
+                Save &amp; download
+              </button>
+              <button
+                type="submit"
+                className="bg-purple-600/80 hover:bg-purple-600 text-white px-4 py-2 rounded-lg transition-colors"
+              >
+                Save
+              </button>
+            </DialogFooter>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  )
+}
+
+export default TagEditorDialog
@@ -0,0 +1,19 @@
+import { Music } from 'lucide-react'
+import { useArtworkUrl } from '@/hooks/use-artwork-url'
+import { cn } from '@/lib/utils'
+
+const TrackArtwork = ({ track, className, iconClassName = 'w-1/2 h-1/2' }) => {
+  const url = useArtworkUrl(track)
+
+  return (
+    <div className={cn('flex items-center justify-center overflow-hidden bg-white/10 flex-shrink-0', className)}>
+      {url ? (
+        <img src={url} alt="" className="w-full h-full object-cover" />
+      ) : (
+        <Music className={cn('text-white/40', iconClassName)} />
+      )}
+    </div>
+  )
+}
+
+export default TrackArtwork
@@ -0,0 +1,96 @@
+import { motion, AnimatePresence } from 'framer-motion'
+import { Trash2, RotateCcw, X } from 'lucide-react'
+import { RETENTION_OPTIONS, getDaysUntilPurge } from '@/lib/trash'
+import { formatFileSize } from '@/lib/audio-utils'
+import { getTrackTitle } from '@/lib/metadata'
+
+const TrashView = ({ tracks, retentionDays, onRetentionChange, onRestore, onPurge }) => {
+  const handlePurge = (trackIds, message) => {
+    if (window.confirm(message)) {
+      onPurge(trackIds)
+    }
+  }
+
+  const formatRemaining = (track) => {
+    const days = getDaysUntilPurge(track, retentionDays)
+    if (days === 0) return 'Deleted permanently today'
+    return `Deleted permanently in ${days} day${days === 1 ? '' : 's'}`
+  }
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/20 shadow-2xl">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-semibold text-white">Trash</h2>
+        <button
+          onClick={() => handlePurge(tracks.map(track => track.id), `Permanently delete ${tracks.length} track${tracks.length === 1 ? '' : 's'}? This cannot be undone.`)}
+          disabled={tracks.length === 0}
+          className="text-sm text-red-300 hover:text-red-200 disabled:opacity-50 transition-colors"
+        >
+          Empty trash
+        </button>
+      </div>
+
+      <label className="flex items-center justify-between gap-2 text-sm text-white/70 mb-4">
+        Keep deleted tracks for
+        <select
+          value={retentionDays}
+          onChange={(e) => onRetentionChange(Number(e.target.value))}
+          className="bg-white/10 border border-white/20 rounded-md px-2 py-1 text-sm text-white focus:outline-none focus:border-purple-400 [&>option]:bg-slate-900"
+        >
+          {RETENTION_OPTIONS.map(days => (
+            <option key={days} value={days}>
+              {days} day{days === 1 ? '' : 's'}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <div className="space-y-3 max-h-96 overflow-y-auto">
+        {tracks.length === 0 ? (
+          <div className="text-center py-8 text-white/60">
+            <Trash2 className="w-12 h-12 mx-auto mb-3 opacity-50" />
+            <p>Trash is empty</p>
+            <p className="text-sm mt-1">Deleted tracks stay here for {retentionDays} day{retentionDays === 1 ? '' : 's'}</p>
+          </div>
+        ) : (
+          <AnimatePresence>
+            {tracks.map(track => (
+              <motion.div
+                key={track.id}
+                initial={{ opacity: 0, y: 10 }}
+                animate={{ opacity: 1, y: 0 }}
+                exit={{ opacity: 0, x: 20 }}
+                className="flex items-center justify-between p-3 rounded-lg bg-white/5"
+              >
+                <div className="flex-1 min-w-0">
+                  <p className="text-white font-medium truncate">{getTrackTitle(track)}</p>
+                  <p className="text-white/60 text-sm">
+                    {formatFileSize(track.size)} · {formatRemaining(track)}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2 ml-2">
+                  <button
+                    onClick={() => onRestore(track.id)}
+                    className="text-white/60 hover:text-white transition-colors"
+                    aria-label={`Restore ${track.name}`}
+                  >
+                    <RotateCcw className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handlePurge([track.id], `Permanently delete "${track.name}"? This cannot be undone.`)}
+                    className="text-white/60 hover:text-red-400 transition-colors"
+                    aria-label={`Delete ${track.name} permanently`}
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </motion.div>
+            ))}
+          </AnimatePresence>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default TrashView
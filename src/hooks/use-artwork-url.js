@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react';
+import { getArtworkUrl, subscribeToArtwork } from '@/lib/audio-store';
+
+/**
+ * Object URL of a track's artwork thumbnail, or null while loading and for
+ * tracks without artwork. Follows artwork replaced in this tab.
+ */
+export function useArtworkUrl(track) {
+  const [url, setUrl] = useState(null);
+  const [version, setVersion] = useState(0);
+  const trackId = track?.id;
+  const hasArtwork = !!track?.hasArtwork;
+
+  useEffect(() => {
+    return subscribeToArtwork((id) => {
+      if (id === trackId) setVersion((previous) => previous + 1);
+    });
+  }, [trackId]);
+
+  useEffect(() => {
+    if (!trackId || !hasArtwork) {
+      setUrl(null);
+      return;
+    }
+
+    let cancelled = false;
+    getArtworkUrl(trackId)
+      .then((nextUrl) => {
+        if (!cancelled) setUrl(nextUrl);
+      })
+      .catch((error) => {
+        console.warn('Failed to load artwork:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [trackId, hasArtwork, version]);
+
+  return url;
+}
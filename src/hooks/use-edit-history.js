@@ -0,0 +1,83 @@
+import { useRef, useEffect, useCallback } from 'react';
+import {
+  createEditHistory,
+  recordEdit,
+  undoHistory,
+  redoHistory,
+  forgetTracks,
+  hasChanges,
+} from '@/lib/edit-history';
+
+const isTextInput = (element) => {
+  if (!element) return false;
+  return element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName);
+};
+
+/**
+ * Undo/redo stack with Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS)
+ * `onApply(edit, side)` applies the 'before' side of an edit to undo it and
+ * the 'after' side to redo it. Shortcuts are left to the browser while a
+ * text field has focus.
+ */
+export function useEditHistory(onApply) {
+  const historyRef = useRef(createEditHistory());
+  const onApplyRef = useRef(onApply);
+
+  useEffect(() => {
+    onApplyRef.current = onApply;
+  }, [onApply]);
+
+  const record = useCallback((edit) => {
+    if (!hasChanges(edit)) return false;
+    historyRef.current = recordEdit(historyRef.current, edit);
+    return true;
+  }, []);
+
+  /**
+   * Undo the latest edit. With `editId`, only undo if that edit is still
+   * the latest, so an old toast cannot undo something newer.
+   */
+  const undo = useCallback((editId) => {
+    const { past } = historyRef.current;
+    if (editId && past[past.length - 1]?.id !== editId) return null;
+
+    const { history, edit } = undoHistory(historyRef.current);
+    if (!edit) return null;
+    historyRef.current = history;
+    onApplyRef.current(edit, 'before');
+    return edit;
+  }, []);
+
+  const redo = useCallback(() => {
+    const { history, edit } = redoHistory(historyRef.current);
+    if (!edit) return null;
+    historyRef.current = history;
+    onApplyRef.current(edit, 'after');
+    return edit;
+  }, []);
+
+  // Purged tracks cannot come back, so neither can edits that touched them
+  const forget = useCallback((trackIds) => {
+    historyRef.current = forgetTracks(historyRef.current, trackIds);
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || isTextInput(event.target)) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [undo, redo]);
+
+  return { record, undo, redo, forget };
+}
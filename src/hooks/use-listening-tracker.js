@@ -0,0 +1,79 @@
+import { useRef, useEffect, useCallback } from 'react';
+import { createPlaySession, finishPlaySession } from '@/lib/listening-stats';
+
+// Larger jumps between time updates are seeks, not listening
+const MAX_LISTENING_STEP = 2;
+
+/**
+ * Record play sessions for the track loaded in an audio element
+ * Returns handlers to wire to the element's events; `onRecord` receives each
+ * finished session.
+ */
+export function useListeningTracker(audioRef, track, onRecord) {
+  const sessionRef = useRef(null);
+  const lastTimeRef = useRef(null);
+  const onRecordRef = useRef(onRecord);
+
+  useEffect(() => {
+    onRecordRef.current = onRecord;
+  }, [onRecord]);
+
+  const finishSession = useCallback((reason) => {
+    const session = sessionRef.current;
+    sessionRef.current = null;
+    lastTimeRef.current = null;
+    if (!session) return;
+
+    // The element may already hold the next track, so use the last position
+    // seen for this session rather than reading it back
+    const entry = finishPlaySession(session, {
+      reason,
+      position: session.position || 0,
+      duration: session.duration,
+    });
+    if (entry) {
+      onRecordRef.current?.(entry);
+    }
+  }, []);
+
+  // Changing track ends the running session
+  const trackId = track?.id;
+  useEffect(() => {
+    return () => finishSession('changed');
+  }, [trackId, finishSession]);
+
+  // Closing the page ends it too
+  useEffect(() => {
+    const handlePageHide = () => finishSession('closed');
+    window.addEventListener('pagehide', handlePageHide);
+    return () => window.removeEventListener('pagehide', handlePageHide);
+  }, [finishSession]);
+
+  const handlePlaying = useCallback(() => {
+    if (!sessionRef.current && track) {
+      sessionRef.current = createPlaySession(track);
+    }
+    lastTimeRef.current = audioRef.current ? audioRef.current.currentTime : null;
+  }, [audioRef, track]);
+
+  const handleTimeUpdate = useCallback((currentTime) => {
+    const session = sessionRef.current;
+    if (!session || audioRef.current?.paused) return;
+
+    if (lastTimeRef.current !== null) {
+      const step = currentTime - lastTimeRef.current;
+      if (step > 0 && step < MAX_LISTENING_STEP) {
+        session.listenedSeconds += step;
+      }
+    }
+    lastTimeRef.current = currentTime;
+    session.position = currentTime;
+    if (isFinite(audioRef.current?.duration)) {
+      session.duration = audioRef.current.duration;
+    }
+  }, [audioRef]);
+
+  const handleEnded = useCallback(() => finishSession('ended'), [finishSession]);
+
+  return { handlePlaying, handleTimeUpdate, handleEnded };
+}
@@ -0,0 +1,52 @@
+import { useState, useEffect } from 'react';
+import { loadLyrics, loadEmbeddedLyrics, subscribeToLyrics } from '@/lib/audio-store';
+import { parseLrc } from '@/lib/lyrics';
+
+/**
+ * Lyrics for a track, or null while loading and for tracks without any.
+ * An attached LRC file wins over lyrics embedded in the file's tags;
+ * `source` says which one was used. Follows lyrics attached or removed in
+ * this tab.
+ */
+export function useLyrics(track) {
+  const [lyrics, setLyrics] = useState(null);
+  const [version, setVersion] = useState(0);
+  const trackId = track?.id;
+  const hasLyrics = !!track?.hasLyrics;
+  const hasEmbeddedLyrics = !!track?.hasEmbeddedLyrics;
+
+  useEffect(() => {
+    return subscribeToLyrics((id) => {
+      if (id === trackId) setVersion((previous) => previous + 1);
+    });
+  }, [trackId]);
+
+  useEffect(() => {
+    setLyrics(null);
+    if (!trackId || (!hasLyrics && !hasEmbeddedLyrics)) return;
+
+    let cancelled = false;
+    const load = async () => {
+      const attached = hasLyrics ? await loadLyrics(trackId) : null;
+      if (attached) {
+        return { ...parseLrc(attached.text), source: 'attached', name: attached.name };
+      }
+      const embedded = hasEmbeddedLyrics ? await loadEmbeddedLyrics(trackId) : null;
+      return embedded ? { ...embedded, source: 'embedded' } : null;
+    };
+
+    load()
+      .then((nextLyrics) => {
+        if (!cancelled) setLyrics(nextLyrics);
+      })
+      .catch((error) => {
+        console.warn('Failed to load lyrics:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [trackId, hasLyrics, hasEmbeddedLyrics, version]);
+
+  return lyrics;
+}
@@ -0,0 +1,36 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getStorageQuota,
+  isStoragePersisted,
+  requestPersistentStorage,
+} from '@/lib/storage-quota';
+
+/**
+ * Track the origin's storage quota and persistence state
+ */
+export function useStorageQuota() {
+  const [quota, setQuota] = useState(null);
+  const [isPersisted, setIsPersisted] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const [nextQuota, persisted] = await Promise.all([getStorageQuota(), isStoragePersisted()]);
+      setQuota(nextQuota);
+      setIsPersisted(persisted);
+    } catch (error) {
+      console.warn('Failed to read storage quota:', error);
+    }
+  }, []);
+
+  const requestPersistence = useCallback(async () => {
+    const granted = await requestPersistentStorage();
+    setIsPersisted(granted);
+    return granted;
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { quota, isPersisted, refresh, requestPersistence };
+}
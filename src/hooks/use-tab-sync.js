@@ -0,0 +1,76 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { createTabChannel, subscribeToDataChanges } from '@/lib/tab-sync';
+
+/**
+ * Keep this tab in step with other open tabs
+ * `onDataChange` runs when another tab changes the stored library or
+ * playlists, and `onRemotePlay` when another tab starts playing, so this one
+ * can stop. `remotePlayback` describes what the other tab is playing.
+ */
+export function useTabSync({ onDataChange, onRemotePlay }) {
+  const [remotePlayback, setRemotePlayback] = useState(null);
+  const channelRef = useRef(null);
+  const localPlaybackRef = useRef(null);
+  const handlersRef = useRef({ onDataChange, onRemotePlay });
+
+  useEffect(() => {
+    handlersRef.current = { onDataChange, onRemotePlay };
+  }, [onDataChange, onRemotePlay]);
+
+  useEffect(() => {
+    const forgetTab = (tabId) => {
+      setRemotePlayback((prev) => (prev?.tabId === tabId ? null : prev));
+    };
+
+    const channel = createTabChannel((message) => {
+      switch (message.type) {
+        case 'hello':
+          // A new tab wants to know if anything is already playing
+          if (localPlaybackRef.current?.isPlaying) {
+            channel.post({ type: 'playback', ...localPlaybackRef.current });
+          }
+          break;
+        case 'playback':
+          if (message.isPlaying) {
+            setRemotePlayback(message);
+            handlersRef.current.onRemotePlay?.();
+          } else {
+            forgetTab(message.tabId);
+          }
+          break;
+        case 'closed':
+          forgetTab(message.tabId);
+          break;
+        default:
+          break;
+      }
+    });
+    channelRef.current = channel;
+    channel.post({ type: 'hello' });
+
+    const unsubscribe = subscribeToDataChanges(() => handlersRef.current.onDataChange?.());
+    const handlePageHide = () => channel.post({ type: 'closed' });
+    window.addEventListener('pagehide', handlePageHide);
+
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      unsubscribe();
+      channel.close();
+      channelRef.current = null;
+    };
+  }, []);
+
+  /**
+   * Tell other tabs what this tab is playing; starting playback here makes
+   * them stop
+   */
+  const announcePlayback = useCallback((playback) => {
+    localPlaybackRef.current = playback;
+    if (playback.isPlaying) {
+      setRemotePlayback(null);
+    }
+    channelRef.current?.post({ type: 'playback', ...playback });
+  }, []);
+
+  return { remotePlayback, announcePlayback };
+}
@@ -0,0 +1,81 @@
+import { useState, useEffect, useRef } from 'react';
+import { loadAudioBlob } from '@/lib/audio-store';
+import { createAnalysisSource } from '@/lib/audio-analysis';
+import { analyzeLoudness, needsLoudnessAnalysis } from '@/lib/loudness';
+import { analyzeTempo, needsTempoAnalysis } from '@/lib/tempo';
+import { analyzeKey, needsKeyAnalysis } from '@/lib/musical-key';
+import { analyzeSilence, needsSilenceAnalysis } from '@/lib/silence';
+import { isTrashed } from '@/lib/trash';
+
+// Each analysis fills one track field; a null result marks a file that
+// could not be analyzed so it isn't retried on every load. Loudness needs
+// every channel at full rate; the others share one mono decode. Options
+// (such as the silence threshold) can make a finished analysis stale.
+const ANALYSES = [
+  {
+    field: 'loudness',
+    needsAnalysis: needsLoudnessAnalysis,
+    analyze: (source, track) => analyzeLoudness(source.blob, { duration: track.duration, channels: track.metadata?.channels }),
+  },
+  { field: 'tempo', needsAnalysis: needsTempoAnalysis, analyze: async (source) => analyzeTempo(await source.getMono()) },
+  { field: 'key', needsAnalysis: needsKeyAnalysis, analyze: async (source) => analyzeKey(await source.getMono()) },
+  {
+    field: 'silence',
+    needsAnalysis: needsSilenceAnalysis,
+    analyze: async (source, track, options) => analyzeSilence(await source.getMono(), options.silenceThreshold),
+  },
+];
+
+/**
+ * Analyze the decoded audio of tracks missing a result, one track at a
+ * time in the background. New uploads and tracks stored before an analysis
+ * existed both end up here. `onAnalyzed` gets the track id and the changed
+ * fields, e.g. `{ loudness, tempo, key }`.
+ */
+export function useTrackAnalysis(library, onAnalyzed, { silenceThreshold } = {}) {
+  const [analyzingId, setAnalyzingId] = useState(null);
+  const onAnalyzedRef = useRef(onAnalyzed);
+
+  useEffect(() => {
+    onAnalyzedRef.current = onAnalyzed;
+  }, [onAnalyzed]);
+
+  useEffect(() => {
+    if (analyzingId) return;
+    const options = { silenceThreshold };
+    const track = library.find((candidate) => (
+      !candidate.unavailable && !candidate.evictedAt && !isTrashed(candidate) && ANALYSES.some(({ needsAnalysis }) => needsAnalysis(candidate, options))
+    ));
+    if (!track) return;
+
+    setAnalyzingId(track.id);
+    const analyze = async () => {
+      const blob = await loadAudioBlob(track.id);
+      const source = blob && createAnalysisSource(blob);
+      const changes = {};
+      for (const { field, needsAnalysis, analyze: run } of ANALYSES) {
+        if (!needsAnalysis(track, options)) continue;
+        try {
+          changes[field] = source ? await run(source, track, options) : null;
+        } catch (error) {
+          console.warn(`Failed to analyze ${field} of`, track.name, error);
+          changes[field] = null;
+        }
+      }
+      return changes;
+    };
+
+    analyze()
+      .catch((error) => {
+        console.warn('Failed to analyze', track.name, error);
+        const failed = ANALYSES.filter(({ needsAnalysis }) => needsAnalysis(track, options));
+        return Object.fromEntries(failed.map(({ field }) => [field, null]));
+      })
+      .then((changes) => {
+        onAnalyzedRef.current(track.id, changes);
+        setAnalyzingId(null);
+      });
+  }, [library, analyzingId, silenceThreshold]);
+
+  return analyzingId;
+}
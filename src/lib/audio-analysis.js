@@ -0,0 +1,108 @@
+/**
+ * Shared helpers for offline analysis of stored audio
+ * Files are decoded once to mono at a low sample rate in an
+ * OfflineAudioContext, shared by every analysis that needs it, and walked
+ * frame by frame through an FFT. Long loops yield to the event loop so
+ * analysis can run in the background while music plays.
+ */
+
+// Enough for onsets and for pitches up to about 5 kHz
+export const ANALYSIS_SAMPLE_RATE = 11025;
+
+export const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Decode a file to a single channel (the mean of its channels) at
+ * `sampleRate`
+ */
+export const decodeMono = async (blob, sampleRate) => {
+  const context = new OfflineAudioContext(1, 1, sampleRate);
+  const decoded = await context.decodeAudioData(await blob.arrayBuffer());
+  if (decoded.numberOfChannels === 1) return decoded.getChannelData(0);
+
+  const mono = new Float32Array(decoded.length);
+  for (let c = 0; c < decoded.numberOfChannels; c++) {
+    const samples = decoded.getChannelData(c);
+    for (let i = 0; i < mono.length; i++) mono[i] += samples[i] / decoded.numberOfChannels;
+  }
+  return mono;
+};
+
+/**
+ * A file to analyze: `getMono()` decodes it at ANALYSIS_SAMPLE_RATE on
+ * first use and returns the same samples to every later caller
+ */
+export const createAnalysisSource = (blob) => {
+  let mono = null;
+  return {
+    blob,
+    getMono: () => {
+      mono = mono || decodeMono(blob, ANALYSIS_SAMPLE_RATE);
+      return mono;
+    },
+  };
+};
+
+/**
+ * In-place radix-2 FFT; `real.length` must be a power of two
+ */
+export const fft = (real, imag) => {
+  const n = real.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    const stepReal = Math.cos(angle);
+    const stepImag = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let wReal = 1;
+      let wImag = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tReal = real[b] * wReal - imag[b] * wImag;
+        const tImag = real[b] * wImag + imag[b] * wReal;
+        real[b] = real[a] - tReal;
+        imag[b] = imag[a] - tImag;
+        real[a] += tReal;
+        imag[a] += tImag;
+        [wReal, wImag] = [wReal * stepReal - wImag * stepImag, wReal * stepImag + wImag * stepReal];
+      }
+    }
+  }
+};
+
+/**
+ * Call `callback(magnitudes, frameIndex)` with the magnitude spectrum
+ * (`size / 2 + 1` bins) of every Hann-windowed frame, `hop` samples apart.
+ * The magnitudes array is reused between calls.
+ */
+export const forEachSpectrum = async (samples, { size, hop }, callback) => {
+  const window = Float64Array.from({ length: size }, (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size));
+  const real = new Float64Array(size);
+  const imag = new Float64Array(size);
+  const magnitudes = new Float32Array(size / 2 + 1);
+  const frameCount = samples.length >= size ? Math.floor((samples.length - size) / hop) + 1 : 0;
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const offset = frame * hop;
+    for (let i = 0; i < size; i++) {
+      real[i] = samples[offset + i] * window[i];
+      imag[i] = 0;
+    }
+    fft(real, imag);
+    for (let bin = 0; bin < magnitudes.length; bin++) {
+      magnitudes[bin] = Math.hypot(real[bin], imag[bin]);
+    }
+    callback(magnitudes, frame);
+    if (frame % 2048 === 2047) await nextTick();
+  }
+  return frameCount;
+};
@@ -0,0 +1,320 @@
+/**
+ * IndexedDB storage for uploaded audio bytes, artwork thumbnails, lyrics
+ * and listening history
+ * Tracks in localStorage only reference their audio by id; object URLs are
+ * created lazily from the stored blobs and cached for the page lifetime.
+ */
+
+const DB_NAME = 'audio-player';
+const DB_VERSION = 5;
+const AUDIO_STORE = 'audio';
+const HISTORY_STORE = 'history';
+const ARTWORK_STORE = 'artwork';
+const LYRICS_STORE = 'lyrics';
+const EMBEDDED_LYRICS_STORE = 'embedded-lyrics';
+
+let dbPromise = null;
+const objectUrls = new Map();
+const artworkUrls = new Map();
+const artworkListeners = new Set();
+const lyricsListeners = new Set();
+const blockedListeners = new Set();
+
+/**
+ * Open (and create on first use) the audio database
+ */
+export const openAudioDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('IndexedDB is not supported in this browser'));
+        return;
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(AUDIO_STORE)) {
+          db.createObjectStore(AUDIO_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+          db.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(ARTWORK_STORE)) {
+          db.createObjectStore(ARTWORK_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(LYRICS_STORE)) {
+          db.createObjectStore(LYRICS_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(EMBEDDED_LYRICS_STORE)) {
+          db.createObjectStore(EMBEDDED_LYRICS_STORE, { keyPath: 'id' });
+        }
+      };
+
+      // Another tab still has an older version open; the upgrade waits
+      // until it closes
+      request.onblocked = () => blockedListeners.forEach((listener) => listener());
+      request.onsuccess = () => {
+        const db = request.result;
+        // Step aside when a newer version of the app in another tab upgrades
+        // the database; the next transaction opens it again
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+/**
+ * Run a single request against an object store and resolve once the
+ * transaction has committed
+ */
+const runTransaction = async (storeName, mode, operation) => {
+  const db = await openAudioDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Call `listener()` when opening the database has to wait for another tab
+ * to close it. Returns an unsubscribe function.
+ */
+export const subscribeToDatabaseBlocked = (listener) => {
+  blockedListeners.add(listener);
+  return () => blockedListeners.delete(listener);
+};
+
+/**
+ * Store the audio bytes for a track
+ */
+export const saveAudioBlob = (id, blob) => {
+  return runTransaction(AUDIO_STORE, 'readwrite', (store) =>
+    store.put({
+      id,
+      blob,
+      type: blob.type,
+      size: blob.size,
+      storedAt: new Date().toISOString()
+    })
+  );
+};
+
+/**
+ * Load the audio bytes for a track, or null if none are stored
+ */
+export const loadAudioBlob = async (id) => {
+  const record = await runTransaction(AUDIO_STORE, 'readonly', (store) => store.get(id));
+  return record ? record.blob : null;
+};
+
+/**
+ * Remove the audio bytes for a track and release its object URL
+ */
+export const deleteAudioBlob = async (id) => {
+  revokeAudioUrl(id);
+  await runTransaction(AUDIO_STORE, 'readwrite', (store) => store.delete(id));
+};
+
+/**
+ * List the ids of every track with stored audio
+ */
+export const listAudioBlobIds = () => {
+  return runTransaction(AUDIO_STORE, 'readonly', (store) => store.getAllKeys());
+};
+
+/**
+ * Get a playable object URL for a track, creating it from the stored blob
+ * on first request. Resolves to null when the audio is not stored.
+ */
+export const getAudioUrl = async (id) => {
+  if (objectUrls.has(id)) {
+    return objectUrls.get(id);
+  }
+
+  const blob = await loadAudioBlob(id);
+  if (!blob) return null;
+
+  const url = URL.createObjectURL(blob);
+  objectUrls.set(id, url);
+  return url;
+};
+
+/**
+ * Cache an object URL for a blob that is already in memory, so a fresh
+ * upload plays without a round trip through IndexedDB
+ */
+export const createAudioUrl = (id, blob) => {
+  revokeAudioUrl(id);
+  const url = URL.createObjectURL(blob);
+  objectUrls.set(id, url);
+  return url;
+};
+
+/**
+ * Release the cached object URL for a track
+ */
+export const revokeAudioUrl = (id) => {
+  const url = objectUrls.get(id);
+  if (url) {
+    URL.revokeObjectURL(url);
+    objectUrls.delete(id);
+  }
+};
+
+/**
+ * Store the artwork thumbnail for a track. `cover` is the full image for
+ * artwork picked by the user, embedded as-is when the track is exported.
+ */
+export const saveArtwork = async (id, blob, cover = null) => {
+  await runTransaction(ARTWORK_STORE, 'readwrite', (store) => store.put({ id, blob, cover }));
+  revokeArtworkUrl(id);
+  artworkListeners.forEach((listener) => listener(id));
+};
+
+/**
+ * Remove the artwork thumbnail for a track
+ */
+export const deleteArtwork = async (id) => {
+  revokeArtworkUrl(id);
+  await runTransaction(ARTWORK_STORE, 'readwrite', (store) => store.delete(id));
+  artworkListeners.forEach((listener) => listener(id));
+};
+
+/**
+ * Load the full cover image picked for a track, or null if its artwork
+ * came from the file itself
+ */
+export const loadArtworkCover = async (id) => {
+  const record = await runTransaction(ARTWORK_STORE, 'readonly', (store) => store.get(id));
+  return record?.cover || null;
+};
+
+/**
+ * Call `listener(id)` whenever a track's artwork is replaced or removed
+ * in this tab. Returns an unsubscribe function.
+ */
+export const subscribeToArtwork = (listener) => {
+  artworkListeners.add(listener);
+  return () => artworkListeners.delete(listener);
+};
+
+/**
+ * Get an object URL for a track's artwork thumbnail, or null if it has none
+ */
+export const getArtworkUrl = async (id) => {
+  if (artworkUrls.has(id)) {
+    return artworkUrls.get(id);
+  }
+
+  const record = await runTransaction(ARTWORK_STORE, 'readonly', (store) => store.get(id));
+  if (!record) return null;
+
+  const url = URL.createObjectURL(record.blob);
+  artworkUrls.set(id, url);
+  return url;
+};
+
+const revokeArtworkUrl = (id) => {
+  const url = artworkUrls.get(id);
+  if (url) {
+    URL.revokeObjectURL(url);
+    artworkUrls.delete(id);
+  }
+};
+
+/**
+ * Store the lyrics attached to a track, as the text of an LRC file and the
+ * name it was attached from
+ */
+export const saveLyrics = async (id, { text, name }) => {
+  await runTransaction(LYRICS_STORE, 'readwrite', (store) => store.put({ id, text, name }));
+  lyricsListeners.forEach((listener) => listener(id));
+};
+
+/**
+ * Load the lyrics attached to a track, or null if it has none
+ */
+export const loadLyrics = async (id) => {
+  const record = await runTransaction(LYRICS_STORE, 'readonly', (store) => store.get(id));
+  return record || null;
+};
+
+/**
+ * Remove the lyrics attached to a track
+ */
+export const deleteLyrics = async (id) => {
+  await runTransaction(LYRICS_STORE, 'readwrite', (store) => store.delete(id));
+  lyricsListeners.forEach((listener) => listener(id));
+};
+
+/**
+ * Store the lyrics read from a track's own tags, already parsed. They are
+ * kept apart from attached lyrics, which take priority over them.
+ */
+export const saveEmbeddedLyrics = async (id, lyrics) => {
+  await runTransaction(EMBEDDED_LYRICS_STORE, 'readwrite', (store) => store.put({ id, lyrics }));
+  lyricsListeners.forEach((listener) => listener(id));
+};
+
+/**
+ * Load the lyrics read from a track's tags, or null if it has none
+ */
+export const loadEmbeddedLyrics = async (id) => {
+  const record = await runTransaction(EMBEDDED_LYRICS_STORE, 'readonly', (store) => store.get(id));
+  return record?.lyrics || null;
+};
+
+/**
+ * Remove the lyrics read from a track's tags
+ */
+export const deleteEmbeddedLyrics = async (id) => {
+  await runTransaction(EMBEDDED_LYRICS_STORE, 'readwrite', (store) => store.delete(id));
+  lyricsListeners.forEach((listener) => listener(id));
+};
+
+/**
+ * Call `listener(id)` whenever a track's attached or embedded lyrics are
+ * replaced or removed in this tab. Returns an unsubscribe function.
+ */
+export const subscribeToLyrics = (listener) => {
+  lyricsListeners.add(listener);
+  return () => lyricsListeners.delete(listener);
+};
+
+/**
+ * Append a finished play session to the listening history
+ */
+export const addHistoryEntry = (entry) => {
+  return runTransaction(HISTORY_STORE, 'readwrite', (store) => store.put(entry));
+};
+
+/**
+ * Load the full listening history, oldest first
+ */
+export const loadHistory = async () => {
+  const entries = await runTransaction(HISTORY_STORE, 'readonly', (store) => store.getAll());
+  return entries.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+};
+
+/**
+ * Remove every listening history entry
+ */
+export const clearHistory = () => {
+  return runTransaction(HISTORY_STORE, 'readwrite', (store) => store.clear());
+};
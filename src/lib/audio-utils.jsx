@@ -10,6 +10,9 @@ let audioContext = null;
 let analyserNode = null;
 let sourceNode = null;
 let gainNode = null;
+let normalizationNode = null;
+let normalizationGain = 1;
+let connectedElement = null;
 
 /**
  * Initialize Web Audio API context
@@ -19,10 +22,13 @@ export const initializeAudioContext = () => {
     audioContext = new (window.AudioContext || window.webkitAudioContext)();
     analyserNode = audioContext.createAnalyser();
     gainNode = audioContext.createGain();
+    normalizationNode = audioContext.createGain();
+    normalizationNode.gain.value = normalizationGain;
     
     analyserNode.fftSize = 256;
     analyserNode.smoothingTimeConstant = 0.8;
     
+    normalizationNode.connect(gainNode);
     gainNode.connect(analyserNode);
     analyserNode.connect(audioContext.destination);
   }
@@ -31,9 +37,12 @@ export const initializeAudioContext = () => {
 
 /**
  * Connect audio element to Web Audio API
+ * An element can only ever be wrapped by one source node, so reconnecting
+ * the same element (e.g. after a track change) is a no-op.
  */
 export const connectAudioElement = (audioElement) => {
   if (!audioContext || !audioElement) return;
+  if (audioElement === connectedElement) return;
   
   try {
     if (sourceNode) {
@@ -41,7 +50,8 @@ export const connectAudioElement = (audioElement) => {
     }
     
     sourceNode = audioContext.createMediaElementSource(audioElement);
-    sourceNode.connect(gainNode);
+    sourceNode.connect(normalizationNode);
+    connectedElement = audioElement;
   } catch (error) {
     console.warn('Audio connection failed:', error);
   }
@@ -82,6 +92,18 @@ export const setVolume = (volume) => {
   }
 };
 
+/**
+ * Set the loudness normalization gain in dB
+ * It sits before the volume gain and is remembered until the context
+ * exists. Changes ramp briefly so switching tracks or modes doesn't click.
+ */
+export const setNormalizationGain = (db) => {
+  normalizationGain = 10 ** ((Number.isFinite(db) ? db : 0) / 20);
+  if (normalizationNode) {
+    normalizationNode.gain.setTargetAtTime(normalizationGain, audioContext.currentTime, 0.02);
+  }
+};
+
 /**
  * Resume audio context if suspended
  */
@@ -106,10 +128,24 @@ export const formatTime = (seconds) => {
   return `${mins}:${secs.toString().padStart(2, '0')}`;
 };
 
+/**
+ * Format a byte count for display
+ */
+export const formatFileSize = (bytes) => {
+  if (!bytes) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.min(sizes.length - 1, Math.floor(Math.log(bytes) / Math.log(k)));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
 /**
  * Create canvas visualization for audio data
+ * `pulse` (0 to 1) swells the visualization on detected beats, and
+ * `beatGrid` (`{ beats, time, span }`, in seconds) draws the beats within
+ * `span` around the playing `time` behind it.
  */
-export const drawVisualization = (canvas, audioData, type = 'bars') => {
+export const drawVisualization = (canvas, audioData, type = 'bars', { pulse = 0, beatGrid = null } = {}) => {
   if (!canvas || !audioData) return;
   
   const ctx = canvas.getContext('2d');
@@ -119,24 +155,51 @@ export const drawVisualization = (canvas, audioData, type = 'bars') => {
   // Clear canvas
   ctx.clearRect(0, 0, width, height);
   
+  if (beatGrid) {
+    drawBeatGrid(ctx, beatGrid, width, height);
+  }
+  
   if (type === 'bars') {
-    drawBars(ctx, audioData, width, height);
+    drawBars(ctx, audioData, width, height, pulse);
   } else if (type === 'wave') {
-    drawWaveform(ctx, audioData, width, height);
+    drawWaveform(ctx, audioData, width, height, pulse);
   } else if (type === 'circle') {
-    drawCircularVisualization(ctx, audioData, width, height);
+    drawCircularVisualization(ctx, audioData, width, height, pulse);
   }
 };
 
+/**
+ * Draw beat grid lines scrolling past a playhead in the middle
+ */
+const drawBeatGrid = (ctx, { beats, time, span }, width, height) => {
+  ctx.lineWidth = 1;
+  beats.forEach((beat) => {
+    const x = Math.round(((beat - time) / span + 0.5) * width) + 0.5;
+    // Fade lines towards the edges
+    const alpha = 0.35 * (1 - Math.min(1, Math.abs(beat - time) / (span / 2)));
+    ctx.strokeStyle = `rgba(255, 255, 255, ${alpha})`;
+    ctx.beginPath();
+    ctx.moveTo(x, 0);
+    ctx.lineTo(x, height);
+    ctx.stroke();
+  });
+  
+  ctx.strokeStyle = 'rgba(236, 72, 153, 0.6)';
+  ctx.beginPath();
+  ctx.moveTo(width / 2, 0);
+  ctx.lineTo(width / 2, height);
+  ctx.stroke();
+};
+
 /**
  * Draw bar visualization
  */
-const drawBars = (ctx, audioData, width, height) => {
+const drawBars = (ctx, audioData, width, height, pulse = 0) => {
   const barCount = Math.min(64, audioData.length);
   const barWidth = width / barCount;
   
   for (let i = 0; i < barCount; i++) {
-    const barHeight = (audioData[i] / 255) * height * 0.8;
+    const barHeight = Math.min(height, (audioData[i] / 255) * height * 0.8 * (1 + 0.25 * pulse));
     const x = i * barWidth;
     const y = height - barHeight;
     
@@ -154,9 +217,9 @@ const drawBars = (ctx, audioData, width, height) => {
 /**
  * Draw waveform visualization
  */
-const drawWaveform = (ctx, audioData, width, height) => {
+const drawWaveform = (ctx, audioData, width, height, pulse = 0) => {
   ctx.strokeStyle = 'rgba(59, 130, 246, 0.8)';
-  ctx.lineWidth = 2;
+  ctx.lineWidth = 2 + 2 * pulse;
   ctx.beginPath();
   
   const sliceWidth = width / audioData.length;
@@ -181,10 +244,10 @@ const drawWaveform = (ctx, audioData, width, height) => {
 /**
  * Draw circular visualization
  */
-const drawCircularVisualization = (ctx, audioData, width, height) => {
+const drawCircularVisualization = (ctx, audioData, width, height, pulse = 0) => {
   const centerX = width / 2;
   const centerY = height / 2;
-  const radius = Math.min(width, height) / 4;
+  const radius = (Math.min(width, height) / 4) * (1 + 0.15 * pulse);
   
   ctx.strokeStyle = 'rgba(59, 130, 246, 0.3)';
   ctx.lineWidth = 1;
@@ -228,11 +291,14 @@ export const isValidAudioFile = (file) => {
     'audio/ogg',
     'audio/aac',
     'audio/m4a',
-    'audio/webm'
+    'audio/webm',
+    'audio/flac',
+    'audio/x-flac',
+    'audio/opus'
   ];
   
   return validTypes.includes(file.type) || 
-         /\.(mp3|wav|ogg|aac|m4a|webm)$/i.test(file.name);
+         /\.(mp3|wav|ogg|oga|opus|aac|m4a|webm|flac)$/i.test(file.name);
 };
 
 /**
@@ -247,6 +313,20 @@ export const fileToBase64 = (file) => {
   });
 };
 
+/**
+ * Save a blob to the user's downloads
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
 /**
  * Get audio metadata from file
  */
@@ -355,6 +435,7 @@ export const cleanupAudio = () => {
   if (sourceNode) {
     sourceNode.disconnect();
     sourceNode = null;
+    connectedElement = null;
   }
   
   if (audioContext && audioContext.state !== 'closed') {
@@ -362,5 +443,6 @@ export const cleanupAudio = () => {
     audioContext = null;
     analyserNode = null;
     gainNode = null;
+    normalizationNode = null;
   }
 };
\ No newline at end of file
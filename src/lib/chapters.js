@@ -0,0 +1,41 @@
+/**
+ * Navigation within a track's chapters
+ * Chapters are `{ start, end, title }` in seconds, sorted by start.
+ */
+
+// Within this many seconds of a chapter's start, "previous" goes to the
+// chapter before instead of restarting the current one
+export const CHAPTER_RESTART_THRESHOLD = 3;
+
+export const hasChapters = (track) => (track?.chapters?.length || 0) > 1;
+
+/**
+ * Index of the chapter playing at `time`, or -1 before the first chapter
+ */
+export const getChapterIndex = (chapters, time) => {
+  let index = -1;
+  for (let i = 0; i < chapters.length && chapters[i].start <= time; i++) {
+    index = i;
+  }
+  return index;
+};
+
+/**
+ * Where "next" should seek to, or null when the last chapter is playing
+ */
+export const getNextChapterStart = (chapters, time) => {
+  const next = chapters[getChapterIndex(chapters, time) + 1];
+  return next ? next.start : null;
+};
+
+/**
+ * Where "previous" should seek to: the start of the current chapter, or of
+ * the one before when the current one has only just started. Null before
+ * the first chapter's start, so the caller can move to the previous track.
+ */
+export const getPreviousChapterStart = (chapters, time) => {
+  const index = getChapterIndex(chapters, time);
+  if (index === -1) return null;
+  if (time - chapters[index].start > CHAPTER_RESTART_THRESHOLD) return chapters[index].start;
+  return index > 0 ? chapters[index - 1].start : null;
+};
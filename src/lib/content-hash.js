@@ -0,0 +1,94 @@
+import { loadAudioBlob } from './audio-store';
+
+/**
+ * Content hashes identify uploaded audio by its bytes
+ * A track's id is the SHA-256 of its audio, so the same file uploaded twice
+ * maps to the same track. Copies kept on purpose get a numbered suffix and
+ * keep the hash in `contentHash`.
+ */
+
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+const rejectPending = (error) => {
+  pendingRequests.forEach(({ reject }) => reject(error));
+  pendingRequests.clear();
+};
+
+const getWorker = () => {
+  if (!worker) {
+    worker = new Worker(new URL('./content-hash.worker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (event) => {
+      const { id, hash, error } = event.data;
+      const request = pendingRequests.get(id);
+      if (!request) return;
+
+      pendingRequests.delete(id);
+      if (error) {
+        request.reject(new Error(error));
+      } else {
+        request.resolve(hash);
+      }
+    };
+
+    // A crashed worker is replaced on the next request
+    worker.onerror = (event) => {
+      rejectPending(new Error(event.message || 'Hash worker failed'));
+      worker.terminate();
+      worker = null;
+    };
+  }
+  return worker;
+};
+
+/**
+ * Compute the hex SHA-256 of a file or blob in a worker
+ */
+export const hashFile = (blob) => {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject });
+    getWorker().postMessage({ id, blob });
+  });
+};
+
+/**
+ * Hash the stored audio of tracks one at a time, resolving to a map of
+ * track id to hash. Tracks without stored audio are left out.
+ */
+export const hashStoredAudio = async (tracks) => {
+  const hashes = {};
+  for (const track of tracks) {
+    try {
+      const blob = await loadAudioBlob(track.id);
+      if (blob) {
+        hashes[track.id] = await hashFile(blob);
+      }
+    } catch (error) {
+      console.warn('Failed to hash stored audio for', track.name, error);
+    }
+  }
+  return hashes;
+};
+
+/**
+ * The library track with the same content, if any
+ */
+export const findDuplicateTrack = (library, contentHash) => {
+  if (!contentHash) return null;
+  return library.find((track) => track.contentHash === contentHash || track.id === contentHash) || null;
+};
+
+/**
+ * Id for another copy of already imported content, e.g. `<hash>-2`
+ */
+export const createCopyId = (library, contentHash) => {
+  const ids = new Set(library.map((track) => track.id));
+  let copy = 2;
+  while (ids.has(`${contentHash}-${copy}`)) {
+    copy += 1;
+  }
+  return `${contentHash}-${copy}`;
+};
@@ -0,0 +1,18 @@
+/**
+ * Hashes uploaded audio off the main thread
+ * Receives `{ id, blob }` and answers `{ id, hash }` with the hex SHA-256
+ * digest of the blob's bytes, or `{ id, error }`.
+ */
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+self.onmessage = async (event) => {
+  const { id, blob } = event.data;
+
+  try {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    self.postMessage({ id, hash: toHex(digest) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message || 'Failed to hash audio' });
+  }
+};
@@ -0,0 +1,116 @@
+/**
+ * Undo/redo history for library and playlist edits
+ * An edit stores only the records it changed, as `{ id, index, before, after }`
+ * pairs where `before` or `after` is null for records that were added or
+ * removed. Undoing applies the `before` side to the current lists, so later
+ * unrelated changes (uploads, play counts, other tabs) are left alone.
+ */
+
+export const HISTORY_LIMIT = 50;
+
+const createId = () => `edit-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Records that differ between two versions of a list, matched by id
+ * Unchanged records keep their identity through the pure helpers, so a
+ * reference check is enough to tell them apart.
+ */
+export const diffById = (before, after) => {
+  const beforeById = new Map(before.map((record, index) => [record.id, { record, index }]));
+  const afterById = new Map(after.map((record, index) => [record.id, { record, index }]));
+  const changes = [];
+
+  beforeById.forEach(({ record, index }, id) => {
+    const next = afterById.get(id);
+    if (!next) {
+      changes.push({ id, index, before: record, after: null });
+    } else if (next.record !== record) {
+      changes.push({ id, index: next.index, before: record, after: next.record });
+    }
+  });
+
+  afterById.forEach(({ record, index }, id) => {
+    if (!beforeById.has(id)) {
+      changes.push({ id, index, before: null, after: record });
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Describe an edit from the library and playlists before and after it
+ */
+export const createEdit = (label, { library = [[], []], playlists = [[], []] }) => ({
+  id: createId(),
+  label,
+  tracks: diffById(library[0], library[1]),
+  playlists: diffById(playlists[0], playlists[1]),
+});
+
+export const hasChanges = (edit) => edit.tracks.length > 0 || edit.playlists.length > 0;
+
+/**
+ * Apply one side ('before' to undo, 'after' to redo) of an edit's changes
+ * to the current version of a list
+ */
+export const applyChanges = (list, changes, side) => {
+  let next = [...list];
+
+  changes.forEach((change) => {
+    const value = change[side];
+    const position = next.findIndex((record) => record.id === change.id);
+
+    if (value === null) {
+      if (position !== -1) next.splice(position, 1);
+    } else if (position !== -1) {
+      next[position] = value;
+    } else {
+      next.splice(Math.min(change.index, next.length), 0, value);
+    }
+  });
+
+  return next;
+};
+
+export const createEditHistory = () => ({ past: [], future: [] });
+
+/**
+ * Add an edit to the history; a new edit clears everything that could be
+ * redone
+ */
+export const recordEdit = (history, edit) => ({
+  past: [...history.past, edit].slice(-HISTORY_LIMIT),
+  future: [],
+});
+
+/**
+ * Drop every edit that changed one of the given tracks, for tracks that
+ * were purged: undoing or redoing such an edit would bring back a record
+ * whose stored audio is gone
+ */
+export const forgetTracks = (history, trackIds) => {
+  const touchesPurged = (edit) => edit.tracks.some((change) => trackIds.includes(change.id));
+  return {
+    past: history.past.filter((edit) => !touchesPurged(edit)),
+    future: history.future.filter((edit) => !touchesPurged(edit)),
+  };
+};
+
+export const undoHistory = (history) => {
+  const edit = history.past[history.past.length - 1];
+  if (!edit) return { history, edit: null };
+  return {
+    edit,
+    history: { past: history.past.slice(0, -1), future: [edit, ...history.future] },
+  };
+};
+
+export const redoHistory = (history) => {
+  const [edit, ...future] = history.future;
+  if (!edit) return { history, edit: null };
+  return {
+    edit,
+    history: { past: [...history.past, edit], future },
+  };
+};
@@ -0,0 +1,149 @@
+/**
+ * Listening history entries and the statistics computed from them
+ * An entry records one play session:
+ * `{ id, trackId, trackName, startedAt, listenedSeconds, duration, completed, skipped }`.
+ * Everything here is computed locally from the recorded history.
+ */
+
+// A session counts as completed once this much of the track was reached
+export const COMPLETION_RATIO = 0.9;
+
+// Sessions shorter than this are accidental clicks and are not recorded
+export const MIN_RECORDED_SECONDS = 1;
+
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const HISTORY_FIELDS = ['id', 'trackId', 'trackName', 'startedAt', 'listenedSeconds', 'duration', 'completed', 'skipped'];
+
+const toDateKey = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+const toMinutes = (seconds) => Math.round((seconds / 60) * 10) / 10;
+
+/**
+ * Start a play session for a track
+ */
+export const createPlaySession = (track) => ({
+  id: `play-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+  trackId: track.id,
+  trackName: track.metadata?.title || track.name,
+  startedAt: new Date().toISOString(),
+  listenedSeconds: 0,
+  duration: track.duration || 0,
+});
+
+/**
+ * Close a play session
+ * `reason` is 'ended' when playback reached the end, 'changed' when the user
+ * moved to another track and 'closed' when the player went away.
+ * Returns null for sessions too short to be worth recording.
+ */
+export const finishPlaySession = (session, { reason, position = 0, duration = session.duration }) => {
+  if (session.listenedSeconds < MIN_RECORDED_SECONDS) return null;
+
+  const completed = reason === 'ended' || (duration > 0 && position >= duration * COMPLETION_RATIO);
+  return {
+    id: session.id,
+    trackId: session.trackId,
+    trackName: session.trackName,
+    startedAt: session.startedAt,
+    listenedSeconds: Math.round(session.listenedSeconds),
+    duration,
+    completed,
+    skipped: reason === 'changed' && !completed,
+  };
+};
+
+/**
+ * Minutes listened per calendar day for the last `days` days, including
+ * days without any listening
+ */
+export const getListeningTimePerDay = (history, days = 30, now = new Date()) => {
+  const totals = new Map();
+  for (let offset = days - 1; offset >= 0; offset--) {
+    const date = new Date(now);
+    date.setDate(now.getDate() - offset);
+    totals.set(toDateKey(date), 0);
+  }
+
+  history.forEach((entry) => {
+    const key = toDateKey(new Date(entry.startedAt));
+    if (totals.has(key)) {
+      totals.set(key, totals.get(key) + entry.listenedSeconds);
+    }
+  });
+
+  return [...totals].map(([date, seconds]) => ({ date, minutes: toMinutes(seconds) }));
+};
+
+/**
+ * Most played tracks, by number of plays then listening time
+ */
+export const getTopTracks = (history, limit = 10) => {
+  const tracks = new Map();
+  history.forEach((entry) => {
+    const stats = tracks.get(entry.trackId) || { trackId: entry.trackId, name: entry.trackName, plays: 0, skips: 0, seconds: 0 };
+    stats.plays += 1;
+    stats.skips += entry.skipped ? 1 : 0;
+    stats.seconds += entry.listenedSeconds;
+    stats.name = entry.trackName;
+    tracks.set(entry.trackId, stats);
+  });
+
+  return [...tracks.values()]
+    .sort((a, b) => b.plays - a.plays || b.seconds - a.seconds)
+    .slice(0, limit)
+    .map(({ seconds, ...stats }) => ({ ...stats, minutes: toMinutes(seconds) }));
+};
+
+/**
+ * Overall totals and skip rate
+ */
+export const getSummary = (history) => {
+  const plays = history.length;
+  const skips = history.filter((entry) => entry.skipped).length;
+  const completed = history.filter((entry) => entry.completed).length;
+  const seconds = history.reduce((sum, entry) => sum + entry.listenedSeconds, 0);
+
+  return {
+    plays,
+    skips,
+    completed,
+    minutes: toMinutes(seconds),
+    skipRate: plays ? skips / plays : 0,
+  };
+};
+
+/**
+ * Minutes listened per weekday and hour, as a 7 × 24 grid
+ */
+export const getTimeOfDayHeatmap = (history) => {
+  const grid = WEEKDAYS.map(() => new Array(24).fill(0));
+  history.forEach((entry) => {
+    const startedAt = new Date(entry.startedAt);
+    grid[startedAt.getDay()][startedAt.getHours()] += entry.listenedSeconds;
+  });
+  return grid.map((hours) => hours.map(toMinutes));
+};
+
+/**
+ * Serialize the history as pretty-printed JSON
+ */
+export const historyToJson = (history) => JSON.stringify(history, null, 2);
+
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize the history as CSV with a header row
+ */
+export const historyToCsv = (history) => {
+  const rows = history.map((entry) => HISTORY_FIELDS.map((field) => escapeCsv(entry[field])).join(','));
+  return [HISTORY_FIELDS.join(','), ...rows].join('\n');
+};
@@ -0,0 +1,283 @@
+import { nextTick } from './audio-analysis';
+
+/**
+ * Loudness measurement and normalization (EBU R128 / ITU-R BS.1770-4)
+ * Tracks are decoded and K-weighted in an OfflineAudioContext; integrated
+ * loudness is the gated mean of 400 ms blocks, and true peak comes from
+ * 4x oversampling. Playback gain targets the ReplayGain 2.0 reference
+ * level, preferring REPLAYGAIN tags over measurements, and is capped so
+ * the (true) peak never clips.
+ */
+
+// ReplayGain 2.0 reference level in LUFS
+export const REFERENCE_LOUDNESS = -18;
+
+export const NORMALIZATION_MODES = ['off', 'track', 'album'];
+export const DEFAULT_NORMALIZATION_MODE = 'track';
+
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+const BLOCK_SECONDS = 0.4;
+const STEP_SECONDS = 0.1;
+
+// Upper bound on decoded samples per analysis, so long recordings are
+// measured at a lower sample rate instead of exhausting memory
+const MAX_ANALYSIS_SAMPLES = 32 * 1024 * 1024;
+const ANALYSIS_SAMPLE_RATE = 48000;
+const MIN_ANALYSIS_SAMPLE_RATE = 8000;
+
+const OVERSAMPLING = 4;
+const OVERSAMPLING_TAPS = 48;
+
+export const dbToGain = (db) => 10 ** (db / 20);
+export const gainToDb = (gain) => 20 * Math.log10(gain);
+
+/**
+ * IIR coefficients of the two K-weighting stages (a high shelf modelling
+ * the head, then a high-pass) for any sample rate
+ */
+export const getKWeightingFilters = (sampleRate) => {
+  let K = Math.tan((Math.PI * 1681.974450955533) / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = 10 ** (3.999843853973347 / 20);
+  const Vb = Vh ** 0.4996667741545416;
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    feedforward: [(Vh + (Vb * K) / Q + K * K) / a0, (2 * (K * K - Vh)) / a0, (Vh - (Vb * K) / Q + K * K) / a0],
+    feedback: [1, (2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+
+  K = Math.tan((Math.PI * 38.13547087602444) / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    feedforward: [1, -2, 1],
+    feedback: [1, (2 * (K * K - 1)) / a0, (1 - K / Q + K * K) / a0],
+  };
+
+  return [shelf, highPass];
+};
+
+// Surround channels count 1.41 times (+1.5 dB); the LFE of 5.1 not at all
+const getChannelWeights = (channelCount) => {
+  if (channelCount === 6) return [1, 1, 1, 0, 1.41, 1.41];
+  return Array.from({ length: channelCount }, (_, index) => (index < 3 ? 1 : 1.41));
+};
+
+/**
+ * Integrated loudness in LUFS of K-weighted channels, or null when the
+ * audio is silent or shorter than one block
+ */
+export const getIntegratedLoudness = async (channels, sampleRate) => {
+  const step = Math.round(sampleRate * STEP_SECONDS);
+  const stepsPerBlock = Math.round(BLOCK_SECONDS / STEP_SECONDS);
+  const stepCount = Math.floor(channels[0].length / step);
+  if (stepCount < stepsPerBlock) return null;
+
+  // Weighted energy of every 100 ms step, summed over channels
+  const weights = getChannelWeights(channels.length);
+  const steps = new Float64Array(stepCount);
+  for (let c = 0; c < channels.length; c++) {
+    if (weights[c] === 0) continue;
+    const samples = channels[c];
+    for (let s = 0; s < stepCount; s++) {
+      let sum = 0;
+      for (let i = s * step, end = i + step; i < end; i++) {
+        sum += samples[i] * samples[i];
+      }
+      steps[s] += (weights[c] * sum) / step;
+    }
+    await nextTick();
+  }
+
+  // 400 ms blocks overlapping by 75%
+  const blocks = [];
+  for (let s = 0; s + stepsPerBlock <= stepCount; s++) {
+    let energy = 0;
+    for (let k = 0; k < stepsPerBlock; k++) energy += steps[s + k];
+    blocks.push(energy / stepsPerBlock);
+  }
+
+  const toLoudness = (energy) => -0.691 + 10 * Math.log10(energy);
+  const meanEnergy = (list) => list.reduce((sum, energy) => sum + energy, 0) / list.length;
+
+  const audible = blocks.filter((energy) => energy > 0 && toLoudness(energy) > ABSOLUTE_GATE);
+  if (audible.length === 0) return null;
+  const relativeGate = toLoudness(meanEnergy(audible)) + RELATIVE_GATE;
+  const gated = audible.filter((energy) => toLoudness(energy) > relativeGate);
+  return toLoudness(meanEnergy(gated));
+};
+
+let oversamplingPhases = null;
+
+/**
+ * Polyphase taps of a windowed-sinc interpolation filter, one set per
+ * oversampled position between two input samples
+ */
+const getOversamplingPhases = () => {
+  if (!oversamplingPhases) {
+    const center = (OVERSAMPLING_TAPS - 1) / 2;
+    const taps = Array.from({ length: OVERSAMPLING_TAPS }, (_, n) => {
+      const x = (n - center) / OVERSAMPLING;
+      const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+      const window = 0.42 - 0.5 * Math.cos((2 * Math.PI * (n + 0.5)) / OVERSAMPLING_TAPS) +
+        0.08 * Math.cos((4 * Math.PI * (n + 0.5)) / OVERSAMPLING_TAPS);
+      return sinc * window;
+    });
+    oversamplingPhases = Array.from({ length: OVERSAMPLING }, (_, phase) => {
+      const phaseTaps = taps.filter((_, n) => n % OVERSAMPLING === phase);
+      const sum = phaseTaps.reduce((total, tap) => total + tap, 0);
+      return Float64Array.from(phaseTaps, (tap) => tap / sum);
+    });
+  }
+  return oversamplingPhases;
+};
+
+/**
+ * True peak (linear, 1.0 is full scale) of decoded channels
+ * Interpolating every sample is slow, so only the neighbourhood of loud
+ * samples is oversampled: an inter-sample peak cannot be much louder than
+ * the samples around it.
+ */
+export const getTruePeak = async (channels) => {
+  let samplePeak = 0;
+  channels.forEach((samples) => {
+    for (let i = 0; i < samples.length; i++) {
+      const value = Math.abs(samples[i]);
+      if (value > samplePeak) samplePeak = value;
+    }
+  });
+  if (samplePeak === 0) return 0;
+
+  const phases = getOversamplingPhases();
+  const tapCount = phases[0].length;
+  const delay = tapCount / 2;
+  const threshold = samplePeak / 2;
+  let peak = samplePeak;
+
+  for (const samples of channels) {
+    for (let i = tapCount; i < samples.length; i++) {
+      if (Math.abs(samples[i - delay]) < threshold && Math.abs(samples[i - delay + 1]) < threshold) continue;
+      for (const taps of phases) {
+        let value = 0;
+        for (let k = 0; k < tapCount; k++) value += taps[k] * samples[i - k];
+        if (Math.abs(value) > peak) peak = Math.abs(value);
+      }
+    }
+    await nextTick();
+  }
+  return peak;
+};
+
+/**
+ * Decode a file and measure `{ integrated, truePeak }`; `integrated` is
+ * null for silent files. `duration` and `channels` only pick the rate the
+ * file is decoded at.
+ */
+export const analyzeLoudness = async (blob, { duration = 0, channels = 2 } = {}) => {
+  const sampleRate = duration > 0
+    ? Math.max(MIN_ANALYSIS_SAMPLE_RATE, Math.min(ANALYSIS_SAMPLE_RATE, Math.floor(MAX_ANALYSIS_SAMPLES / (duration * channels))))
+    : ANALYSIS_SAMPLE_RATE;
+
+  const decoder = new OfflineAudioContext(1, 1, sampleRate);
+  const decoded = await decoder.decodeAudioData(await blob.arrayBuffer());
+
+  const context = new OfflineAudioContext(decoded.numberOfChannels, decoded.length, decoded.sampleRate);
+  context.destination.channelInterpretation = 'discrete';
+  const source = context.createBufferSource();
+  source.buffer = decoded;
+  const filters = getKWeightingFilters(decoded.sampleRate).map(({ feedforward, feedback }) => {
+    const filter = context.createIIRFilter(feedforward, feedback);
+    filter.channelInterpretation = 'discrete';
+    return filter;
+  });
+  filters.reduce((node, filter) => node.connect(filter), source).connect(context.destination);
+  source.start();
+  const weighted = await context.startRendering();
+
+  const channelData = (buffer) => Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+  const integrated = await getIntegratedLoudness(channelData(weighted), weighted.sampleRate);
+  const truePeak = await getTruePeak(channelData(decoded));
+
+  return {
+    integrated: integrated === null ? null : Math.round(integrated * 100) / 100,
+    truePeak: Math.round(truePeak * 10000) / 10000,
+  };
+};
+
+/**
+ * Whether a track still needs measuring: tracks with a REPLAYGAIN track
+ * gain tag, or that were already measured (even unsuccessfully), do not
+ */
+export const needsLoudnessAnalysis = (track) => {
+  return track.loudness === undefined && track.metadata?.replayGain?.trackGain === undefined;
+};
+
+/**
+ * Loudness and peak of a track, from its tags or measurement
+ */
+const getTrackLevels = (track) => {
+  const replayGain = track.metadata?.replayGain || {};
+  if (replayGain.trackGain !== undefined) {
+    return { loudness: REFERENCE_LOUDNESS - replayGain.trackGain, peak: replayGain.trackPeak };
+  }
+  if (track.loudness?.integrated !== undefined && track.loudness.integrated !== null) {
+    return { loudness: track.loudness.integrated, peak: track.loudness.truePeak };
+  }
+  return null;
+};
+
+const getAlbumKey = (track) => {
+  const { album, albumArtist, artist } = track.metadata || {};
+  return album ? `${(albumArtist || artist || '').toLowerCase()}\u0000${album.toLowerCase()}` : null;
+};
+
+/**
+ * Gain in dB and peak for album mode. Album gain tags win; otherwise the
+ * album's tracks are combined by energy, weighted by duration. Tracks
+ * without an album fall back to their own levels.
+ */
+const getAlbumLevels = (track, library) => {
+  const replayGain = track.metadata?.replayGain || {};
+  if (replayGain.albumGain !== undefined) {
+    return { gain: replayGain.albumGain, peak: replayGain.albumPeak };
+  }
+
+  const key = getAlbumKey(track);
+  const albumTracks = key ? library.filter((candidate) => getAlbumKey(candidate) === key) : [track];
+  let energy = 0;
+  let totalDuration = 0;
+  let peak;
+  albumTracks.forEach((albumTrack) => {
+    const levels = getTrackLevels(albumTrack);
+    if (!levels) return;
+    const weight = albumTrack.duration || 1;
+    energy += weight * 10 ** (levels.loudness / 10);
+    totalDuration += weight;
+    if (levels.peak !== undefined) peak = Math.max(peak || 0, levels.peak);
+  });
+  if (totalDuration === 0) return null;
+
+  return { gain: REFERENCE_LOUDNESS - 10 * Math.log10(energy / totalDuration), peak };
+};
+
+/**
+ * Playback gain in dB for a track in the given mode, capped so its peak
+ * stays at or below full scale. 0 when off or nothing is known.
+ */
+export const getNormalizationGain = (track, library, mode) => {
+  if (!track || mode === 'off') return 0;
+
+  let levels = null;
+  if (mode === 'album') {
+    levels = getAlbumLevels(track, library);
+  }
+  if (!levels) {
+    const trackLevels = getTrackLevels(track);
+    levels = trackLevels && { gain: REFERENCE_LOUDNESS - trackLevels.loudness, peak: trackLevels.peak };
+  }
+  if (!levels) return 0;
+
+  const headroom = levels.peak > 0 ? -gainToDb(levels.peak) : Infinity;
+  return Math.round(Math.min(levels.gain, headroom) * 100) / 100;
+};
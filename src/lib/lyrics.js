@@ -0,0 +1,175 @@
+import { getFilePath } from './metadata/filename-patterns';
+
+/**
+ * Synchronized lyrics in the LRC format
+ * Lines carry one or more `[mm:ss.xx]` timestamps; enhanced LRC adds
+ * `<mm:ss.xx>` word timings inside a line. `[offset:±ms]` shifts every
+ * timestamp, a positive offset showing the lyrics earlier. Files without
+ * any timestamps are kept as plain, unsynced text.
+ */
+
+const TIMESTAMP = /\[(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+const WORD_TIMESTAMP = /<(\d{1,3}):(\d{1,2})(?:[.:](\d{1,3}))?>/g;
+const ID_TAG = /^\[([a-z#]+):(.*)\]$/i;
+
+const ID_TAG_FIELDS = { ti: 'title', ar: 'artist', al: 'album', by: 'author', length: 'length' };
+
+const toSeconds = (minutes, seconds, fraction = '') => {
+  // `.5`, `.50` and `.500` all mean half a second
+  const fractionSeconds = fraction ? Number(fraction) / 10 ** fraction.length : 0;
+  return Number(minutes) * 60 + Number(seconds) + fractionSeconds;
+};
+
+/**
+ * Split an enhanced LRC line into timed words. A trailing timestamp with
+ * no text after it marks where the last word ends.
+ */
+const parseWords = (text, shift) => {
+  const parts = text.split(WORD_TIMESTAMP);
+  if (parts.length === 1) return { text: text.trim(), words: null };
+
+  const words = [];
+  let end = null;
+  // split() interleaves captured groups: text, min, sec, fraction, text, ...
+  for (let i = 1; i < parts.length; i += 4) {
+    const time = Math.max(0, toSeconds(parts[i], parts[i + 1], parts[i + 2]) - shift);
+    const word = parts[i + 3];
+    if (word.trim()) {
+      words.push({ time, text: word });
+    } else if (i + 4 >= parts.length) {
+      end = time;
+    }
+  }
+
+  return {
+    text: (parts[0] + words.map((word) => word.text).join('')).trim(),
+    words: words.length > 0 ? words : null,
+    end
+  };
+};
+
+/**
+ * Parse LRC text into `{ synced, lines, metadata, offset }`. Synced lines
+ * are `{ time, text, words, end }` sorted by time, with `words` null for
+ * lines without word timings; unsynced lines only have `text`.
+ */
+export const parseLrc = (source) => {
+  const metadata = {};
+  let offset = 0;
+  const timedLines = [];
+  const plainLines = [];
+
+  const rows = source.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  // The offset applies to the whole file wherever it appears
+  rows.forEach((row) => {
+    const tag = row.trim().match(ID_TAG);
+    if (tag && tag[1].toLowerCase() === 'offset') {
+      offset = Number.parseInt(tag[2], 10) || 0;
+    }
+  });
+  const shift = offset / 1000;
+
+  rows.forEach((row) => {
+    const line = row.trim();
+    const tag = line.match(ID_TAG);
+    if (tag) {
+      const field = ID_TAG_FIELDS[tag[1].toLowerCase()];
+      if (field) metadata[field] = tag[2].trim();
+      return;
+    }
+
+    const times = [];
+    let rest = line;
+    let match;
+    TIMESTAMP.lastIndex = 0;
+    // Timestamps are only read at the start of a line; several mean the
+    // line repeats, as in a chorus
+    while ((match = TIMESTAMP.exec(rest)) && match.index === 0) {
+      times.push(Math.max(0, toSeconds(match[1], match[2], match[3]) - shift));
+      rest = rest.slice(match[0].length);
+      TIMESTAMP.lastIndex = 0;
+    }
+
+    if (times.length === 0) {
+      plainLines.push({ text: line });
+      return;
+    }
+
+    const parsed = parseWords(rest, shift);
+    times.forEach((time) => timedLines.push({ time, ...parsed }));
+  });
+
+  if (timedLines.length === 0) {
+    // Trim blank lines around plain lyrics but keep verse breaks
+    const texts = plainLines.map((line) => line.text);
+    while (texts.length > 0 && !texts[0]) texts.shift();
+    while (texts.length > 0 && !texts[texts.length - 1]) texts.pop();
+    return { synced: false, lines: texts.map((text) => ({ text })), metadata, offset };
+  }
+
+  timedLines.sort((a, b) => a.time - b.time);
+  return { synced: true, lines: timedLines, metadata, offset };
+};
+
+/**
+ * Index of the line being sung at `time`, or -1 before the first line
+ */
+export const getActiveLineIndex = (lines, time) => {
+  let low = 0;
+  let high = lines.length - 1;
+  let active = -1;
+  while (low <= high) {
+    const middle = (low + high) >> 1;
+    if (lines[middle].time <= time) {
+      active = middle;
+      low = middle + 1;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return active;
+};
+
+/**
+ * How far through a timed word `time` is, from 0 to 1. A word lasts until
+ * the next word, the line's end mark or the next line.
+ */
+export const getWordProgress = (line, wordIndex, time, nextLineTime = Infinity) => {
+  const word = line.words[wordIndex];
+  const end = line.words[wordIndex + 1]?.time ?? line.end ?? nextLineTime;
+  if (time < word.time) return 0;
+  if (!Number.isFinite(end) || end <= word.time) return 1;
+  return Math.min(1, (time - word.time) / (end - word.time));
+};
+
+export const isLyricsFile = (file) => /\.lrc$/i.test(file.name);
+
+const stripExtension = (path) => path.replace(/\.[^/.]+$/, '').toLowerCase();
+
+/**
+ * Pair lyrics files with the audio files they were picked alongside,
+ * matching `Song.lrc` to `Song.mp3` in the same folder. Returns a map of
+ * audio file to lyrics file and the lyrics files left over.
+ */
+export const matchLyricsFiles = (lyricsFiles, audioFiles) => {
+  const byPath = new Map(lyricsFiles.map((file) => [stripExtension(getFilePath(file)), file]));
+  const matches = new Map();
+
+  audioFiles.forEach((audioFile) => {
+    const lyricsFile = byPath.get(stripExtension(getFilePath(audioFile)));
+    if (lyricsFile) matches.set(audioFile, lyricsFile);
+  });
+
+  const matched = new Set(matches.values());
+  return { matches, unmatched: lyricsFiles.filter((file) => !matched.has(file)) };
+};
+
+/**
+ * Library tracks whose file name matches a lyrics file, for lyrics added
+ * after the audio was uploaded
+ */
+export const findTrackForLyrics = (tracks, lyricsFile) => {
+  const name = stripExtension(lyricsFile.name);
+  return tracks.find((track) => stripExtension(track.name) === name) || null;
+};
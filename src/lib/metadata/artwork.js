@@ -0,0 +1,120 @@
+import { readId3v2, decodePictureFrame } from './id3';
+import { readFlacBlocks, parseFlacPicture, FLAC_BLOCK_TYPES } from './flac';
+import { readOggMetadata } from './ogg';
+import { parseVorbisComment, getVorbisPictures } from './vorbis';
+import { readMoovAtom, getIlstItems, MP4_DATA_TYPES } from './mp4';
+import { detectContainer } from './container';
+import { loadAudioBlob } from '../audio-store';
+
+/**
+ * Embedded cover art
+ * Artwork is read from ID3 APIC frames, FLAC PICTURE blocks (also found
+ * base64-encoded in Vorbis comments) or the MP4 `covr` atom and stored as
+ * a small JPEG thumbnail next to the audio, so the full-size image never
+ * has to be loaded again.
+ */
+
+export const THUMBNAIL_SIZE = 256;
+
+const FRONT_COVER = 3;
+
+const MP4_IMAGE_TYPES = {
+  [MP4_DATA_TYPES.JPEG]: 'image/jpeg',
+  [MP4_DATA_TYPES.PNG]: 'image/png',
+  [MP4_DATA_TYPES.BMP]: 'image/bmp',
+};
+
+/**
+ * Every picture embedded in a file as `{ pictureType, mimeType, data }`
+ */
+export const readPictures = async (file) => {
+  const container = await detectContainer(file);
+
+  if (container === 'mp4') {
+    const moov = await readMoovAtom(file);
+    if (!moov) return [];
+    const cover = getIlstItems(moov).find((item) => item.name === 'covr');
+    // covr has no picture types; the first image is the cover
+    return (cover?.values || []).map((value, index) => ({
+      pictureType: index === 0 ? FRONT_COVER : 0,
+      mimeType: MP4_IMAGE_TYPES[value.type] || 'image/jpeg',
+      data: value.data,
+    }));
+  }
+
+  if (container === 'flac') {
+    const blocks = (await readFlacBlocks(file)) || [];
+    const comment = blocks.find((block) => block.type === FLAC_BLOCK_TYPES.VORBIS_COMMENT);
+    return [
+      ...blocks.filter((block) => block.type === FLAC_BLOCK_TYPES.PICTURE).map((block) => parseFlacPicture(block.data)),
+      ...(comment ? getVorbisPictures(parseVorbisComment(comment.data).comments) : []),
+    ];
+  }
+
+  if (container === 'ogg') {
+    const ogg = await readOggMetadata(file);
+    return ogg ? getVorbisPictures(ogg.comments) : [];
+  }
+
+  const tag = await readId3v2(file);
+  if (!tag) return [];
+  return tag.frames
+    .filter((frame) => frame.id === 'APIC')
+    .map((frame) => decodePictureFrame(frame.data, tag.version));
+};
+
+/**
+ * The front cover if there is one, else the first picture
+ */
+export const pickCover = (pictures) => {
+  return pictures.find((picture) => picture.pictureType === FRONT_COVER) || pictures[0] || null;
+};
+
+/**
+ * Scale a picture down to fit a square of `size` pixels, as a JPEG blob
+ */
+export const createThumbnail = async (picture, size = THUMBNAIL_SIZE) => {
+  const bitmap = await createImageBitmap(new Blob([picture.data], { type: picture.mimeType }));
+  const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  return new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', 0.85));
+};
+
+/**
+ * Thumbnail of a file's cover art, or null if it has none or it cannot
+ * be decoded
+ */
+export const readArtworkThumbnail = async (file) => {
+  try {
+    const cover = pickCover(await readPictures(file));
+    return cover ? await createThumbnail(cover) : null;
+  } catch (error) {
+    console.warn('Failed to read artwork:', error);
+    return null;
+  }
+};
+
+/**
+ * Read thumbnails for stored tracks that have never been scanned
+ * Returns a map of track id to thumbnail, or null for tracks without art.
+ */
+export const readStoredArtwork = async (tracks) => {
+  const results = {};
+  for (const track of tracks) {
+    try {
+      const blob = await loadAudioBlob(track.id);
+      if (blob) {
+        results[track.id] = await readArtworkThumbnail(blob);
+      }
+    } catch (error) {
+      console.warn('Failed to read artwork for', track.name, error);
+    }
+  }
+  return results;
+};
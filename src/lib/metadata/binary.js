@@ -0,0 +1,113 @@
+/**
+ * Byte-level helpers shared by the tag parsers
+ * All readers take a Uint8Array and an offset and are big-endian unless
+ * their name says otherwise.
+ */
+
+/**
+ * Read a slice of a file or blob as bytes
+ */
+export const readBlobBytes = async (blob, start = 0, end = blob.size) => {
+  return new Uint8Array(await blob.slice(start, end).arrayBuffer());
+};
+
+export const readUint = (bytes, offset, length) => {
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return value;
+};
+
+export const readUintLE = (bytes, offset, length) => {
+  let value = 0;
+  for (let i = length - 1; i >= 0; i--) {
+    value = value * 256 + bytes[offset + i];
+  }
+  return value;
+};
+
+/**
+ * Read a "synchsafe" integer, which uses only the low 7 bits of each byte
+ */
+export const readSynchsafe = (bytes, offset, length = 4) => {
+  let value = 0;
+  for (let i = 0; i < length; i++) {
+    value = value * 128 + (bytes[offset + i] & 0x7f);
+  }
+  return value;
+};
+
+export const readAscii = (bytes, offset, length) => {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+};
+
+/**
+ * Undo ID3 unsynchronisation: every 0xFF 0x00 pair is turned back into 0xFF
+ */
+export const removeUnsynchronisation = (bytes) => {
+  const output = new Uint8Array(bytes.length);
+  let length = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    output[length++] = bytes[i];
+    if (bytes[i] === 0xff && bytes[i + 1] === 0x00) {
+      i++;
+    }
+  }
+  return output.subarray(0, length);
+};
+
+// ID3 text encodings, indexed by the encoding byte that starts a text frame
+export const TEXT_ENCODINGS = ['latin1', 'utf-16', 'utf-16be', 'utf-8'];
+
+const decodeLatin1 = (bytes) => {
+  let text = '';
+  for (let i = 0; i < bytes.length; i++) {
+    text += String.fromCharCode(bytes[i]);
+  }
+  return text;
+};
+
+/**
+ * Decode text in one of the ID3 encodings. UTF-16 without a byte order
+ * mark is read as big-endian, as the spec requires.
+ */
+export const decodeText = (bytes, encoding = 'latin1') => {
+  if (encoding === 'latin1') return decodeLatin1(bytes);
+
+  if (encoding === 'utf-16') {
+    if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+      return new TextDecoder('utf-16le').decode(bytes.subarray(2));
+    }
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      return new TextDecoder('utf-16be').decode(bytes.subarray(2));
+    }
+    return new TextDecoder('utf-16be').decode(bytes);
+  }
+
+  return new TextDecoder(encoding).decode(bytes);
+};
+
+/**
+ * Length of a null-terminated string starting at `offset`, in bytes and
+ * without the terminator. UTF-16 strings end with an aligned 0x00 0x00.
+ */
+export const findTerminator = (bytes, offset, encoding) => {
+  const wide = encoding === 'utf-16' || encoding === 'utf-16be';
+  const step = wide ? 2 : 1;
+  for (let i = offset; i + step <= bytes.length; i += step) {
+    if (bytes[i] === 0 && (!wide || bytes[i + 1] === 0)) {
+      return { length: i - offset, next: i + step };
+    }
+  }
+  return { length: bytes.length - offset, next: bytes.length };
+};
+
+/**
+ * Read a null-terminated string, returning the text and the offset just
+ * past its terminator
+ */
+export const readTerminatedText = (bytes, offset, encoding) => {
+  const { length, next } = findTerminator(bytes, offset, encoding);
+  return { text: decodeText(bytes.subarray(offset, offset + length), encoding), next };
+};
@@ -0,0 +1,116 @@
+import { readId3v2, decodeChapterFrame, decodeTableOfContentsFrame } from './id3';
+import { readMoovAtom, getNeroChapters, readChapterTrack } from './mp4';
+import { detectContainer } from './container';
+import { loadAudioBlob } from '../audio-store';
+
+/**
+ * Chapter lists
+ * Chapters come from ID3 CHAP frames (in the order of the top-level CTOC
+ * when there is one), an MP4 chapter text track or a Nero `chpl` atom.
+ * They are stored on the track as `{ start, end, title }` in seconds,
+ * sorted, each ending where the next one starts.
+ */
+
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Raw chapters from a tag's frames, as `{ startTime, endTime, title }`
+ */
+export const getId3Chapters = (frames, version) => {
+  const chapters = new Map();
+  const tables = new Map();
+  frames.forEach((frame) => {
+    if (frame.id === 'CHAP') {
+      const chapter = decodeChapterFrame(frame.data, version);
+      chapters.set(chapter.elementId, chapter);
+    } else if (frame.id === 'CTOC') {
+      const table = decodeTableOfContentsFrame(frame.data, version);
+      tables.set(table.elementId, table);
+    }
+  });
+
+  // Walk the table of contents, following nested tables once each
+  const ordered = [];
+  const visited = new Set();
+  const walk = (table) => {
+    if (visited.has(table.elementId)) return;
+    visited.add(table.elementId);
+    table.childIds.forEach((id) => {
+      if (chapters.has(id)) ordered.push(chapters.get(id));
+      else if (tables.has(id)) walk(tables.get(id));
+    });
+  };
+  const topLevel = [...tables.values()].find((table) => table.topLevel);
+  if (topLevel) walk(topLevel);
+
+  return (ordered.length > 0 ? ordered : [...chapters.values()]).map((chapter) => ({
+    startTime: chapter.startTime / 1000,
+    endTime: chapter.endTime / 1000,
+    title: chapter.title,
+  }));
+};
+
+/**
+ * Sort raw chapters and give each a title and an end
+ */
+export const normalizeChapters = (chapters, duration) => {
+  const sorted = chapters
+    .filter((chapter) => Number.isFinite(chapter.startTime) && !(chapter.startTime >= duration))
+    .sort((a, b) => a.startTime - b.startTime)
+    .filter((chapter, index, list) => index === 0 || chapter.startTime > list[index - 1].startTime);
+
+  return sorted.map((chapter, index) => {
+    const next = sorted[index + 1];
+    const end = next ? next.startTime : chapter.endTime > chapter.startTime ? chapter.endTime : duration;
+    return {
+      start: roundTime(chapter.startTime),
+      end: Number.isFinite(end) ? roundTime(end) : undefined,
+      title: chapter.title || `Chapter ${index + 1}`,
+    };
+  });
+};
+
+/**
+ * Chapters of a file, or an empty list if it has none
+ */
+export const readChapters = async (file, duration) => {
+  try {
+    const container = await detectContainer(file);
+    let chapters = [];
+
+    if (container === 'mp4') {
+      const moov = await readMoovAtom(file);
+      if (moov) {
+        chapters = await readChapterTrack(file, moov);
+        if (chapters.length === 0) chapters = getNeroChapters(moov);
+      }
+    } else {
+      const tag = await readId3v2(file);
+      if (tag) chapters = getId3Chapters(tag.frames, tag.version);
+    }
+
+    return normalizeChapters(chapters, duration);
+  } catch (error) {
+    console.warn('Failed to read chapters:', error);
+    return [];
+  }
+};
+
+/**
+ * Read chapters for stored tracks that have never been scanned
+ * Returns a map of track id to chapters.
+ */
+export const readStoredChapters = async (tracks) => {
+  const results = {};
+  for (const track of tracks) {
+    try {
+      const blob = await loadAudioBlob(track.id);
+      if (blob) {
+        results[track.id] = await readChapters(blob, track.duration);
+      }
+    } catch (error) {
+      console.warn('Failed to read chapters for', track.name, error);
+    }
+  }
+  return results;
+};
@@ -0,0 +1,26 @@
+import { readBlobBytes, readAscii } from './binary';
+import { getId3v2Size } from './id3';
+import { isMp4 } from './mp4';
+import { isOgg } from './ogg';
+import { isWav } from './wav';
+import { isWebm } from './webm';
+
+/**
+ * Work out which tag format to read from a file's first bytes rather than
+ * its name or MIME type, which are often missing or wrong
+ * Returns 'flac', 'ogg', 'mp4', 'wav', 'webm' or 'mpeg' (anything else,
+ * read as ID3-tagged MPEG audio).
+ */
+export const detectContainer = async (file) => {
+  const head = await readBlobBytes(file, 0, 12);
+  if (isMp4(head)) return 'mp4';
+  if (isOgg(head)) return 'ogg';
+  if (isWav(head)) return 'wav';
+  if (isWebm(head)) return 'webm';
+
+  const offset = getId3v2Size(head);
+  const marker = offset ? await readBlobBytes(file, offset, offset + 4) : head.subarray(0, 4);
+  if (marker.length === 4 && readAscii(marker, 0, 4) === 'fLaC') return 'flac';
+
+  return 'mpeg';
+};
@@ -0,0 +1,109 @@
+import {
+  readId3v2,
+  decodeDescribedFrame,
+  decodeSynchronisedLyricsFrame,
+  SYLT_TIMESTAMP_FORMATS,
+} from './id3';
+import { parseLrc } from '../lyrics';
+import { loadAudioBlob } from '../audio-store';
+
+/**
+ * Lyrics embedded in ID3 tags
+ * SYLT frames become timed lines; USLT text is parsed like an LRC file,
+ * since some taggers store LRC there. The result has the same shape as
+ * `parseLrc`, so attached and embedded lyrics display the same way.
+ */
+
+// SYLT content types worth showing as lyrics: other, lyrics, transcription
+const LYRIC_CONTENT_TYPES = [0, 1, 2];
+
+/**
+ * Turn SYLT entries (times in milliseconds) into lyric lines. Karaoke-style
+ * frames time every syllable and mark new lines with a leading line break;
+ * otherwise each entry is a line of its own.
+ */
+export const syltToLines = (entries) => {
+  const sorted = [...entries].sort((a, b) => a.time - b.time);
+
+  if (!sorted.some((entry) => /^[\r\n]/.test(entry.text))) {
+    return sorted.map((entry) => ({ time: entry.time / 1000, text: entry.text.trim(), words: null }));
+  }
+
+  const lines = [];
+  sorted.forEach((entry, index) => {
+    const startsLine = index === 0 || /^[\r\n]/.test(entry.text);
+    const word = { time: entry.time / 1000, text: entry.text.replace(/^[\r\n]+/, '') };
+    if (startsLine) {
+      lines.push({ time: word.time, words: [word] });
+    } else {
+      lines[lines.length - 1].words.push(word);
+    }
+  });
+
+  return lines.map((line) => ({
+    time: line.time,
+    text: line.words.map((word) => word.text).join('').trim(),
+    words: line.words.length > 1 ? line.words : null,
+  }));
+};
+
+/**
+ * Lyrics from a tag's frames, preferring synchronised ones, or null
+ */
+export const getId3Lyrics = (frames) => {
+  // Timestamps counted in MPEG frames are rare and would need the frame
+  // duration, so only millisecond timings are used
+  const sylt = frames
+    .filter((frame) => frame.id === 'SYLT')
+    .map((frame) => decodeSynchronisedLyricsFrame(frame.data))
+    .find((frame) => (
+      frame.timestampFormat === SYLT_TIMESTAMP_FORMATS.MILLISECONDS &&
+      LYRIC_CONTENT_TYPES.includes(frame.contentType) &&
+      frame.entries.some((entry) => entry.text.trim())
+    ));
+  if (sylt) {
+    return { synced: true, lines: syltToLines(sylt.entries), metadata: {}, offset: 0, language: sylt.language };
+  }
+
+  const uslt = frames
+    .filter((frame) => frame.id === 'USLT')
+    .map((frame) => decodeDescribedFrame(frame.data))
+    .find((frame) => frame.text.trim());
+  if (uslt) {
+    return { ...parseLrc(uslt.text), language: uslt.language };
+  }
+
+  return null;
+};
+
+/**
+ * Lyrics embedded in a file, or null if it has none
+ */
+export const readEmbeddedLyrics = async (file) => {
+  try {
+    const tag = await readId3v2(file);
+    return tag ? getId3Lyrics(tag.frames) : null;
+  } catch (error) {
+    console.warn('Failed to read lyrics:', error);
+    return null;
+  }
+};
+
+/**
+ * Read embedded lyrics for stored tracks that have never been scanned
+ * Returns a map of track id to lyrics, or null for tracks without any.
+ */
+export const readStoredEmbeddedLyrics = async (tracks) => {
+  const results = {};
+  for (const track of tracks) {
+    try {
+      const blob = await loadAudioBlob(track.id);
+      if (blob) {
+        results[track.id] = await readEmbeddedLyrics(blob);
+      }
+    } catch (error) {
+      console.warn('Failed to read lyrics for', track.name, error);
+    }
+  }
+  return results;
+};
@@ -0,0 +1,111 @@
+/**
+ * Tag inference from file and folder names
+ * A pattern such as `%track% - %artist% - %title%` is matched against the
+ * file name without its extension; patterns containing `/` also match the
+ * folders above it (`%artist%/%album%/%track% - %title%`), using the path
+ * of files picked as a folder. The first matching pattern wins.
+ */
+
+export const FILENAME_TOKENS = {
+  track: { label: 'Track number', pattern: '(\\d{1,3})' },
+  disc: { label: 'Disc number', pattern: '(\\d{1,2})' },
+  year: { label: 'Year', pattern: '(\\d{4})' },
+  artist: { label: 'Artist', pattern: '(.+?)' },
+  album: { label: 'Album', pattern: '(.+?)' },
+  title: { label: 'Title', pattern: '(.+?)' },
+  genre: { label: 'Genre', pattern: '(.+?)' },
+  any: { label: 'Anything (ignored)', pattern: '.+?' },
+};
+
+// Most specific first, since the first match wins
+export const DEFAULT_FILENAME_PATTERNS = [
+  '%artist%/%album%/%track% - %title%',
+  '%track% - %artist% - %title%',
+  '%artist% - %title%',
+  '%track% - %title%',
+  '%track%. %title%',
+  '%track% %title%',
+];
+
+const NUMBER_FIELDS = ['track', 'disc', 'year'];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compile a pattern to `{ regex, fields, depth }`, or return an
+ * `{ error }` for patterns that cannot be used
+ */
+export const compilePattern = (pattern) => {
+  const fields = [];
+  let source = '';
+
+  for (const part of pattern.split(/(%[a-z]+%)/i)) {
+    const token = part.match(/^%([a-z]+)%$/i)?.[1].toLowerCase();
+    if (!token) {
+      source += escapeRegExp(part);
+    } else if (!FILENAME_TOKENS[token]) {
+      return { error: `Unknown field %${token}%` };
+    } else if (fields.includes(token)) {
+      return { error: `%${token}% is used twice` };
+    } else {
+      source += FILENAME_TOKENS[token].pattern;
+      if (token !== 'any') fields.push(token);
+    }
+  }
+
+  if (fields.length === 0) return { error: 'Use at least one field such as %title%' };
+  return { regex: new RegExp(`^${source}$`, 'i'), fields, depth: pattern.split('/').length };
+};
+
+/**
+ * Match a file path against one pattern, returning the parsed tags or
+ * null. Only as many trailing path segments as the pattern has are used.
+ */
+export const matchPattern = (path, pattern) => {
+  const compiled = compilePattern(pattern);
+  if (compiled.error) return null;
+
+  const segments = path.split('/');
+  if (segments.length < compiled.depth) return null;
+
+  const subject = segments.slice(-compiled.depth).join('/').replace(/\.[^/.]+$/, '');
+  const match = subject.match(compiled.regex);
+  if (!match) return null;
+
+  const tags = {};
+  compiled.fields.forEach((field, index) => {
+    const value = match[index + 1].replace(/_/g, ' ').trim();
+    if (!value) return;
+    tags[field] = NUMBER_FIELDS.includes(field) ? Number(value) : value;
+  });
+  return Object.keys(tags).length > 0 ? tags : null;
+};
+
+/**
+ * Tags parsed from a file's path by the first matching pattern
+ */
+export const inferTagsFromPath = (path, patterns) => {
+  for (const pattern of patterns) {
+    const tags = matchPattern(path, pattern);
+    if (tags) return { tags, pattern };
+  }
+  return { tags: {}, pattern: null };
+};
+
+/**
+ * The path patterns are matched against: the folder path when the file
+ * was picked as part of a folder, else just its name
+ */
+export const getFilePath = (file) => file.webkitRelativePath || file.name;
+
+/**
+ * Fill the tags a file is missing from its path; embedded tags always win
+ * Returns the merged metadata and the fields that were inferred.
+ */
+export const applyInferredTags = (metadata, inferred) => {
+  const fields = Object.keys(inferred).filter((field) => metadata[field] === undefined);
+  return {
+    metadata: { ...metadata, ...Object.fromEntries(fields.map((field) => [field, inferred[field]])) },
+    fields,
+  };
+};
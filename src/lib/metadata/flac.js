@@ -0,0 +1,98 @@
+import { readBlobBytes, readUint, readAscii, decodeText } from './binary';
+import { getId3v2Size } from './id3';
+
+/**
+ * FLAC metadata blocks
+ * A FLAC stream starts with "fLaC" (optionally after an ID3v2 tag) and a
+ * chain of metadata blocks, each with a 4-byte header: a last-block flag,
+ * a 7-bit type and a 24-bit length.
+ */
+
+export const FLAC_BLOCK_TYPES = {
+  STREAMINFO: 0,
+  VORBIS_COMMENT: 4,
+  PICTURE: 6,
+};
+
+const BLOCK_HEADER_SIZE = 4;
+
+/**
+ * Offset of the "fLaC" marker, or -1 if the bytes are not a FLAC stream
+ */
+export const findFlacStart = (bytes) => {
+  const offset = getId3v2Size(bytes);
+  return readAscii(bytes, offset, 4) === 'fLaC' ? offset : -1;
+};
+
+/**
+ * Read every metadata block of a FLAC file as `{ type, data }`
+ * Blocks are fetched one at a time so the audio frames are never read.
+ */
+export const readFlacBlocks = async (file) => {
+  const head = await readBlobBytes(file, 0, 10);
+  let offset = getId3v2Size(head);
+  const marker = await readBlobBytes(file, offset, offset + 4);
+  if (readAscii(marker, 0, 4) !== 'fLaC') return null;
+
+  offset += 4;
+  const blocks = [];
+  let isLast = false;
+
+  while (!isLast && offset + BLOCK_HEADER_SIZE <= file.size) {
+    const header = await readBlobBytes(file, offset, offset + BLOCK_HEADER_SIZE);
+    isLast = (header[0] & 0x80) !== 0;
+    const type = header[0] & 0x7f;
+    const length = readUint(header, 1, 3);
+    const start = offset + BLOCK_HEADER_SIZE;
+
+    if (start + length > file.size) break;
+    blocks.push({ type, data: await readBlobBytes(file, start, start + length) });
+    offset = start + length;
+  }
+
+  return blocks;
+};
+
+/**
+ * Decode a STREAMINFO block: 20 bits of sample rate, 3 of channels minus
+ * one, 5 of bits per sample minus one and 36 of total samples, starting
+ * after the block and frame size fields
+ */
+export const parseStreamInfo = (block) => {
+  const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+  const channels = ((block[12] >> 1) & 0x07) + 1;
+  const bitsPerSample = (((block[12] & 0x01) << 4) | (block[13] >> 4)) + 1;
+  const totalSamples = (block[13] & 0x0f) * 2 ** 32 + readUint(block, 14, 4);
+
+  return {
+    sampleRate,
+    channels,
+    bitsPerSample,
+    // Zero total samples means the encoder did not know the length
+    duration: sampleRate && totalSamples ? totalSamples / sampleRate : undefined,
+  };
+};
+
+/**
+ * Decode a PICTURE block; Vorbis comments carry the same structure base64
+ * encoded as METADATA_BLOCK_PICTURE
+ */
+export const parseFlacPicture = (block) => {
+  let offset = 0;
+  const readField = (length) => {
+    const value = block.subarray(offset, offset + length);
+    offset += length;
+    return value;
+  };
+  const readNumber = () => readUint(readField(4), 0, 4);
+
+  const pictureType = readNumber();
+  const mimeType = decodeText(readField(readNumber()), 'latin1');
+  const description = decodeText(readField(readNumber()), 'utf-8');
+  const width = readNumber();
+  const height = readNumber();
+  readField(8); // colour depth and palette size
+  const data = readField(readNumber());
+
+  return { pictureType, mimeType, description, width, height, data };
+};
@@ -0,0 +1,132 @@
+import { readBlobBytes, readAscii } from './binary';
+import { parseId3v2, getId3v2Size } from './id3';
+import { loadAudioBlob, loadArtworkCover } from '../audio-store';
+
+/**
+ * ID3v2.4 tag writing for exported MP3s
+ * The file's existing tag is replaced by a fresh v2.4 tag: edited fields
+ * and the cover are written from the track, and every other frame of a
+ * v2.3 or v2.4 tag (lyrics, chapters, custom text...) is carried over.
+ * Text is written as UTF-8, which v2.4 allows, and nothing is
+ * unsynchronised.
+ */
+
+const ID3V1_SIZE = 128;
+
+// Extra room so other taggers can edit the file without rewriting it
+const PADDING_SIZE = 1024;
+
+// v2.3 frames that v2.4 replaced with TDRC and friends
+const DEPRECATED_FRAMES = ['TYER', 'TDAT', 'TIME', 'TRDA', 'TSIZ', 'TORY', 'IPLS', 'RVAD', 'EQUA'];
+
+const UTF8 = 3;
+const FRONT_COVER = 3;
+
+const encoder = new TextEncoder();
+
+const writeSynchsafe = (value) => [(value >> 21) & 0x7f, (value >> 14) & 0x7f, (value >> 7) & 0x7f, value & 0x7f];
+
+const concatBytes = (parts) => {
+  const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+};
+
+export const encodeFrame = (id, data) => {
+  return concatBytes([encoder.encode(id), Uint8Array.from(writeSynchsafe(data.length)), new Uint8Array(2), data]);
+};
+
+export const encodeTextFrame = (id, value) => {
+  return encodeFrame(id, concatBytes([Uint8Array.of(UTF8), encoder.encode(value)]));
+};
+
+/**
+ * An APIC frame holding a front cover with no description
+ */
+export const encodePictureFrame = ({ mimeType, data }) => {
+  return encodeFrame('APIC', concatBytes([
+    Uint8Array.of(UTF8),
+    encoder.encode(mimeType),
+    Uint8Array.of(0, FRONT_COVER, 0),
+    data,
+  ]));
+};
+
+const formatPosition = (position, total) => {
+  if (!position) return undefined;
+  return total ? `${position}/${total}` : String(position);
+};
+
+// Text frames written from track metadata, and the fields they come from
+const TEXT_FRAMES = {
+  TIT2: (tags) => tags.title,
+  TPE1: (tags) => tags.artist,
+  TALB: (tags) => tags.album,
+  TPE2: (tags) => tags.albumArtist,
+  TCON: (tags) => tags.genre,
+  TDRC: (tags) => tags.year && String(tags.year),
+  TRCK: (tags) => formatPosition(tags.track, tags.trackTotal),
+  TPOS: (tags) => formatPosition(tags.disc, tags.discTotal),
+};
+
+/**
+ * Build a complete ID3v2.4 tag
+ * `cover` (`{ mimeType, data }`) replaces any embedded pictures; without
+ * it the original APIC frames are kept.
+ */
+export const buildId3v24Tag = (tags, { frames = [], cover = null } = {}) => {
+  const replaced = new Set([...Object.keys(TEXT_FRAMES), ...DEPRECATED_FRAMES, ...(cover ? ['APIC'] : [])]);
+
+  const body = concatBytes([
+    ...Object.entries(TEXT_FRAMES)
+      .map(([id, read]) => [id, read(tags)])
+      .filter(([, value]) => value)
+      .map(([id, value]) => encodeTextFrame(id, value)),
+    ...frames.filter((frame) => !replaced.has(frame.id)).map((frame) => encodeFrame(frame.id, frame.data)),
+    ...(cover ? [encodePictureFrame(cover)] : []),
+    new Uint8Array(PADDING_SIZE),
+  ]);
+
+  const header = Uint8Array.from([...encoder.encode('ID3'), 4, 0, 0, ...writeSynchsafe(body.length)]);
+  return concatBytes([header, body]);
+};
+
+/**
+ * Copy of an MP3 with its tags replaced by an ID3v2.4 tag built from
+ * `tags`. Any ID3v1 tag is dropped, since it would hold the old values.
+ */
+export const writeId3v24 = async (file, tags, { cover = null } = {}) => {
+  const head = await readBlobBytes(file, 0, 10);
+  const tagSize = getId3v2Size(head);
+  const existing = tagSize ? parseId3v2(await readBlobBytes(file, 0, Math.min(tagSize, file.size))) : null;
+
+  // v2.2 frames use a different layout and cannot be carried over
+  const frames = existing && existing.version > 2 ? existing.frames : [];
+
+  let audioEnd = file.size;
+  if (file.size - tagSize >= ID3V1_SIZE) {
+    const tail = await readBlobBytes(file, file.size - ID3V1_SIZE, file.size - ID3V1_SIZE + 3);
+    if (readAscii(tail, 0, 3) === 'TAG') audioEnd -= ID3V1_SIZE;
+  }
+
+  const tag = buildId3v24Tag(tags, { frames, cover });
+  return new Blob([tag, file.slice(tagSize, audioEnd)], { type: 'audio/mpeg' });
+};
+
+/**
+ * The stored audio of an MP3 track with its current metadata and cover
+ * written back as ID3v2.4
+ */
+export const createTaggedFile = async (track) => {
+  const blob = await loadAudioBlob(track.id);
+  if (!blob) throw new Error(`The audio for "${track.name}" is not stored`);
+
+  const cover = await loadArtworkCover(track.id);
+  return writeId3v24(blob, track.metadata || {}, {
+    cover: cover && { mimeType: cover.type || 'image/jpeg', data: new Uint8Array(await cover.arrayBuffer()) },
+  });
+};
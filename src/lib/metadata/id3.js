@@ -0,0 +1,451 @@
+import {
+  readBlobBytes,
+  readUint,
+  readSynchsafe,
+  readAscii,
+  removeUnsynchronisation,
+  decodeText,
+  readTerminatedText,
+  TEXT_ENCODINGS,
+} from './binary';
+import { parsePosition, parseYear, parseReplayGain } from './tag-values';
+
+/**
+ * ID3v1 and ID3v2.2–2.4 tag reading
+ * `parseId3v2` only splits a tag into raw frames (`{ id, data }`, with
+ * v2.2 ids mapped to their v2.3 names) so other readers can decode the
+ * frames they care about; `getId3Tags` turns the common text frames into
+ * plain tag values.
+ */
+
+const ID3V2_HEADER_SIZE = 10;
+const ID3V1_SIZE = 128;
+
+// Genre names for numeric ID3v1 genres, including the Winamp extensions
+export const ID3_GENRES = [
+  'Blues', 'Classic Rock', 'Country', 'Dance', 'Disco', 'Funk', 'Grunge', 'Hip-Hop',
+  'Jazz', 'Metal', 'New Age', 'Oldies', 'Other', 'Pop', 'R&B', 'Rap', 'Reggae', 'Rock',
+  'Techno', 'Industrial', 'Alternative', 'Ska', 'Death Metal', 'Pranks', 'Soundtrack',
+  'Euro-Techno', 'Ambient', 'Trip-Hop', 'Vocal', 'Jazz+Funk', 'Fusion', 'Trance',
+  'Classical', 'Instrumental', 'Acid', 'House', 'Game', 'Sound Clip', 'Gospel', 'Noise',
+  'AlternRock', 'Bass', 'Soul', 'Punk', 'Space', 'Meditative', 'Instrumental Pop',
+  'Instrumental Rock', 'Ethnic', 'Gothic', 'Darkwave', 'Techno-Industrial', 'Electronic',
+  'Pop-Folk', 'Eurodance', 'Dream', 'Southern Rock', 'Comedy', 'Cult', 'Gangsta', 'Top 40',
+  'Christian Rap', 'Pop/Funk', 'Jungle', 'Native American', 'Cabaret', 'New Wave',
+  'Psychadelic', 'Rave', 'Showtunes', 'Trailer', 'Lo-Fi', 'Tribal', 'Acid Punk',
+  'Acid Jazz', 'Polka', 'Retro', 'Musical', 'Rock & Roll', 'Hard Rock', 'Folk', 'Folk-Rock',
+  'National Folk', 'Swing', 'Fast Fusion', 'Bebob', 'Latin', 'Revival', 'Celtic',
+  'Bluegrass', 'Avantgarde', 'Gothic Rock', 'Progressive Rock', 'Psychedelic Rock',
+  'Symphonic Rock', 'Slow Rock', 'Big Band', 'Chorus', 'Easy Listening', 'Acoustic',
+  'Humour', 'Speech', 'Chanson', 'Opera', 'Chamber Music', 'Sonata', 'Symphony',
+  'Booty Bass', 'Primus', 'Porn Groove', 'Satire', 'Slow Jam', 'Club', 'Tango', 'Samba',
+  'Folklore', 'Ballad', 'Power Ballad', 'Rhythmic Soul', 'Freestyle', 'Duet', 'Punk Rock',
+  'Drum Solo', 'A capella', 'Euro-House', 'Dance Hall', 'Goa', 'Drum & Bass', 'Club-House',
+  'Hardcore', 'Terror', 'Indie', 'BritPop', 'Negerpunk', 'Polsk Punk', 'Beat',
+  'Christian Gangsta Rap', 'Heavy Metal', 'Black Metal', 'Crossover',
+  'Contemporary Christian', 'Christian Rock', 'Merengue', 'Salsa', 'Thrash Metal', 'Anime',
+  'JPop', 'Synthpop', 'Abstract', 'Art Rock', 'Baroque', 'Bhangra', 'Big Beat', 'Breakbeat',
+  'Chillout', 'Downtempo', 'Dub', 'EBM', 'Eclectic', 'Electro', 'Electroclash', 'Emo',
+  'Experimental', 'Garage', 'Global', 'IDM', 'Illbient', 'Industro-Goth', 'Jam Band',
+  'Krautrock', 'Leftfield', 'Lounge', 'Math Rock', 'New Romantic', 'Nu-Breakz',
+  'Post-Punk', 'Post-Rock', 'Psytrance', 'Shoegaze', 'Space Rock', 'Trop Rock',
+  'World Music', 'Neoclassical', 'Audiobook', 'Audio Theatre', 'Neue Deutsche Welle',
+  'Podcast', 'Indie Rock', 'G-Funk', 'Dubstep', 'Garage Rock', 'Psybient',
+];
+
+// ID3v2.2 frame ids and the v2.3+ frames they correspond to
+const V22_FRAME_IDS = {
+  TT2: 'TIT2',
+  TT3: 'TIT3',
+  TP1: 'TPE1',
+  TP2: 'TPE2',
+  TAL: 'TALB',
+  TYE: 'TYER',
+  TCO: 'TCON',
+  TRK: 'TRCK',
+  TPA: 'TPOS',
+  TCM: 'TCOM',
+  TBP: 'TBPM',
+  TKE: 'TKEY',
+  TLE: 'TLEN',
+  TXX: 'TXXX',
+  COM: 'COMM',
+  PIC: 'APIC',
+  ULT: 'USLT',
+  SLT: 'SYLT',
+};
+
+const isFrameId = (bytes, offset, length) => {
+  for (let i = offset; i < offset + length; i++) {
+    const byte = bytes[i];
+    const isUpper = byte >= 0x41 && byte <= 0x5a;
+    const isDigit = byte >= 0x30 && byte <= 0x39;
+    if (!isUpper && !isDigit) return false;
+  }
+  return true;
+};
+
+/**
+ * Size of the ID3v2 tag at the start of `bytes` (header and footer
+ * included), or 0 if there is none
+ */
+export const getId3v2Size = (bytes) => {
+  if (bytes.length < ID3V2_HEADER_SIZE || readAscii(bytes, 0, 3) !== 'ID3') return 0;
+  const hasFooter = bytes[3] === 4 && (bytes[5] & 0x10) !== 0;
+  return ID3V2_HEADER_SIZE + readSynchsafe(bytes, 6) + (hasFooter ? ID3V2_HEADER_SIZE : 0);
+};
+
+/**
+ * v2.4 frame sizes are synchsafe, but some encoders (notably old iTunes)
+ * wrote plain integers. Prefer whichever reading lands on another frame
+ * header, padding or the end of the tag.
+ */
+const readV24FrameSize = (bytes, offset, end) => {
+  const synchsafe = readSynchsafe(bytes, offset + 4);
+  const plain = readUint(bytes, offset + 4, 4);
+  if (synchsafe === plain) return synchsafe;
+
+  const landsOnBoundary = (size) => {
+    const next = offset + ID3V2_HEADER_SIZE + size;
+    return next === end || (next < end && (bytes[next] === 0 || isFrameId(bytes, next, 4)));
+  };
+  return !landsOnBoundary(synchsafe) && landsOnBoundary(plain) ? plain : synchsafe;
+};
+
+/**
+ * Strip the per-frame header extras of a v2.3 or v2.4 frame
+ * Returns null for compressed or encrypted frames, which are skipped.
+ */
+const readFrameData = (version, flags, data, tagUnsynchronised) => {
+  let start = 0;
+
+  if (version === 3) {
+    if (flags & 0x0080 || flags & 0x0040) return null;
+    if (flags & 0x0020) start += 1;
+    return data.subarray(start);
+  }
+
+  if (flags & 0x0008 || flags & 0x0004) return null;
+  if (flags & 0x0040) start += 1;
+  if (flags & 0x0001) start += 4;
+
+  const body = data.subarray(start);
+  return flags & 0x0002 || tagUnsynchronised ? removeUnsynchronisation(body) : body;
+};
+
+/**
+ * Split a run of frames, stopping at padding or anything that is not
+ * a frame header
+ */
+const splitFrames = (tag, start, version, unsynchronised) => {
+  let offset = start;
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  const frames = [];
+
+  while (offset + headerLength <= tag.length) {
+    // Padding
+    if (tag[offset] === 0) break;
+    if (!isFrameId(tag, offset, idLength)) break;
+
+    const rawId = readAscii(tag, offset, idLength);
+    let frameSize;
+    let frameFlags = 0;
+
+    if (version === 2) {
+      frameSize = readUint(tag, offset + 3, 3);
+    } else if (version === 3) {
+      frameSize = readUint(tag, offset + 4, 4);
+      frameFlags = readUint(tag, offset + 8, 2);
+    } else {
+      frameSize = readV24FrameSize(tag, offset, tag.length);
+      frameFlags = readUint(tag, offset + 8, 2);
+    }
+
+    const dataStart = offset + headerLength;
+    const dataEnd = dataStart + frameSize;
+    if (dataEnd > tag.length) break;
+
+    const rawData = tag.subarray(dataStart, dataEnd);
+    const data = version === 2 ? rawData : readFrameData(version, frameFlags, rawData, unsynchronised);
+    if (data) {
+      frames.push({ id: version === 2 ? V22_FRAME_IDS[rawId] || rawId : rawId, data });
+    }
+
+    offset = dataEnd;
+  }
+
+  return frames;
+};
+
+/**
+ * Split the ID3v2 tag at the start of `bytes` into frames
+ */
+export const parseId3v2 = (bytes) => {
+  const size = getId3v2Size(bytes);
+  if (!size) return null;
+
+  const version = bytes[3];
+  const flags = bytes[5];
+  if (version < 2 || version > 4) return null;
+
+  // v2.2 used this bit for a compression scheme that was never defined
+  if (version === 2 && flags & 0x40) return { version, frames: [] };
+
+  const unsynchronised = (flags & 0x80) !== 0;
+  let tag = bytes.subarray(ID3V2_HEADER_SIZE, Math.min(bytes.length, ID3V2_HEADER_SIZE + readSynchsafe(bytes, 6)));
+
+  // Before v2.4 unsynchronisation applies to the whole tag, frame headers included
+  if (unsynchronised && version < 4) {
+    tag = removeUnsynchronisation(tag);
+  }
+
+  let offset = 0;
+  if (version > 2 && flags & 0x40) {
+    offset = version === 3 ? 4 + readUint(tag, 0, 4) : readSynchsafe(tag, 0);
+  }
+
+  return { version, frames: splitFrames(tag, offset, version, unsynchronised) };
+};
+
+/**
+ * Split frames that are nested inside another frame (CHAP and CTOC carry
+ * their titles this way); they use the same version as the tag
+ */
+export const parseEmbeddedFrames = (data, version) => splitFrames(data, 0, version, false);
+
+/**
+ * Values of a text frame; v2.4 separates multiple values with nulls
+ */
+export const decodeTextFrame = (data) => {
+  const encoding = TEXT_ENCODINGS[data[0]] || 'latin1';
+  return decodeText(data.subarray(1), encoding)
+    .split('\0')
+    .map((value) => value.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Decode a frame that starts with an encoding byte, a three-letter
+ * language and a null-terminated description (COMM, USLT)
+ */
+export const decodeDescribedFrame = (data) => {
+  const encoding = TEXT_ENCODINGS[data[0]] || 'latin1';
+  const language = readAscii(data, 1, 3);
+  const { text: description, next } = readTerminatedText(data, 4, encoding);
+  const text = decodeText(data.subarray(next), encoding).replace(/\0+$/, '');
+  return { encoding, language, description, text };
+};
+
+/**
+ * Decode a user-defined text frame (TXXX)
+ */
+export const decodeUserTextFrame = (data) => {
+  const encoding = TEXT_ENCODINGS[data[0]] || 'latin1';
+  const { text: description, next } = readTerminatedText(data, 1, encoding);
+  const value = decodeText(data.subarray(next), encoding).replace(/\0+$/, '').trim();
+  return { description, value };
+};
+
+export const SYLT_TIMESTAMP_FORMATS = { MPEG_FRAMES: 1, MILLISECONDS: 2 };
+
+/**
+ * Decode a synchronised lyrics frame (SYLT) into its timed text entries;
+ * entry times are in the unit given by `timestampFormat`
+ */
+export const decodeSynchronisedLyricsFrame = (data) => {
+  const encoding = TEXT_ENCODINGS[data[0]] || 'latin1';
+  const language = readAscii(data, 1, 3);
+  const timestampFormat = data[4];
+  const contentType = data[5];
+  const { text: description, next } = readTerminatedText(data, 6, encoding);
+
+  const entries = [];
+  let offset = next;
+  while (offset < data.length) {
+    const { text, next: timeOffset } = readTerminatedText(data, offset, encoding);
+    if (timeOffset + 4 > data.length) break;
+    entries.push({ text, time: readUint(data, timeOffset, 4) });
+    offset = timeOffset + 4;
+  }
+
+  return { language, timestampFormat, contentType, description, entries };
+};
+
+const getEmbeddedTitle = (data, version) => {
+  const title = parseEmbeddedFrames(data, version).find((frame) => frame.id === 'TIT2');
+  return title ? decodeTextFrame(title.data)[0] : undefined;
+};
+
+/**
+ * Decode a chapter frame (CHAP): an element id, start and end times in
+ * milliseconds and a TIT2 sub-frame for the title
+ */
+export const decodeChapterFrame = (data, version) => {
+  const { text: elementId, next } = readTerminatedText(data, 0, 'latin1');
+  // Byte offsets follow the times; players go by the times
+  return {
+    elementId,
+    startTime: readUint(data, next, 4),
+    endTime: readUint(data, next + 4, 4),
+    title: getEmbeddedTitle(data.subarray(next + 16), version),
+  };
+};
+
+/**
+ * Decode a table of contents frame (CTOC), which lists the element ids of
+ * its chapters (or nested tables) in order
+ */
+export const decodeTableOfContentsFrame = (data, version) => {
+  const { text: elementId, next } = readTerminatedText(data, 0, 'latin1');
+  const flags = data[next];
+  const count = data[next + 1];
+
+  const childIds = [];
+  let offset = next + 2;
+  for (let i = 0; i < count && offset < data.length; i++) {
+    const child = readTerminatedText(data, offset, 'latin1');
+    childIds.push(child.text);
+    offset = child.next;
+  }
+
+  return {
+    elementId,
+    topLevel: (flags & 0x02) !== 0,
+    ordered: (flags & 0x01) !== 0,
+    childIds,
+    title: getEmbeddedTitle(data.subarray(offset), version),
+  };
+};
+
+// v2.2 PIC frames name the image format instead of giving a MIME type
+const V22_IMAGE_FORMATS = { JPG: 'image/jpeg', PNG: 'image/png', GIF: 'image/gif', BMP: 'image/bmp' };
+
+/**
+ * Decode an attached picture frame (APIC, or PIC in v2.2)
+ */
+export const decodePictureFrame = (data, version) => {
+  const encoding = TEXT_ENCODINGS[data[0]] || 'latin1';
+  let mimeType;
+  let offset;
+
+  if (version === 2) {
+    const format = readAscii(data, 1, 3).toUpperCase();
+    mimeType = V22_IMAGE_FORMATS[format] || `image/${format.toLowerCase()}`;
+    offset = 4;
+  } else {
+    const mime = readTerminatedText(data, 1, 'latin1');
+    mimeType = mime.text.toLowerCase();
+    offset = mime.next;
+  }
+
+  // Some taggers write "jpg" or "image/jpg" instead of a real MIME type
+  if (!mimeType.includes('/')) mimeType = `image/${mimeType || 'jpeg'}`;
+  if (mimeType === 'image/jpg') mimeType = 'image/jpeg';
+
+  const pictureType = data[offset];
+  const { text: description, next } = readTerminatedText(data, offset + 1, encoding);
+  return { pictureType, mimeType, description, data: data.subarray(next) };
+};
+
+/**
+ * Resolve a TCON value: "Rock", "17", "(17)" or "(17)Rock" (a refinement)
+ */
+export const parseGenre = (value) => {
+  if (!value) return undefined;
+  const match = value.match(/^\((\d+|RX|CR)\)(.*)$/);
+  if (match) {
+    if (match[2]) return match[2].trim();
+    if (match[1] === 'RX') return 'Remix';
+    if (match[1] === 'CR') return 'Cover';
+    return ID3_GENRES[Number(match[1])];
+  }
+  if (/^\d+$/.test(value)) return ID3_GENRES[Number(value)] || value;
+  return value;
+};
+
+/**
+ * Plain tag values from the frames of an ID3v2 tag
+ */
+export const getId3Tags = (frames) => {
+  const texts = (id) => {
+    const frame = frames.find((candidate) => candidate.id === id);
+    return frame ? decodeTextFrame(frame.data) : [];
+  };
+  const text = (id) => texts(id)[0];
+
+  const comment = frames
+    .filter((frame) => frame.id === 'COMM')
+    .map((frame) => decodeDescribedFrame(frame.data))
+    // iTunes stores encoder details as comments with an "iTun…" description
+    .find((frame) => frame.text && !frame.description.startsWith('iTun'));
+
+  const userText = frames
+    .filter((frame) => frame.id === 'TXXX')
+    .map((frame) => decodeUserTextFrame(frame.data));
+  const getUserText = (description) => {
+    return userText.find((frame) => frame.description.toUpperCase() === description)?.value;
+  };
+
+  const track = parsePosition(text('TRCK'));
+  const disc = parsePosition(text('TPOS'));
+
+  return {
+    title: text('TIT2'),
+    artist: texts('TPE1').join(', ') || undefined,
+    album: text('TALB'),
+    albumArtist: text('TPE2'),
+    year: parseYear(text('TDRC') || text('TYER')),
+    genre: parseGenre(text('TCON')),
+    track: track.position,
+    trackTotal: track.total,
+    disc: disc.position,
+    discTotal: disc.total,
+    comment: comment?.text.trim() || undefined,
+    replayGain: parseReplayGain(getUserText),
+  };
+};
+
+const readV1Field = (bytes, offset, length) => {
+  const field = bytes.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return decodeText(end === -1 ? field : field.subarray(0, end), 'latin1').trim() || undefined;
+};
+
+/**
+ * Parse a 128-byte ID3v1 or v1.1 tag
+ */
+export const parseId3v1 = (bytes) => {
+  if (bytes.length < ID3V1_SIZE || readAscii(bytes, 0, 3) !== 'TAG') return null;
+
+  // v1.1 steals the last two comment bytes for a zero and the track number
+  const hasTrack = bytes[125] === 0 && bytes[126] !== 0;
+
+  return {
+    title: readV1Field(bytes, 3, 30),
+    artist: readV1Field(bytes, 33, 30),
+    album: readV1Field(bytes, 63, 30),
+    year: parseYear(readV1Field(bytes, 93, 4)),
+    comment: readV1Field(bytes, 97, hasTrack ? 28 : 30),
+    track: hasTrack ? bytes[126] : undefined,
+    genre: ID3_GENRES[bytes[127]],
+  };
+};
+
+/**
+ * Read the ID3v2 tag at the start of a file, if it has one
+ */
+export const readId3v2 = async (file) => {
+  const header = await readBlobBytes(file, 0, ID3V2_HEADER_SIZE);
+  const size = getId3v2Size(header);
+  if (!size) return null;
+  return parseId3v2(await readBlobBytes(file, 0, Math.min(size, file.size)));
+};
+
+/**
+ * Read the ID3v1 tag at the end of a file, if it has one
+ */
+export const readId3v1 = async (file) => {
+  if (file.size < ID3V1_SIZE) return null;
+  return parseId3v1(await readBlobBytes(file, file.size - ID3V1_SIZE));
+};
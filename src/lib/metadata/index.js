@@ -0,0 +1,127 @@
+import { readId3v1, readId3v2, getId3Tags } from './id3';
+import { readFlacBlocks, parseStreamInfo, FLAC_BLOCK_TYPES } from './flac';
+import { readOggMetadata } from './ogg';
+import { readMoovAtom, getIlstItems, getMp4Tags, getMp4StreamInfo } from './mp4';
+import { readMpegStreamInfo } from './mpeg';
+import { readWavStreamInfo } from './wav';
+import { readWebmStreamInfo } from './webm';
+import { parseVorbisComment, getVorbisTags } from './vorbis';
+import { detectContainer } from './container';
+import { loadAudioBlob } from '../audio-store';
+
+/**
+ * Embedded tag reading for uploaded audio
+ * Tags are stored on the track as `metadata` (the `AudioMetadata` fields
+ * from types.ts); only values actually present in the file are kept.
+ * Besides tags, the stream details (codec, bitrate in kbps, sample rate,
+ * channels, bit depth and duration) are read from the container or frame
+ * headers, which is more reliable than what a media element reports for
+ * VBR MP3s and recorded WebM files.
+ */
+
+const compact = (values) => {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && value !== ''));
+};
+
+const readFlacTags = async (file) => {
+  const blocks = (await readFlacBlocks(file)) || [];
+  const streamInfo = blocks.find((block) => block.type === FLAC_BLOCK_TYPES.STREAMINFO);
+  const comment = blocks.find((block) => block.type === FLAC_BLOCK_TYPES.VORBIS_COMMENT);
+
+  const info = streamInfo ? parseStreamInfo(streamInfo.data) : {};
+  return {
+    codec: 'flac',
+    ...info,
+    bitrate: info.duration ? Math.round((file.size * 8) / info.duration / 1000) : undefined,
+    ...(comment ? getVorbisTags(parseVorbisComment(comment.data).comments) : {}),
+  };
+};
+
+const readOggTags = async (file) => {
+  const ogg = await readOggMetadata(file);
+  if (!ogg) return {};
+
+  const { comments, ...details } = ogg;
+  return { ...details, ...getVorbisTags(comments) };
+};
+
+const readMp4Tags = async (file) => {
+  const moov = await readMoovAtom(file);
+  if (!moov) return {};
+  return { ...getMp4StreamInfo(moov), ...getMp4Tags(getIlstItems(moov)) };
+};
+
+const readMpegTags = async (file) => {
+  const [v2, v1, streamInfo] = await Promise.all([readId3v2(file), readId3v1(file), readMpegStreamInfo(file)]);
+  return { ...streamInfo, ...compact(v1 || {}), ...compact(v2 ? getId3Tags(v2.frames) : {}) };
+};
+
+const readWavTags = async (file) => (await readWavStreamInfo(file)) || {};
+
+const readWebmTags = async (file) => (await readWebmStreamInfo(file)) || {};
+
+const TAG_READERS = {
+  flac: readFlacTags,
+  ogg: readOggTags,
+  mp4: readMp4Tags,
+  wav: readWavTags,
+  webm: readWebmTags,
+  mpeg: readMpegTags,
+};
+
+/**
+ * Read the tags embedded in an audio file. For MP3s, ID3v2 values win over
+ * ID3v1. Unreadable or untagged files give an empty object.
+ */
+export const readAudioTags = async (file) => {
+  try {
+    const container = await detectContainer(file);
+    const read = TAG_READERS[container] || readMpegTags;
+    return compact(await read(file));
+  } catch (error) {
+    console.warn('Failed to read tags:', error);
+    return {};
+  }
+};
+
+/**
+ * Read tags for stored tracks that have never been scanned
+ * Returns a map of track id to metadata.
+ */
+export const readStoredAudioTags = async (tracks) => {
+  const results = {};
+  for (const track of tracks) {
+    try {
+      const blob = await loadAudioBlob(track.id);
+      if (blob) {
+        results[track.id] = await readAudioTags(blob);
+      }
+    } catch (error) {
+      console.warn('Failed to read tags for', track.name, error);
+    }
+  }
+  return results;
+};
+
+/**
+ * Display title for a track: its tagged title, else the file name without
+ * its extension
+ */
+export const getTrackTitle = (track) => {
+  return track.metadata?.title || track.name.replace(/\.[^/.]+$/, '');
+};
+
+/**
+ * One-line summary of a track's stream details, such as
+ * "MP3 · 192 kbps VBR · 44.1 kHz · Stereo"
+ */
+export const formatStreamInfo = (metadata = {}) => {
+  const channels = { 1: 'Mono', 2: 'Stereo' };
+  return [
+    metadata.codec?.toUpperCase(),
+    metadata.bitrate && `${metadata.bitrate} kbps${metadata.vbr ? ' VBR' : ''}`,
+    metadata.sampleRate && `${metadata.sampleRate / 1000} kHz`,
+    metadata.bitsPerSample && `${metadata.bitsPerSample}-bit`,
+    metadata.channels && (channels[metadata.channels] || `${metadata.channels} channels`),
+  ].filter(Boolean).join(' · ');
+};
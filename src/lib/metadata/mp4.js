@@ -0,0 +1,381 @@
+import { readBlobBytes, readUint, readAscii, decodeText } from './binary';
+import { ID3_GENRES } from './id3';
+import { parseYear, parseReplayGain } from './tag-values';
+
+/**
+ * MP4 / M4A atoms (ISO base media boxes)
+ * Each atom is a 32-bit size and a four-character type followed by its
+ * payload; a size of 1 means a 64-bit size follows and 0 means the atom
+ * runs to the end of its parent. iTunes-style tags live in
+ * moov/udta/meta/ilst, one atom per tag holding one or more `data` atoms.
+ */
+
+const ATOM_HEADER_SIZE = 8;
+
+// Well-known types of an ilst `data` atom
+export const MP4_DATA_TYPES = {
+  BINARY: 0,
+  UTF8: 1,
+  UTF16: 2,
+  JPEG: 13,
+  PNG: 14,
+  INTEGER: 21,
+  BMP: 27,
+};
+
+/**
+ * Whether the bytes start with an `ftyp` atom
+ */
+export const isMp4 = (bytes) => bytes.length >= 8 && readAscii(bytes, 4, 4) === 'ftyp';
+
+const readAtomHeader = (bytes, offset, end) => {
+  if (offset + ATOM_HEADER_SIZE > end) return null;
+  let size = readUint(bytes, offset, 4);
+  const type = readAscii(bytes, offset + 4, 4);
+  let headerSize = ATOM_HEADER_SIZE;
+
+  if (size === 1) {
+    size = readUint(bytes, offset + 8, 8);
+    headerSize = 16;
+  } else if (size === 0) {
+    size = end - offset;
+  }
+
+  if (size < headerSize) return null;
+  return { type, start: offset, headerSize, end: Math.min(offset + size, end) };
+};
+
+/**
+ * The direct child atoms of a region of `bytes`
+ */
+export const listAtoms = (bytes, start = 0, end = bytes.length) => {
+  const atoms = [];
+  let offset = start;
+  let atom;
+  while ((atom = readAtomHeader(bytes, offset, end))) {
+    atoms.push(atom);
+    offset = atom.end;
+  }
+  return atoms;
+};
+
+/**
+ * Follow a path of atom types down from a region of `bytes`
+ * `meta` is a full box, so its children start 4 bytes later.
+ */
+export const findAtom = (bytes, path, start = 0, end = bytes.length) => {
+  let atom = { start, headerSize: 0, end, type: '' };
+  for (const type of path) {
+    const childStart = atom.start + atom.headerSize + (atom.type === 'meta' ? 4 : 0);
+    atom = listAtoms(bytes, childStart, atom.end).find((child) => child.type === type);
+    if (!atom) return null;
+  }
+  return atom;
+};
+
+export const getAtomData = (bytes, atom) => bytes.subarray(atom.start + atom.headerSize, atom.end);
+
+/**
+ * Read the `moov` atom of a file, walking the top-level atoms by their
+ * headers so `mdat` (the audio) is skipped rather than read
+ */
+export const readMoovAtom = async (file) => {
+  let offset = 0;
+  while (offset + ATOM_HEADER_SIZE <= file.size) {
+    const header = await readBlobBytes(file, offset, offset + 16);
+    const type = readAscii(header, 4, 4);
+    let size = readUint(header, 0, 4);
+    if (size === 1) {
+      size = readUint(header, 8, 8);
+    } else if (size === 0) {
+      size = file.size - offset;
+    }
+    if (size < ATOM_HEADER_SIZE) return null;
+
+    if (type === 'moov') {
+      return readBlobBytes(file, offset, offset + size);
+    }
+    offset += size;
+  }
+  return null;
+};
+
+/**
+ * The tag items of the moov atom as `{ name, values: [{ type, data }] }`
+ * Freeform (`----`) items are named "----:mean:name".
+ */
+export const getIlstItems = (moov) => {
+  const ilst = findAtom(moov, ['moov', 'udta', 'meta', 'ilst']);
+  if (!ilst) return [];
+
+  return listAtoms(moov, ilst.start + ilst.headerSize, ilst.end).map((item) => {
+    const children = listAtoms(moov, item.start + item.headerSize, item.end);
+    const text = (type) => {
+      const child = children.find((candidate) => candidate.type === type);
+      // mean and name are full boxes: skip version and flags
+      return child ? new TextDecoder().decode(getAtomData(moov, child).subarray(4)) : '';
+    };
+
+    const values = children
+      .filter((child) => child.type === 'data')
+      .map((child) => {
+        const data = getAtomData(moov, child);
+        // 1 byte version, 3 byte type, 4 byte locale
+        return { type: readUint(data, 1, 3), data: data.subarray(8) };
+      });
+
+    const name = item.type === '----' ? `----:${text('mean')}:${text('name')}` : item.type;
+    return { name, values };
+  });
+};
+
+/**
+ * Timescale and duration from the start of an mvhd or mdhd payload
+ * Version 1 boxes use 64-bit times and duration.
+ */
+const readMediaHeader = (data) => {
+  const wide = data[0] === 1;
+  const timescale = readUint(data, wide ? 20 : 12, 4);
+  const duration = readUint(data, wide ? 24 : 16, wide ? 8 : 4);
+  return { timescale, duration: timescale ? duration / timescale : undefined };
+};
+
+// Sample entry formats and the codec names used in track metadata
+const MP4_CODECS = { mp4a: 'aac', alac: 'alac', 'ac-3': 'ac3', 'ec-3': 'eac3', Opus: 'opus', fLaC: 'flac' };
+
+/**
+ * Duration, sample rate and channels of the first sound track
+ * The sound track's mdhd is preferred over mvhd, whose timescale is
+ * often too coarse for an exact length.
+ */
+export const getMp4StreamInfo = (moov) => {
+  const mvhd = findAtom(moov, ['moov', 'mvhd']);
+  const info = mvhd ? { duration: readMediaHeader(getAtomData(moov, mvhd)).duration } : {};
+
+  const moovAtom = findAtom(moov, ['moov']);
+  const tracks = moovAtom ? listAtoms(moov, moovAtom.start + moovAtom.headerSize, moovAtom.end) : [];
+  const soundTrack = tracks
+    .filter((atom) => atom.type === 'trak')
+    .find((trak) => {
+      const hdlr = findAtom(moov, ['mdia', 'hdlr'], trak.start + trak.headerSize, trak.end);
+      // Full box header, then a predefined field, then the handler type
+      return hdlr && readAscii(getAtomData(moov, hdlr), 8, 4) === 'soun';
+    });
+  if (!soundTrack) return info;
+
+  const inTrack = (path) => findAtom(moov, path, soundTrack.start + soundTrack.headerSize, soundTrack.end);
+
+  const mdhd = inTrack(['mdia', 'mdhd']);
+  if (mdhd) {
+    const { duration } = readMediaHeader(getAtomData(moov, mdhd));
+    if (duration) info.duration = duration;
+  }
+
+  const stsd = inTrack(['mdia', 'minf', 'stbl', 'stsd']);
+  if (stsd) {
+    // stsd is a full box with an entry count; its first entry is an audio
+    // sample entry: 8 reserved bytes, 8 version/vendor bytes, then
+    // channels, sample size, 4 more bytes and a 16.16 sample rate
+    const entry = listAtoms(moov, stsd.start + stsd.headerSize + 8, stsd.end)[0];
+    if (entry) {
+      const data = getAtomData(moov, entry);
+      info.codec = MP4_CODECS[entry.type] || entry.type;
+      info.channels = readUint(data, 16, 2);
+      info.bitsPerSample = readUint(data, 18, 2);
+      info.sampleRate = readUint(data, 24, 2);
+    }
+  }
+
+  return info;
+};
+
+const readItemText = (value) => {
+  if (!value) return undefined;
+  if (value.type === MP4_DATA_TYPES.UTF16) return decodeText(value.data, 'utf-16be').trim();
+  return decodeText(value.data, 'utf-8').trim();
+};
+
+/**
+ * trkn and disk hold big-endian numbers: 2 padding bytes, the position
+ * and the total
+ */
+const readItemPosition = (value) => {
+  if (!value || value.data.length < 6) return {};
+  const position = readUint(value.data, 2, 2);
+  const total = readUint(value.data, 4, 2);
+  return { position: position || undefined, total: total || undefined };
+};
+
+/**
+ * Plain tag values from ilst items
+ */
+export const getMp4Tags = (items) => {
+  const find = (name) => items.find((item) => item.name === name)?.values[0];
+  const text = (name) => readItemText(find(name)) || undefined;
+  const freeform = (name) => {
+    const item = items.find((candidate) => candidate.name.toUpperCase() === `----:COM.APPLE.ITUNES:${name}`);
+    return readItemText(item?.values[0]);
+  };
+
+  // gnre is an ID3v1 genre index plus one; ©gen is free text
+  const genreIndex = find('gnre') ? readUint(find('gnre').data, 0, 2) : 0;
+  const track = readItemPosition(find('trkn'));
+  const disc = readItemPosition(find('disk'));
+
+  return {
+    title: text('\u00a9nam'),
+    artist: text('\u00a9ART'),
+    album: text('\u00a9alb'),
+    albumArtist: text('aART'),
+    year: parseYear(text('\u00a9day')),
+    genre: text('\u00a9gen') || ID3_GENRES[genreIndex - 1],
+    track: track.position,
+    trackTotal: track.total,
+    disc: disc.position,
+    discTotal: disc.total,
+    comment: text('\u00a9cmt'),
+    replayGain: parseReplayGain(freeform),
+  };
+};
+
+// chpl start times are in units of 100 nanoseconds
+const NERO_TIMESCALE = 10000000;
+
+/**
+ * Nero-style chapters from moov/udta/chpl as `{ startTime, title }`, with
+ * start times in seconds
+ */
+export const getNeroChapters = (moov) => {
+  const chpl = findAtom(moov, ['moov', 'udta', 'chpl']);
+  if (!chpl) return [];
+
+  const data = getAtomData(moov, chpl);
+  // Full box header; version 1 adds 4 reserved bytes before the count
+  let offset = data[0] === 1 ? 8 : 4;
+  const count = data[offset];
+  offset += 1;
+
+  const chapters = [];
+  for (let i = 0; i < count && offset + 9 <= data.length; i++) {
+    const start = readUint(data, offset, 8);
+    const length = data[offset + 8];
+    const title = decodeText(data.subarray(offset + 9, offset + 9 + length), 'utf-8').trim();
+    chapters.push({ startTime: start / NERO_TIMESCALE, title });
+    offset += 9 + length;
+  }
+  return chapters;
+};
+
+const getTrackAtoms = (moov) => {
+  const moovAtom = findAtom(moov, ['moov']);
+  if (!moovAtom) return [];
+  return listAtoms(moov, moovAtom.start + moovAtom.headerSize, moovAtom.end).filter((atom) => atom.type === 'trak');
+};
+
+const getTrackId = (moov, trak) => {
+  const tkhd = findAtom(moov, ['tkhd'], trak.start + trak.headerSize, trak.end);
+  if (!tkhd) return null;
+  const data = getAtomData(moov, tkhd);
+  // Version 1 headers have 64-bit creation and modification times
+  return readUint(data, data[0] === 1 ? 20 : 12, 4);
+};
+
+/**
+ * Where each sample of a track is in the file and when it plays, from the
+ * track's sample table (stts, stsz, stsc and stco/co64)
+ */
+const readSampleTable = (moov, trak) => {
+  const inTrack = (path) => findAtom(moov, path, trak.start + trak.headerSize, trak.end);
+  const mdhd = inTrack(['mdia', 'mdhd']);
+  const stbl = inTrack(['mdia', 'minf', 'stbl']);
+  if (!mdhd || !stbl) return [];
+
+  const { timescale } = readMediaHeader(getAtomData(moov, mdhd));
+  const inTable = (type) => {
+    const atom = findAtom(moov, [type], stbl.start + stbl.headerSize, stbl.end);
+    return atom ? getAtomData(moov, atom) : null;
+  };
+  const stts = inTable('stts');
+  const stsz = inTable('stsz');
+  const stsc = inTable('stsc');
+  const co64 = inTable('co64');
+  const stco = co64 || inTable('stco');
+  if (!timescale || !stts || !stsz || !stsc || !stco) return [];
+
+  // Sample sizes: one fixed size or a table of them
+  const fixedSize = readUint(stsz, 4, 4);
+  const sampleCount = readUint(stsz, 8, 4);
+  const sizes = Array.from({ length: sampleCount }, (_, index) => fixedSize || readUint(stsz, 12 + index * 4, 4));
+
+  // Sample times from runs of equal durations
+  const times = [];
+  let time = 0;
+  for (let entry = 0; entry < readUint(stts, 4, 4); entry++) {
+    const count = readUint(stts, 8 + entry * 8, 4);
+    const delta = readUint(stts, 12 + entry * 8, 4);
+    for (let i = 0; i < count; i++) {
+      times.push({ time: time / timescale, duration: delta / timescale });
+      time += delta;
+    }
+  }
+
+  // Chunk offsets, and how many samples each run of chunks holds
+  const chunkCount = readUint(stco, 4, 4);
+  const chunkOffsets = Array.from({ length: chunkCount }, (_, index) => (
+    co64 ? readUint(stco, 8 + index * 8, 8) : readUint(stco, 8 + index * 4, 4)
+  ));
+  const runs = Array.from({ length: readUint(stsc, 4, 4) }, (_, index) => ({
+    firstChunk: readUint(stsc, 8 + index * 12, 4),
+    samplesPerChunk: readUint(stsc, 12 + index * 12, 4),
+  }));
+
+  const samples = [];
+  runs.forEach((run, runIndex) => {
+    const lastChunk = runIndex + 1 < runs.length ? runs[runIndex + 1].firstChunk - 1 : chunkCount;
+    for (let chunk = run.firstChunk; chunk <= lastChunk; chunk++) {
+      let offset = chunkOffsets[chunk - 1];
+      for (let i = 0; i < run.samplesPerChunk && samples.length < sampleCount; i++) {
+        const index = samples.length;
+        samples.push({ offset, size: sizes[index], ...times[index] });
+        offset += sizes[index];
+      }
+    }
+  });
+  return samples;
+};
+
+/**
+ * QuickTime chapters: a text track that the sound track points to with a
+ * `tref/chap` reference, one sample per chapter. The sample text lives in
+ * `mdat`, so it is read from the file.
+ */
+export const readChapterTrack = async (file, moov) => {
+  const tracks = getTrackAtoms(moov);
+  const chapterIds = new Set();
+  tracks.forEach((trak) => {
+    const chap = findAtom(moov, ['tref', 'chap'], trak.start + trak.headerSize, trak.end);
+    if (!chap) return;
+    const data = getAtomData(moov, chap);
+    for (let offset = 0; offset + 4 <= data.length; offset += 4) {
+      chapterIds.add(readUint(data, offset, 4));
+    }
+  });
+
+  const chapterTrack = tracks.find((trak) => chapterIds.has(getTrackId(moov, trak)));
+  if (!chapterTrack) return [];
+
+  const chapters = [];
+  for (const sample of readSampleTable(moov, chapterTrack)) {
+    if (sample.size < 2) continue;
+    const data = await readBlobBytes(file, sample.offset, sample.offset + sample.size);
+    // A 16-bit length, then UTF-8 text or UTF-16 text with a byte order mark
+    const text = data.subarray(2, 2 + readUint(data, 0, 2));
+    const isUtf16 = text[0] === 0xfe && text[1] === 0xff;
+    chapters.push({
+      startTime: sample.time,
+      endTime: sample.time + sample.duration,
+      title: decodeText(text, isUtf16 ? 'utf-16' : 'utf-8').trim(),
+    });
+  }
+  return chapters;
+};
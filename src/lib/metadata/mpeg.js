@@ -0,0 +1,161 @@
+import { readBlobBytes, readUint, readAscii } from './binary';
+import { getId3v2Size } from './id3';
+
+/**
+ * MPEG audio (MP3, MP2) frame headers
+ * The first frame after the ID3v2 tag gives the sample rate, channels and
+ * bitrate. Encoders put a Xing/Info or VBRI header in that frame with the
+ * real frame count, which gives an exact duration for VBR files; without
+ * one the file is assumed to be CBR.
+ */
+
+// Bitrates in kbps by [version group][layer][index]; version group 0 is
+// MPEG-1 and 1 is MPEG-2/2.5, layers are ordered I, II, III
+const BITRATES = [
+  [
+    [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  ],
+  [
+    [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  ],
+];
+
+const SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+};
+
+// How far past the ID3 tag to look for the first frame
+const SYNC_SEARCH_SIZE = 64 * 1024;
+
+const ID3V1_SIZE = 128;
+
+/**
+ * Decode the 4-byte frame header at `offset`, or null if it is not one
+ */
+export const parseFrameHeader = (bytes, offset) => {
+  if (offset + 4 > bytes.length) return null;
+  if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) return null;
+
+  const versionBits = (bytes[offset + 1] >> 3) & 0x03;
+  const layerBits = (bytes[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+  if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = [2.5, null, 2, 1][versionBits];
+  const layer = 4 - layerBits;
+  const bitrate = BITRATES[version === 1 ? 0 : 1][layer - 1][bitrateIndex];
+  const sampleRate = SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (bytes[offset + 2] >> 1) & 0x01;
+  const channelMode = bytes[offset + 3] >> 6;
+
+  let samplesPerFrame = 1152;
+  if (layer === 1) samplesPerFrame = 384;
+  else if (layer === 3 && version !== 1) samplesPerFrame = 576;
+
+  const frameLength = layer === 1
+    ? Math.floor((12 * bitrate * 1000) / sampleRate + padding) * 4
+    : Math.floor((samplesPerFrame / 8) * bitrate * 1000 / sampleRate) + padding;
+
+  return {
+    version,
+    layer,
+    bitrate,
+    sampleRate,
+    channels: channelMode === 3 ? 1 : 2,
+    samplesPerFrame,
+    frameLength,
+  };
+};
+
+/**
+ * Find the first frame whose successor also starts where expected, so a
+ * stray 0xFF in leftover tag data is not mistaken for audio
+ */
+const findFirstFrame = (bytes) => {
+  for (let offset = 0; offset + 4 <= bytes.length; offset++) {
+    const header = parseFrameHeader(bytes, offset);
+    if (!header) continue;
+
+    const next = offset + header.frameLength;
+    if (next + 4 > bytes.length || parseFrameHeader(bytes, next)) {
+      return { offset, header };
+    }
+  }
+  return null;
+};
+
+/**
+ * Frame and byte counts from a Xing/Info or VBRI header in the first frame
+ */
+const readVbrHeader = (bytes, offset, header) => {
+  // Xing/Info follows the side information, whose size depends on the
+  // version and channel count
+  const sideInfoSize = header.version === 1
+    ? (header.channels === 1 ? 17 : 32)
+    : (header.channels === 1 ? 9 : 17);
+  const xingOffset = offset + 4 + sideInfoSize;
+  const xingId = readAscii(bytes, xingOffset, 4);
+
+  if (xingId === 'Xing' || xingId === 'Info') {
+    const flags = readUint(bytes, xingOffset + 4, 4);
+    let position = xingOffset + 8;
+    const frames = flags & 0x01 ? readUint(bytes, position, 4) : undefined;
+    if (flags & 0x01) position += 4;
+    const size = flags & 0x02 ? readUint(bytes, position, 4) : undefined;
+    // "Info" is the same header written by LAME for CBR files
+    return { frames, size, vbr: xingId === 'Xing' };
+  }
+
+  const vbriOffset = offset + 4 + 32;
+  if (readAscii(bytes, vbriOffset, 4) === 'VBRI') {
+    return { size: readUint(bytes, vbriOffset + 10, 4), frames: readUint(bytes, vbriOffset + 14, 4), vbr: true };
+  }
+
+  return null;
+};
+
+/**
+ * Stream details of an MPEG audio file
+ * Returns null if no frame is found near the start of the file.
+ */
+export const readMpegStreamInfo = async (file) => {
+  const head = await readBlobBytes(file, 0, 10);
+  const tagSize = getId3v2Size(head);
+  const bytes = await readBlobBytes(file, tagSize, tagSize + SYNC_SEARCH_SIZE);
+
+  const first = findFirstFrame(bytes);
+  if (!first) return null;
+  const { offset, header } = first;
+
+  let audioEnd = file.size;
+  if (file.size >= ID3V1_SIZE) {
+    const tail = await readBlobBytes(file, file.size - ID3V1_SIZE, file.size - ID3V1_SIZE + 3);
+    if (readAscii(tail, 0, 3) === 'TAG') audioEnd -= ID3V1_SIZE;
+  }
+  const audioSize = audioEnd - tagSize - offset;
+
+  const vbrHeader = readVbrHeader(bytes, offset, header);
+  const info = {
+    codec: header.layer === 3 ? 'mp3' : `mp${header.layer}`,
+    sampleRate: header.sampleRate,
+    channels: header.channels,
+    vbr: !!vbrHeader?.vbr,
+  };
+
+  if (vbrHeader?.frames) {
+    const duration = (vbrHeader.frames * header.samplesPerFrame) / header.sampleRate;
+    const size = vbrHeader.size || audioSize;
+    return { ...info, duration, bitrate: Math.round((size * 8) / duration / 1000) };
+  }
+
+  return { ...info, duration: (audioSize * 8) / (header.bitrate * 1000), bitrate: header.bitrate };
+};
@@ -0,0 +1,136 @@
+import { readBlobBytes, readUintLE, readAscii } from './binary';
+import { parseVorbisComment } from './vorbis';
+
+/**
+ * Ogg Vorbis and Opus streams
+ * An Ogg file is a sequence of pages, each with a 27-byte header and a
+ * segment table; packets are split into 255-byte lacing segments and may
+ * span pages. The first packet of a stream identifies the codec and the
+ * second holds its Vorbis comments. The granule position of the last page
+ * gives the length in samples.
+ */
+
+const PAGE_HEADER_SIZE = 27;
+
+// The largest possible page: header, 255 lacing values and 255 full segments
+const MAX_PAGE_SIZE = PAGE_HEADER_SIZE + 255 + 255 * 255;
+
+// Opus always decodes at 48 kHz, whatever the input rate was
+const OPUS_SAMPLE_RATE = 48000;
+
+export const isOgg = (bytes) => bytes.length >= 4 && readAscii(bytes, 0, 4) === 'OggS';
+
+/**
+ * Read the first `count` packets of the first logical stream
+ */
+export const readOggPackets = async (file, count) => {
+  const packets = [];
+  let pending = [];
+  let offset = 0;
+  let serial = null;
+
+  while (packets.length < count && offset + PAGE_HEADER_SIZE <= file.size) {
+    const header = await readBlobBytes(file, offset, offset + PAGE_HEADER_SIZE);
+    if (!isOgg(header)) break;
+
+    const segmentCount = header[26];
+    const lacing = await readBlobBytes(file, offset + PAGE_HEADER_SIZE, offset + PAGE_HEADER_SIZE + segmentCount);
+    const bodyStart = offset + PAGE_HEADER_SIZE + segmentCount;
+    const bodySize = lacing.reduce((sum, value) => sum + value, 0);
+    const pageSerial = readUintLE(header, 14, 4);
+    offset = bodyStart + bodySize;
+
+    if (serial === null) serial = pageSerial;
+    if (pageSerial !== serial) continue;
+
+    const body = await readBlobBytes(file, bodyStart, bodyStart + bodySize);
+    let position = 0;
+    let segmentStart = 0;
+    lacing.forEach((value) => {
+      position += value;
+      // A lacing value under 255 ends the packet
+      if (value < 255) {
+        pending.push(body.subarray(segmentStart, position));
+        packets.push(joinChunks(pending));
+        pending = [];
+        segmentStart = position;
+      }
+    });
+    if (segmentStart < position) pending.push(body.subarray(segmentStart, position));
+  }
+
+  return packets.slice(0, count);
+};
+
+const joinChunks = (chunks) => {
+  const joined = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    joined.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return joined;
+};
+
+/**
+ * Granule position of the last complete page, or null if none is found
+ */
+export const readLastGranule = async (file) => {
+  const start = Math.max(0, file.size - MAX_PAGE_SIZE);
+  const tail = await readBlobBytes(file, start);
+
+  for (let i = tail.length - PAGE_HEADER_SIZE; i >= 0; i--) {
+    if (tail[i] !== 0x4f || !isOgg(tail.subarray(i, i + 4))) continue;
+    // All ones means no packet finishes on this page
+    const isUnset = tail.subarray(i + 6, i + 14).every((byte) => byte === 0xff);
+    if (!isUnset) return readUintLE(tail, i + 6, 8);
+  }
+  return null;
+};
+
+/**
+ * Codec details and Vorbis comments of an Ogg Vorbis or Opus file
+ * Returns null for other Ogg codecs.
+ */
+export const readOggMetadata = async (file) => {
+  const [identification, commentPacket] = await readOggPackets(file, 2);
+  if (!identification || !commentPacket) return null;
+
+  let info;
+  let commentOffset;
+
+  if (identification[0] === 1 && readAscii(identification, 1, 6) === 'vorbis') {
+    const nominalBitrate = readUintLE(identification, 20, 4);
+    info = {
+      codec: 'vorbis',
+      channels: identification[11],
+      sampleRate: readUintLE(identification, 12, 4),
+      // Stored as a signed value; zero or negative means unset
+      bitrate: nominalBitrate > 0 && nominalBitrate < 2 ** 31 ? Math.round(nominalBitrate / 1000) : undefined,
+      preSkip: 0,
+      granuleRate: readUintLE(identification, 12, 4),
+    };
+    commentOffset = 7;
+  } else if (readAscii(identification, 0, 8) === 'OpusHead') {
+    info = {
+      codec: 'opus',
+      channels: identification[9],
+      sampleRate: readUintLE(identification, 12, 4) || OPUS_SAMPLE_RATE,
+      preSkip: readUintLE(identification, 10, 2),
+      granuleRate: OPUS_SAMPLE_RATE,
+    };
+    commentOffset = 8;
+  } else {
+    return null;
+  }
+
+  const { comments } = parseVorbisComment(commentPacket, commentOffset);
+  const granule = await readLastGranule(file);
+  const { preSkip, granuleRate, ...details } = info;
+
+  return {
+    ...details,
+    duration: granule !== null && granuleRate ? Math.max(0, granule - preSkip) / granuleRate : undefined,
+    comments,
+  };
+};
@@ -0,0 +1,91 @@
+import { z } from 'zod';
+import { parsePosition } from './tag-values';
+
+/**
+ * Editing tags from the track detail form
+ * The form works on strings; `applyTagChanges` turns the submitted fields
+ * back into `metadata` values. When several tracks are edited at once only
+ * the fields the user touched are applied.
+ */
+
+export const EDITABLE_TAG_FIELDS = {
+  title: 'Title',
+  artist: 'Artist',
+  album: 'Album',
+  track: 'Track',
+  genre: 'Genre',
+  year: 'Year',
+};
+
+const textField = z.string().trim().max(500, 'Keep this under 500 characters');
+
+export const tagFormSchema = z.object({
+  title: textField,
+  artist: textField,
+  album: textField,
+  track: z.string().trim().regex(/^(\d+(\/\d+)?)?$/, 'Use a number such as 3 or 3/12'),
+  genre: textField,
+  year: z.string().trim().regex(/^(\d{4})?$/, 'Use a four-digit year'),
+});
+
+const getFieldValue = (track, field) => {
+  const metadata = track.metadata || {};
+  if (field === 'track') {
+    if (!metadata.track) return '';
+    return metadata.trackTotal ? `${metadata.track}/${metadata.trackTotal}` : String(metadata.track);
+  }
+  return metadata[field] === undefined ? '' : String(metadata[field]);
+};
+
+/**
+ * Form values shared by every track, plus the fields whose values differ
+ * (shown empty with a "multiple values" hint)
+ */
+export const getTagFormValues = (tracks) => {
+  const values = {};
+  const mixed = [];
+
+  Object.keys(EDITABLE_TAG_FIELDS).forEach((field) => {
+    const fieldValues = new Set(tracks.map((track) => getFieldValue(track, field)));
+    if (fieldValues.size > 1) {
+      values[field] = '';
+      mixed.push(field);
+    } else {
+      values[field] = fieldValues.values().next().value ?? '';
+    }
+  });
+
+  return { values, mixed };
+};
+
+/**
+ * Copy of a track with the given form fields written to its metadata;
+ * empty fields remove the tag
+ */
+export const applyTagChanges = (track, values, fields = Object.keys(EDITABLE_TAG_FIELDS)) => {
+  const metadata = { ...track.metadata };
+
+  fields.forEach((field) => {
+    const value = (values[field] || '').trim();
+
+    if (field === 'track') {
+      const { position, total } = parsePosition(value);
+      metadata.track = position;
+      metadata.trackTotal = total;
+    } else if (field === 'year') {
+      metadata.year = value ? Number(value) : undefined;
+    } else {
+      metadata[field] = value || undefined;
+    }
+  });
+
+  Object.keys(metadata).forEach((key) => metadata[key] === undefined && delete metadata[key]);
+  return { ...track, metadata };
+};
+
+/**
+ * Whether a track is an MP3, the only format exported with rewritten tags
+ */
+export const canExportTags = (track) => {
+  return ['audio/mpeg', 'audio/mp3'].includes(track.type) || /\.mp3$/i.test(track.name);
+};
@@ -0,0 +1,45 @@
+/**
+ * Parsing of tag values that every format stores as free text
+ */
+
+/**
+ * Parse "3" or "3/12" into a position and total
+ */
+export const parsePosition = (value) => {
+  const [position, total] = String(value || '').split('/').map((part) => parseInt(part, 10));
+  return {
+    position: Number.isFinite(position) && position > 0 ? position : undefined,
+    total: Number.isFinite(total) && total > 0 ? total : undefined,
+  };
+};
+
+export const parseYear = (value) => {
+  const match = String(value || '').match(/\d{4}/);
+  return match ? Number(match[0]) : undefined;
+};
+
+export const parseCount = (value) => {
+  const count = parseInt(value, 10);
+  return Number.isFinite(count) && count > 0 ? count : undefined;
+};
+
+const parseDecibels = (value) => {
+  const number = parseFloat(String(value || '').replace(/\s*dB$/i, ''));
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * ReplayGain values from their REPLAYGAIN_* names, gains in dB and peaks
+ * as linear amplitude. `get` looks a name up in the tag, case-insensitively.
+ * Returns undefined when the tag has none.
+ */
+export const parseReplayGain = (get) => {
+  const replayGain = {
+    trackGain: parseDecibels(get('REPLAYGAIN_TRACK_GAIN')),
+    trackPeak: parseDecibels(get('REPLAYGAIN_TRACK_PEAK')),
+    albumGain: parseDecibels(get('REPLAYGAIN_ALBUM_GAIN')),
+    albumPeak: parseDecibels(get('REPLAYGAIN_ALBUM_PEAK')),
+  };
+  const values = Object.entries(replayGain).filter(([, value]) => value !== undefined);
+  return values.length > 0 ? Object.fromEntries(values) : undefined;
+};
@@ -0,0 +1,78 @@
+import { readUintLE, decodeText } from './binary';
+import { parseFlacPicture } from './flac';
+import { parsePosition, parseYear, parseCount, parseReplayGain } from './tag-values';
+
+/**
+ * Vorbis comments, the tag format of FLAC, Ogg Vorbis and Opus
+ * A comment block is a vendor string and a list of "NAME=value" strings,
+ * each prefixed with a little-endian 32-bit length. Names are
+ * case-insensitive and may repeat.
+ */
+
+/**
+ * Parse a comment block into its vendor string and a map of upper-cased
+ * names to their values
+ */
+export const parseVorbisComment = (bytes, offset = 0) => {
+  const readString = () => {
+    const length = readUintLE(bytes, offset, 4);
+    const text = decodeText(bytes.subarray(offset + 4, offset + 4 + length), 'utf-8');
+    offset += 4 + length;
+    return text;
+  };
+
+  const vendor = readString();
+  const count = readUintLE(bytes, offset, 4);
+  offset += 4;
+
+  const comments = {};
+  for (let i = 0; i < count && offset + 4 <= bytes.length; i++) {
+    const comment = readString();
+    const separator = comment.indexOf('=');
+    if (separator <= 0) continue;
+
+    const name = comment.slice(0, separator).toUpperCase();
+    comments[name] = [...(comments[name] || []), comment.slice(separator + 1)];
+  }
+
+  return { vendor, comments };
+};
+
+/**
+ * Plain tag values from Vorbis comments
+ */
+export const getVorbisTags = (comments) => {
+  const get = (name) => comments[name]?.[0]?.trim() || undefined;
+  const track = parsePosition(get('TRACKNUMBER'));
+  const disc = parsePosition(get('DISCNUMBER'));
+
+  return {
+    title: get('TITLE'),
+    artist: comments.ARTIST?.join(', '),
+    album: get('ALBUM'),
+    albumArtist: get('ALBUMARTIST') || get('ALBUM ARTIST'),
+    year: parseYear(get('DATE') || get('YEAR')),
+    genre: get('GENRE'),
+    track: track.position,
+    trackTotal: track.total || parseCount(get('TRACKTOTAL') || get('TOTALTRACKS')),
+    disc: disc.position,
+    discTotal: disc.total || parseCount(get('DISCTOTAL') || get('TOTALDISCS')),
+    comment: get('COMMENT') || get('DESCRIPTION'),
+    replayGain: parseReplayGain(get),
+  };
+};
+
+const decodeBase64 = (value) => Uint8Array.from(atob(value.replace(/\s/g, '')), (char) => char.charCodeAt(0));
+
+/**
+ * Pictures embedded as base64 FLAC picture blocks
+ */
+export const getVorbisPictures = (comments) => {
+  return (comments.METADATA_BLOCK_PICTURE || []).flatMap((value) => {
+    try {
+      return [parseFlacPicture(decodeBase64(value))];
+    } catch {
+      return [];
+    }
+  });
+};
@@ -0,0 +1,60 @@
+import { readBlobBytes, readUintLE, readAscii } from './binary';
+
+/**
+ * WAV (RIFF/WAVE) chunks
+ * After the 12-byte RIFF header come chunks of a four-character id, a
+ * little-endian 32-bit size and a payload padded to an even length. The
+ * `fmt ` chunk describes the samples and the `data` chunk holds them.
+ */
+
+const RIFF_HEADER_SIZE = 12;
+const CHUNK_HEADER_SIZE = 8;
+
+const WAV_CODECS = { 1: 'pcm', 3: 'float', 6: 'alaw', 7: 'mulaw' };
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+export const isWav = (bytes) => {
+  return bytes.length >= 12 && readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WAVE';
+};
+
+/**
+ * Stream details from the `fmt ` and `data` chunks
+ * Returns null if the file has no `fmt ` chunk.
+ */
+export const readWavStreamInfo = async (file) => {
+  let offset = RIFF_HEADER_SIZE;
+  let format = null;
+  let dataSize = null;
+
+  while (offset + CHUNK_HEADER_SIZE <= file.size && (!format || dataSize === null)) {
+    const header = await readBlobBytes(file, offset, offset + CHUNK_HEADER_SIZE);
+    const id = readAscii(header, 0, 4);
+    const size = readUintLE(header, 4, 4);
+
+    if (id === 'fmt ') {
+      format = await readBlobBytes(file, offset + CHUNK_HEADER_SIZE, offset + CHUNK_HEADER_SIZE + size);
+    } else if (id === 'data') {
+      // Streaming writers leave the size unset; the data then runs to the end
+      dataSize = Math.min(size, file.size - offset - CHUNK_HEADER_SIZE);
+    }
+    offset += CHUNK_HEADER_SIZE + size + (size % 2);
+  }
+
+  if (!format || format.length < 16) return null;
+
+  let formatTag = readUintLE(format, 0, 2);
+  // The extensible format keeps the real one at the start of its GUID
+  if (formatTag === WAVE_FORMAT_EXTENSIBLE && format.length >= 26) {
+    formatTag = readUintLE(format, 24, 2);
+  }
+
+  const byteRate = readUintLE(format, 8, 4);
+  return {
+    codec: WAV_CODECS[formatTag] || `wav-${formatTag}`,
+    channels: readUintLE(format, 2, 2),
+    sampleRate: readUintLE(format, 4, 4),
+    bitsPerSample: readUintLE(format, 14, 2),
+    bitrate: Math.round((byteRate * 8) / 1000),
+    duration: dataSize !== null && byteRate ? dataSize / byteRate : undefined,
+  };
+};
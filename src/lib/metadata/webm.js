@@ -0,0 +1,192 @@
+import { readBlobBytes, readUint, decodeText } from './binary';
+
+/**
+ * WebM / Matroska (EBML) elements
+ * Every element is a variable-length id, a variable-length size and its
+ * payload. Files written by MediaRecorder have no Duration element, which
+ * is why media elements report Infinity for them; their length is then
+ * taken from the timestamp of the last block in the last cluster.
+ */
+
+const IDS = {
+  EBML: 0x1a45dfa3,
+  SEGMENT: 0x18538067,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  TRACK_TYPE: 0x83,
+  CODEC_ID: 0x86,
+  AUDIO: 0xe1,
+  SAMPLING_FREQUENCY: 0xb5,
+  CHANNELS: 0x9f,
+  BIT_DEPTH: 0x6264,
+  CLUSTER: 0x1f43b675,
+  CLUSTER_TIMECODE: 0xe7,
+  SIMPLE_BLOCK: 0xa3,
+  BLOCK_GROUP: 0xa0,
+  BLOCK: 0xa1,
+};
+
+const AUDIO_TRACK = 2;
+const DEFAULT_TIMECODE_SCALE = 1000000;
+
+// The header elements come first; a larger tail is read for the clusters
+const HEAD_SIZE = 256 * 1024;
+const TAIL_SIZE = 1024 * 1024;
+
+const WEBM_CODECS = { A_OPUS: 'opus', A_VORBIS: 'vorbis', A_FLAC: 'flac', A_MPEG: 'mp3', A_AAC: 'aac', A_PCM: 'pcm' };
+
+export const isWebm = (bytes) => bytes.length >= 4 && readUint(bytes, 0, 4) === IDS.EBML;
+
+const vintLength = (byte) => {
+  for (let length = 1; length <= 8; length++) {
+    if (byte & (0x100 >> length)) return length;
+  }
+  return 0;
+};
+
+/**
+ * Read the element header at `offset`; `size` is null for elements of
+ * unknown size, which run to the end of their parent
+ */
+const readElement = (bytes, offset) => {
+  const idLength = vintLength(bytes[offset]);
+  if (!idLength || idLength > 4 || offset + idLength >= bytes.length) return null;
+  const id = readUint(bytes, offset, idLength);
+
+  const sizeOffset = offset + idLength;
+  const sizeLength = vintLength(bytes[sizeOffset]);
+  if (!sizeLength || sizeOffset + sizeLength > bytes.length) return null;
+
+  let size = bytes[sizeOffset] & (0xff >> sizeLength);
+  let allOnes = size === 0xff >> sizeLength;
+  for (let i = 1; i < sizeLength; i++) {
+    size = size * 256 + bytes[sizeOffset + i];
+    allOnes = allOnes && bytes[sizeOffset + i] === 0xff;
+  }
+
+  const dataStart = sizeOffset + sizeLength;
+  return {
+    id,
+    dataStart,
+    size: allOnes ? null : size,
+    end: allOnes ? bytes.length : Math.min(dataStart + size, bytes.length),
+  };
+};
+
+const listElements = (bytes, start, end) => {
+  const elements = [];
+  let offset = start;
+  while (offset < end) {
+    const element = readElement(bytes, offset);
+    if (!element) break;
+    elements.push(element);
+    // Unknown-size elements (live clusters) cannot be skipped over
+    if (element.size === null) break;
+    offset = element.end;
+  }
+  return elements;
+};
+
+const readFloat = (bytes, element) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset + element.dataStart, element.end - element.dataStart);
+  return element.end - element.dataStart === 4 ? view.getFloat32(0) : view.getFloat64(0);
+};
+
+const readNumber = (bytes, element) => readUint(bytes, element.dataStart, element.end - element.dataStart);
+
+const findChild = (bytes, parent, id) => listElements(bytes, parent.dataStart, parent.end).find((child) => child.id === id);
+
+/**
+ * The timestamp, in timecode units, of the last block of the last
+ * complete-looking cluster in `bytes`
+ */
+const findLastTimestamp = (bytes) => {
+  for (let offset = bytes.length - 4; offset >= 0; offset--) {
+    if (bytes[offset] !== 0x1f || readUint(bytes, offset, 4) !== IDS.CLUSTER) continue;
+
+    const cluster = readElement(bytes, offset);
+    if (!cluster) continue;
+
+    let clusterTime = null;
+    let lastBlockTime = 0;
+    const readBlockTime = (block) => {
+      // Track number (a vint), then a signed 16-bit relative timestamp
+      const timeOffset = block.dataStart + vintLength(bytes[block.dataStart]);
+      if (timeOffset + 2 > block.end) return;
+      const time = (bytes[timeOffset] << 8) | bytes[timeOffset + 1];
+      lastBlockTime = Math.max(lastBlockTime, time > 0x7fff ? time - 0x10000 : time);
+    };
+
+    listElements(bytes, cluster.dataStart, cluster.end).forEach((child) => {
+      if (child.id === IDS.CLUSTER_TIMECODE) clusterTime = readNumber(bytes, child);
+      else if (child.id === IDS.SIMPLE_BLOCK) readBlockTime(child);
+      else if (child.id === IDS.BLOCK_GROUP) {
+        const block = findChild(bytes, child, IDS.BLOCK);
+        if (block) readBlockTime(block);
+      }
+    });
+
+    if (clusterTime !== null) return clusterTime + lastBlockTime;
+  }
+  return null;
+};
+
+/**
+ * Stream details and duration of a WebM file
+ * Returns null if the file has no segment header.
+ */
+export const readWebmStreamInfo = async (file) => {
+  const head = await readBlobBytes(file, 0, HEAD_SIZE);
+  const segment = listElements(head, 0, head.length).find((element) => element.id === IDS.SEGMENT);
+  if (!segment) return null;
+
+  const info = {};
+  let timecodeScale = DEFAULT_TIMECODE_SCALE;
+  let duration = null;
+
+  listElements(head, segment.dataStart, segment.end).forEach((element) => {
+    if (element.id === IDS.INFO) {
+      listElements(head, element.dataStart, element.end).forEach((child) => {
+        if (child.id === IDS.TIMECODE_SCALE) timecodeScale = readNumber(head, child);
+        else if (child.id === IDS.DURATION) duration = readFloat(head, child);
+      });
+    } else if (element.id === IDS.TRACKS) {
+      const audioTrack = listElements(head, element.dataStart, element.end)
+        .filter((child) => child.id === IDS.TRACK_ENTRY)
+        .find((entry) => {
+          const type = findChild(head, entry, IDS.TRACK_TYPE);
+          return type && readNumber(head, type) === AUDIO_TRACK;
+        });
+      if (!audioTrack) return;
+
+      const codec = findChild(head, audioTrack, IDS.CODEC_ID);
+      if (codec) {
+        const codecId = decodeText(head.subarray(codec.dataStart, codec.end), 'latin1').replace(/\0+$/, '');
+        info.codec = WEBM_CODECS[codecId.split('/')[0]] || codecId;
+      }
+
+      const audio = findChild(head, audioTrack, IDS.AUDIO);
+      if (audio) {
+        listElements(head, audio.dataStart, audio.end).forEach((child) => {
+          if (child.id === IDS.SAMPLING_FREQUENCY) info.sampleRate = Math.round(readFloat(head, child));
+          else if (child.id === IDS.CHANNELS) info.channels = readNumber(head, child);
+          else if (child.id === IDS.BIT_DEPTH) info.bitsPerSample = readNumber(head, child);
+        });
+      }
+    }
+  });
+
+  if (duration === null) {
+    const tail = await readBlobBytes(file, Math.max(0, file.size - TAIL_SIZE));
+    duration = findLastTimestamp(tail);
+  }
+  if (duration) {
+    info.duration = (duration * timecodeScale) / 1e9;
+    info.bitrate = Math.round((file.size * 8) / info.duration / 1000);
+  }
+
+  return info;
+};
@@ -0,0 +1,116 @@
+import { ANALYSIS_SAMPLE_RATE, forEachSpectrum } from './audio-analysis';
+
+/**
+ * Musical key detection for harmonic mixing
+ * The spectrum of every frame is folded into a chromagram (energy per
+ * pitch class), which is correlated with the Krumhansl-Kessler major and
+ * minor key profiles in all twelve transpositions. Tracks store
+ * `key: { tonic, mode }` with the tonic as a pitch class (C = 0); names and
+ * Camelot codes are derived from it.
+ */
+
+const FRAME_SIZE = 8192;
+const HOP_SIZE = 4096;
+// C2 to C7 covers bass lines and harmony without most of the drums
+const MIN_FREQUENCY = 65.41;
+const MAX_FREQUENCY = 2093;
+
+const KEY_PROFILES = {
+  major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+  minor: [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17],
+};
+
+const MAJOR_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B'];
+const MINOR_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B'];
+
+/**
+ * Chromagram of mono samples at ANALYSIS_SAMPLE_RATE: twelve values from
+ * C to B, each frame weighted equally however loud it is
+ */
+export const getChromagram = async (samples) => {
+  const pitchClasses = Array.from({ length: FRAME_SIZE / 2 + 1 }, (_, bin) => {
+    const frequency = (bin * ANALYSIS_SAMPLE_RATE) / FRAME_SIZE;
+    if (frequency < MIN_FREQUENCY || frequency > MAX_FREQUENCY) return -1;
+    const midi = Math.round(12 * Math.log2(frequency / 440) + 69);
+    return midi % 12;
+  });
+
+  const chroma = new Float64Array(12);
+  const frame = new Float64Array(12);
+  await forEachSpectrum(samples, { size: FRAME_SIZE, hop: HOP_SIZE }, (magnitudes) => {
+    frame.fill(0);
+    pitchClasses.forEach((pitchClass, bin) => {
+      if (pitchClass !== -1) frame[pitchClass] += magnitudes[bin];
+    });
+    const total = frame.reduce((sum, value) => sum + value, 0);
+    if (total > 1e-3) {
+      for (let pitchClass = 0; pitchClass < 12; pitchClass++) chroma[pitchClass] += frame[pitchClass] / total;
+    }
+  });
+  return chroma;
+};
+
+const correlate = (a, b) => {
+  const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+  let covariance = 0;
+  let varianceA = 0;
+  let varianceB = 0;
+  for (let i = 0; i < a.length; i++) {
+    covariance += (a[i] - meanA) * (b[i] - meanB);
+    varianceA += (a[i] - meanA) ** 2;
+    varianceB += (b[i] - meanB) ** 2;
+  }
+  return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : 0;
+};
+
+/**
+ * Best-matching `{ tonic, mode }` for a chromagram, or null when it is flat
+ */
+export const estimateKey = (chroma) => {
+  let best = null;
+  Object.entries(KEY_PROFILES).forEach(([mode, profile]) => {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      const rotated = chroma.map((_, pitchClass) => chroma[(pitchClass + tonic) % 12]);
+      const score = correlate(rotated, profile);
+      if (!best || score > best.score) best = { tonic, mode, score };
+    }
+  });
+  return best && best.score > 0 ? { tonic: best.tonic, mode: best.mode } : null;
+};
+
+/**
+ * Detect the key of mono samples at ANALYSIS_SAMPLE_RATE, or null when
+ * there is nothing tonal to go on
+ */
+export const analyzeKey = async (samples) => estimateKey(await getChromagram(samples));
+
+/**
+ * Tracks that were never analyzed; null marks a finished analysis that
+ * found no key
+ */
+export const needsKeyAnalysis = (track) => track.key === undefined;
+
+/**
+ * "A minor", "Eb major"
+ */
+export const formatKey = (key) => {
+  if (!key) return '';
+  const names = key.mode === 'minor' ? MINOR_NAMES : MAJOR_NAMES;
+  return `${names[key.tonic]} ${key.mode}`;
+};
+
+/**
+ * Camelot wheel code: "8B" for C major, "8A" for its relative A minor.
+ * Neighbouring numbers and the same number in the other mode mix well.
+ */
+export const getCamelotCode = (key) => {
+  if (!key) return undefined;
+  // Minor keys share the number of their relative major
+  const majorTonic = key.mode === 'minor' ? (key.tonic + 3) % 12 : key.tonic;
+  // Each step clockwise is a fifth up; C major is 8
+  const number = ((majorTonic * 7 + 7) % 12) + 1;
+  return `${number}${key.mode === 'minor' ? 'A' : 'B'}`;
+};
+
+export const getTrackCamelotCode = (track) => getCamelotCode(track.key);
@@ -0,0 +1,103 @@
+import { z } from 'zod';
+import { idSchema } from './storage';
+
+/**
+ * The last playback session and per-track resume points
+ * Both live in the stored settings: `settings.session` remembers what was
+ * playing and where, so the player can offer to continue on the next launch,
+ * and `settings.resumePoints` keeps a position for each long track so it
+ * picks up where it was left even after other tracks were played.
+ */
+
+// Only tracks at least this long (in seconds) get a resume point
+export const RESUME_MIN_DURATION = 10 * 60;
+
+// Positions closer than this to either end start the track from the top
+export const RESUME_MIN_POSITION = 15;
+export const RESUME_END_MARGIN = 30;
+
+// How often the position is written while playing, in milliseconds
+export const SESSION_SAVE_INTERVAL = 5000;
+
+export const playbackSessionSchema = z.object({
+  trackId: idSchema,
+  position: z.number().nonnegative().catch(0),
+  volume: z.number().min(0).max(1).catch(1),
+  muted: z.boolean().catch(false),
+  savedAt: z.string().catch(() => new Date().toISOString()),
+});
+
+const resumePointsSchema = z.record(z.object({
+  position: z.number().nonnegative(),
+  updatedAt: z.string(),
+}));
+
+/**
+ * Read a stored session, or null if there is none or it is invalid
+ */
+export const parsePlaybackSession = (value) => {
+  const result = playbackSessionSchema.safeParse(value);
+  return result.success ? result.data : null;
+};
+
+/**
+ * Read stored resume points, dropping them all if they are invalid
+ */
+export const parseResumePoints = (value) => {
+  const result = resumePointsSchema.safeParse(value);
+  return result.success ? result.data : {};
+};
+
+export const createPlaybackSession = ({ trackId, position = 0, volume = 1, muted = false }) => ({
+  trackId,
+  position: Math.max(0, position),
+  volume,
+  muted,
+  savedAt: new Date().toISOString(),
+});
+
+/**
+ * Whether a position is worth resuming from rather than starting over
+ */
+export const isResumablePosition = (position, duration) => {
+  if (!(position >= RESUME_MIN_POSITION)) return false;
+  return !(duration > 0) || position < duration - RESUME_END_MARGIN;
+};
+
+/**
+ * Record the position reached in a track
+ * Short tracks are ignored; long tracks keep their position unless it is
+ * too close to either end, in which case the resume point is cleared.
+ */
+export const updateResumePoints = (resumePoints, trackId, position, duration) => {
+  if (trackId === null || trackId === undefined || !(duration >= RESUME_MIN_DURATION)) {
+    return resumePoints;
+  }
+
+  if (!isResumablePosition(position, duration)) {
+    return clearResumePoint(resumePoints, trackId);
+  }
+  return { ...resumePoints, [trackId]: { position, updatedAt: new Date().toISOString() } };
+};
+
+/**
+ * Forget the resume point of a track, so it starts from the beginning
+ */
+export const clearResumePoint = (resumePoints, trackId) => {
+  const next = { ...resumePoints };
+  delete next[trackId];
+  return next;
+};
+
+/**
+ * Position to start a track from, or 0 to start from the beginning
+ */
+export const getResumePosition = (resumePoints, trackId) => resumePoints[trackId]?.position || 0;
+
+/**
+ * Drop resume points for tracks that are no longer in the library
+ */
+export const pruneResumePoints = (resumePoints, trackIds) => {
+  const known = new Set(trackIds.map(String));
+  return Object.fromEntries(Object.entries(resumePoints).filter(([trackId]) => known.has(trackId)));
+};
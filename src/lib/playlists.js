@@ -0,0 +1,227 @@
+/**
+ * Playlist helpers implementing the `Playlist` shape from types.ts
+ * Playlist items reference library tracks by `audioFileId` instead of
+ * embedding the `AudioFile`, so a track can belong to any number of
+ * playlists while its audio is stored once. Smart playlists (see
+ * smart-playlists.js) have no items and are resolved from their rules.
+ * All helpers are pure and return new objects.
+ */
+
+import { evaluateSmartPlaylist, sortTracks } from './smart-playlists';
+
+export const REPEAT_MODES = ['none', 'all', 'one'];
+
+const createId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const touch = (playlist, changes) => ({
+  ...playlist,
+  ...changes,
+  updatedAt: new Date().toISOString(),
+});
+
+// Keep `order` contiguous after items are added, removed or moved
+const reindex = (items) => items.map((item, order) => ({ ...item, order }));
+
+const sortItems = (items) => [...items].sort((a, b) => a.order - b.order);
+
+/**
+ * Create an empty playlist
+ */
+export const createPlaylist = (name, audioFileIds = []) => {
+  const now = new Date().toISOString();
+  return addTracksToPlaylist({
+    id: createId('playlist'),
+    name: name.trim(),
+    items: [],
+    currentIndex: 0,
+    shuffle: false,
+    repeat: 'none',
+    createdAt: now,
+    updatedAt: now,
+  }, audioFileIds);
+};
+
+/**
+ * Rename a playlist
+ */
+export const renamePlaylist = (playlist, name) => touch(playlist, { name: name.trim() });
+
+/**
+ * Copy a playlist, including its items and playback modes
+ */
+export const duplicatePlaylist = (playlist, name = `${playlist.name} (copy)`) => {
+  const now = new Date().toISOString();
+  return {
+    ...playlist,
+    id: createId('playlist'),
+    name,
+    items: sortItems(playlist.items).map((item) => ({ ...item, id: createId('item') })),
+    createdAt: now,
+    updatedAt: now,
+  };
+};
+
+/**
+ * Whether a library track is part of a playlist
+ */
+export const playlistHasTrack = (playlist, audioFileId) => {
+  return playlist.items.some((item) => item.audioFileId === audioFileId);
+};
+
+/**
+ * Append library tracks to a playlist, skipping ones it already contains
+ */
+export const addTracksToPlaylist = (playlist, audioFileIds) => {
+  const newIds = audioFileIds.filter((id, index) =>
+    !playlistHasTrack(playlist, id) && audioFileIds.indexOf(id) === index
+  );
+  if (newIds.length === 0) return playlist;
+
+  const items = sortItems(playlist.items);
+  return touch(playlist, {
+    items: reindex([
+      ...items,
+      ...newIds.map((audioFileId) => ({ id: createId('item'), audioFileId, isActive: false })),
+    ]),
+  });
+};
+
+/**
+ * Remove library tracks from a playlist
+ * The current index is moved so the same track stays selected where possible.
+ */
+export const removeTracksFromPlaylist = (playlist, audioFileIds) => {
+  const items = sortItems(playlist.items);
+  const remaining = items.filter((item) => !audioFileIds.includes(item.audioFileId));
+  if (remaining.length === items.length) return playlist;
+
+  const removedBefore = items
+    .slice(0, playlist.currentIndex)
+    .filter((item) => audioFileIds.includes(item.audioFileId)).length;
+
+  return touch(playlist, {
+    items: reindex(remaining),
+    currentIndex: Math.max(0, Math.min(playlist.currentIndex - removedBefore, remaining.length - 1)),
+  });
+};
+
+/**
+ * Move an item to a new position
+ */
+export const moveTrackInPlaylist = (playlist, fromIndex, toIndex) => {
+  const items = sortItems(playlist.items);
+  const [moved] = items.splice(fromIndex, 1);
+  if (!moved) return playlist;
+  items.splice(toIndex, 0, moved);
+  return touch(playlist, { items: reindex(items) });
+};
+
+/**
+ * Move a track to the position currently held by another track
+ */
+export const moveTrackById = (playlist, audioFileId, targetAudioFileId) => {
+  const items = sortItems(playlist.items);
+  const fromIndex = items.findIndex((item) => item.audioFileId === audioFileId);
+  const toIndex = items.findIndex((item) => item.audioFileId === targetAudioFileId);
+  if (fromIndex === -1 || toIndex === -1) return playlist;
+  return moveTrackInPlaylist(playlist, fromIndex, toIndex);
+};
+
+/**
+ * Reorder a playlist by a `{ field, direction }` sort (see sortTracks)
+ * The current item stays selected; items whose track is missing from the
+ * library keep their relative order at the end.
+ */
+export const sortPlaylist = (playlist, library, sort) => {
+  const items = sortItems(playlist.items);
+  const tracksById = new Map(library.map((track) => [track.id, track]));
+  const sortedIds = sortTracks(items.map((item) => tracksById.get(item.audioFileId)).filter(Boolean), sort)
+    .map((track) => track.id);
+  const positions = new Map(sortedIds.map((id, index) => [id, index]));
+  const position = (item) => positions.get(item.audioFileId) ?? sortedIds.length;
+
+  const sorted = reindex([...items].sort((a, b) => position(a) - position(b)));
+  const current = items[playlist.currentIndex];
+  const currentIndex = current ? sorted.findIndex((item) => item.id === current.id) : playlist.currentIndex;
+  return touch(playlist, {
+    items: sorted.map((item) => ({ ...item, isActive: item.order === currentIndex })),
+    currentIndex,
+  });
+};
+
+/**
+ * Update the selected item, marking it as the active one
+ */
+export const setPlaylistCurrentIndex = (playlist, currentIndex) => {
+  if (playlist.currentIndex === currentIndex) return playlist;
+  return touch(playlist, {
+    currentIndex,
+    items: playlist.items.map((item) => ({ ...item, isActive: item.order === currentIndex })),
+  });
+};
+
+/**
+ * Select the item of a library track
+ * Positions in the play queue can't be used for this: the queue skips
+ * items whose track is trashed or missing from the library.
+ */
+export const setPlaylistCurrentTrack = (playlist, audioFileId) => {
+  const item = playlist.items.find((entry) => entry.audioFileId === audioFileId);
+  return item ? setPlaylistCurrentIndex(playlist, item.order) : playlist;
+};
+
+/**
+ * Library track of the selected item, or undefined when it can't be played
+ * (smart playlists have no items)
+ */
+export const getPlaylistCurrentTrack = (playlist, library) => {
+  const item = playlist.items.find((entry) => entry.order === playlist.currentIndex);
+  return item && library.find((track) => track.id === item.audioFileId);
+};
+
+/**
+ * Update shuffle/repeat for a playlist
+ */
+export const setPlaylistModes = (playlist, { shuffle = playlist.shuffle, repeat = playlist.repeat }) => {
+  return touch(playlist, { shuffle, repeat });
+};
+
+/**
+ * Replace the rules of a smart playlist
+ */
+export const setSmartDefinition = (playlist, smart) => touch(playlist, { smart });
+
+/**
+ * Resolve a playlist to library tracks in playlist order
+ * Items whose track is no longer in the library are skipped.
+ */
+export const resolvePlaylistTracks = (playlist, library) => {
+  if (playlist.smart) {
+    return evaluateSmartPlaylist(playlist.smart, library);
+  }
+
+  const tracksById = new Map(library.map((track) => [track.id, track]));
+  return sortItems(playlist.items)
+    .map((item) => tracksById.get(item.audioFileId))
+    .filter(Boolean);
+};
+
+/**
+ * Keep the playing track in a smart playlist's queue after it stops
+ * matching, in the place it had in the previous queue. Playing a track
+ * stamps `lastPlayed`, which would otherwise drop it from "Last played
+ * never" playlists while it is still playing.
+ */
+export const keepCurrentTrack = (queue, previousQueue, currentTrack) => {
+  if (!currentTrack || queue.some((track) => track.id === currentTrack.id)) return queue;
+  const index = previousQueue.findIndex((track) => track.id === currentTrack.id);
+  if (index === -1) return queue;
+  return [...queue.slice(0, index), currentTrack, ...queue.slice(index)];
+};
+
+/**
+ * Next repeat mode when cycling the repeat button: none → all → one
+ */
+export const nextRepeatMode = (repeat) => {
+  return REPEAT_MODES[(REPEAT_MODES.indexOf(repeat) + 1) % REPEAT_MODES.length];
+};
@@ -0,0 +1,73 @@
+import { ANALYSIS_SAMPLE_RATE } from './audio-analysis';
+
+/**
+ * Leading and trailing silence
+ * Audio quieter than the threshold (in dBFS) for at least
+ * MIN_SILENCE_SECONDS at either end of a track is skipped during playback.
+ * Tracks store `silence: { threshold, start, end }` in seconds, where
+ * `start` is 0 without a silent lead-in and `end` is null without a silent
+ * tail. `trimSilence: false` turns trimming off for a single track.
+ */
+
+export const SILENCE_THRESHOLD_OPTIONS = [-40, -50, -60, -70];
+export const DEFAULT_SILENCE_THRESHOLD = -50;
+
+const WINDOW_SECONDS = 0.05;
+// Shorter gaps are part of the recording, not lead-ins or tails
+const MIN_SILENCE_SECONDS = 0.5;
+// Keep a little of the silence so the first attack and last decay aren't cut
+const PADDING_SECONDS = 0.05;
+
+const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Find the silent lead-in and tail of mono samples at
+ * ANALYSIS_SAMPLE_RATE. A track that is silent throughout is left alone.
+ */
+export const analyzeSilence = (samples, threshold = DEFAULT_SILENCE_THRESHOLD) => {
+  const windowSize = Math.round(ANALYSIS_SAMPLE_RATE * WINDOW_SECONDS);
+  const windowCount = Math.ceil(samples.length / windowSize);
+  const limit = 10 ** (threshold / 20);
+  const isAudible = (index) => {
+    let sum = 0;
+    const end = Math.min(samples.length, (index + 1) * windowSize);
+    for (let i = index * windowSize; i < end; i++) sum += samples[i] * samples[i];
+    return Math.sqrt(sum / (end - index * windowSize)) >= limit;
+  };
+
+  let first = 0;
+  while (first < windowCount && !isAudible(first)) first++;
+  if (first === windowCount) return { threshold, start: 0, end: null };
+  let last = windowCount - 1;
+  while (last > first && !isAudible(last)) last--;
+
+  const duration = samples.length / ANALYSIS_SAMPLE_RATE;
+  const start = (first * windowSize) / ANALYSIS_SAMPLE_RATE - PADDING_SECONDS;
+  const end = ((last + 1) * windowSize) / ANALYSIS_SAMPLE_RATE + PADDING_SECONDS;
+  return {
+    threshold,
+    start: start >= MIN_SILENCE_SECONDS ? roundTime(start) : 0,
+    end: duration - end >= MIN_SILENCE_SECONDS ? roundTime(end) : null,
+  };
+};
+
+/**
+ * Tracks never analyzed, or analyzed with a different threshold. Null
+ * marks a file that could not be decoded.
+ */
+export const needsSilenceAnalysis = (track, { silenceThreshold = DEFAULT_SILENCE_THRESHOLD } = {}) => {
+  return track.silence === undefined || (track.silence !== null && track.silence.threshold !== silenceThreshold);
+};
+
+export const hasSilenceToTrim = (track) => {
+  return !!track?.silence && (track.silence.start > 0 || track.silence.end !== null);
+};
+
+/**
+ * Where playback of a track should start and end (end null for the real
+ * end), or null when nothing is trimmed
+ */
+export const getSilenceTrim = (track) => {
+  if (!hasSilenceToTrim(track) || track.trimSilence === false) return null;
+  return { start: track.silence.start, end: track.silence.end };
+};
@@ -0,0 +1,140 @@
+import { getTrackTitle } from './metadata';
+import { getTrackBpm } from './tempo';
+import { getTrackCamelotCode } from './musical-key';
+
+/**
+ * Rule-based smart playlists
+ * A smart playlist is a regular playlist carrying a `smart` definition:
+ * `{ match: 'all' | 'any', conditions, sort, limit }`. Its tracks are never
+ * stored; they are re-evaluated from the library whenever it changes.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const textValue = (value) => (value === undefined || value === null ? '' : String(value).toLowerCase());
+
+const daysSince = (isoDate, now) => (now - new Date(isoDate).getTime()) / DAY_MS;
+
+export const SMART_FIELDS = {
+  title: { label: 'Title', type: 'text', get: getTrackTitle },
+  artist: { label: 'Artist', type: 'text', get: (track) => track.metadata?.artist },
+  album: { label: 'Album', type: 'text', get: (track) => track.metadata?.album },
+  genre: { label: 'Genre', type: 'text', get: (track) => track.metadata?.genre },
+  year: { label: 'Year', type: 'number', get: (track) => track.metadata?.year },
+  duration: { label: 'Duration (minutes)', type: 'number', get: (track) => (track.duration || 0) / 60 },
+  bpm: { label: 'BPM', type: 'number', get: getTrackBpm },
+  key: { label: 'Key (Camelot)', type: 'text', get: getTrackCamelotCode },
+  uploadedAt: { label: 'Date added', type: 'date', get: (track) => track.uploadedAt },
+  lastPlayed: { label: 'Last played', type: 'date', get: (track) => track.lastPlayed },
+};
+
+export const SMART_OPERATORS = {
+  text: {
+    contains: { label: 'contains', test: (value, expected) => textValue(value).includes(textValue(expected)) },
+    notContains: { label: 'does not contain', test: (value, expected) => !textValue(value).includes(textValue(expected)) },
+    is: { label: 'is', test: (value, expected) => textValue(value) === textValue(expected) },
+    isNot: { label: 'is not', test: (value, expected) => textValue(value) !== textValue(expected) },
+    isEmpty: { label: 'is empty', test: (value) => textValue(value) === '', noValue: true },
+  },
+  number: {
+    lessThan: { label: 'is less than', test: (value, expected) => typeof value === 'number' && value < Number(expected) },
+    greaterThan: { label: 'is greater than', test: (value, expected) => typeof value === 'number' && value > Number(expected) },
+    equals: { label: 'is', test: (value, expected) => typeof value === 'number' && value === Number(expected) },
+  },
+  date: {
+    inLast: {
+      label: 'in the last (days)',
+      test: (value, expected, now) => !!value && daysSince(value, now) <= Number(expected),
+    },
+    notInLast: {
+      label: 'not in the last (days)',
+      test: (value, expected, now) => !value || daysSince(value, now) > Number(expected),
+    },
+    never: { label: 'never', test: (value) => !value, noValue: true },
+  },
+};
+
+export const SMART_SORT_DIRECTIONS = { asc: 'Ascending', desc: 'Descending' };
+
+/**
+ * Operators available for a field
+ */
+export const getOperatorsForField = (field) => {
+  const definition = SMART_FIELDS[field];
+  return definition ? SMART_OPERATORS[definition.type] : {};
+};
+
+/**
+ * A new condition with the field's first operator selected
+ */
+export const createCondition = (field = 'uploadedAt') => ({
+  field,
+  operator: Object.keys(getOperatorsForField(field))[0],
+  value: '',
+});
+
+/**
+ * Default definition for a freshly created smart playlist
+ */
+export const createSmartDefinition = () => ({
+  match: 'all',
+  conditions: [{ field: 'uploadedAt', operator: 'inLast', value: 7 }],
+  sort: { field: 'uploadedAt', direction: 'desc' },
+  limit: null,
+});
+
+/**
+ * Whether a playlist's tracks come from rules rather than stored items
+ */
+export const isSmartPlaylist = (playlist) => !!playlist?.smart;
+
+const matchesCondition = (track, { field, operator, value }, now) => {
+  const definition = SMART_FIELDS[field];
+  const operatorDefinition = definition && SMART_OPERATORS[definition.type][operator];
+  if (!operatorDefinition) return false;
+  return operatorDefinition.test(definition.get(track), value, now);
+};
+
+const isEmptyValue = (value) => value === undefined || value === null || value === '';
+
+const compareValues = (a, b) => {
+  return typeof a === 'number' && typeof b === 'number'
+    ? a - b
+    : String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+};
+
+/**
+ * Sort tracks by a `{ field, direction }` sort over SMART_FIELDS
+ * Tracks with no value for the field always sort last.
+ */
+export const sortTracks = (tracks, sort) => {
+  const sortField = sort && SMART_FIELDS[sort.field];
+  if (!sortField) return tracks;
+
+  const direction = sort.direction === 'desc' ? -1 : 1;
+  return [...tracks].sort((a, b) => {
+    const valueA = sortField.get(a);
+    const valueB = sortField.get(b);
+    // Keep empty values last regardless of direction
+    if (isEmptyValue(valueA)) return isEmptyValue(valueB) ? 0 : 1;
+    if (isEmptyValue(valueB)) return -1;
+    return compareValues(valueA, valueB) * direction;
+  });
+};
+
+/**
+ * Evaluate a smart playlist definition against the library
+ */
+export const evaluateSmartPlaylist = (smart, library, now = Date.now()) => {
+  const conditions = smart.conditions || [];
+  const matches = (track) => {
+    if (conditions.length === 0) return true;
+    return smart.match === 'any'
+      ? conditions.some((condition) => matchesCondition(track, condition, now))
+      : conditions.every((condition) => matchesCondition(track, condition, now));
+  };
+
+  const tracks = sortTracks(library.filter(matches), smart.sort);
+
+  return smart.limit > 0 ? tracks.slice(0, smart.limit) : tracks;
+};
@@ -0,0 +1,104 @@
+/**
+ * Storage quota monitoring and eviction planning for stored audio
+ * Quota figures come from `navigator.storage.estimate()` and are reported in
+ * the `StorageQuota` shape from types.ts.
+ */
+
+// Usage level the eviction manager tries to get back under
+export const EVICTION_TARGET_RATIO = 0.8;
+
+// Usage level from which the UI starts warning
+export const QUOTA_WARNING_RATIO = 0.9;
+
+export const EVICTION_STRATEGIES = {
+  'least-recently-played': {
+    label: 'Least recently played',
+    // Never-played tracks go first, oldest upload breaking ties
+    compare: (a, b) =>
+      (a.lastPlayed || '').localeCompare(b.lastPlayed || '') ||
+      (a.uploadedAt || '').localeCompare(b.uploadedAt || ''),
+  },
+  'largest-first': {
+    label: 'Largest first',
+    compare: (a, b) => (b.size || 0) - (a.size || 0),
+  },
+};
+
+/**
+ * Whether the browser exposes the StorageManager API
+ */
+export const isQuotaSupported = () => {
+  return !!(navigator.storage && navigator.storage.estimate);
+};
+
+/**
+ * Read current usage for this origin, or null when unsupported
+ */
+export const getStorageQuota = async () => {
+  if (!isQuotaSupported()) return null;
+
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return {
+    used: usage,
+    total: quota,
+    available: Math.max(0, quota - usage),
+    percentage: quota ? (usage / quota) * 100 : 0,
+  };
+};
+
+/**
+ * Whether stored data is exempt from browser eviction
+ */
+export const isStoragePersisted = async () => {
+  if (!navigator.storage?.persisted) return false;
+  return navigator.storage.persisted();
+};
+
+/**
+ * Ask the browser to keep stored data under storage pressure
+ * Resolves to whether persistence was granted.
+ */
+export const requestPersistentStorage = async () => {
+  if (!navigator.storage?.persist) return false;
+  return navigator.storage.persist();
+};
+
+/**
+ * Check whether `bytes` more data would fit in the remaining quota
+ * Always fits when the quota is unknown.
+ */
+export const fitsInQuota = (bytes, quota) => {
+  if (!quota) return true;
+  return bytes <= quota.available;
+};
+
+/**
+ * Bytes that must be freed to bring usage back under the eviction target
+ */
+export const getBytesOverTarget = (quota, targetRatio = EVICTION_TARGET_RATIO) => {
+  if (!quota || !quota.total) return 0;
+  return Math.max(0, quota.used - quota.total * targetRatio);
+};
+
+/**
+ * Pick tracks whose stored audio should be evicted to free `bytesToFree`
+ * Tracks listed in `protectedIds` (e.g. the one currently playing) and tracks
+ * without stored audio (missing this session, or evicted before) are never
+ * selected.
+ */
+export const planEviction = (tracks, bytesToFree, strategy = 'least-recently-played', protectedIds = []) => {
+  const { compare } = EVICTION_STRATEGIES[strategy] || EVICTION_STRATEGIES['least-recently-played'];
+  const candidates = tracks
+    .filter((track) => !track.unavailable && !track.evictedAt && !protectedIds.includes(track.id))
+    .sort(compare);
+
+  const selected = [];
+  let freed = 0;
+  for (const track of candidates) {
+    if (freed >= bytesToFree) break;
+    selected.push(track);
+    freed += track.size || 0;
+  }
+
+  return { tracks: selected, bytes: freed };
+};
@@ -0,0 +1,383 @@
+import { z } from 'zod';
+
+/**
+ * Versioned persistence for all player data kept in localStorage
+ * Implements the `LocalStorageData` shape from types.ts under a single key.
+ * Stored data is brought up to date by running the ordered migrations below,
+ * then validated entry by entry: anything that fails validation is copied to
+ * a recovery key rather than being thrown away.
+ */
+
+export const STORAGE_KEY = 'audioPlayerData';
+export const RECOVERY_KEY = 'audioPlayerData:recovered';
+
+// Keys written by releases that predate the versioned schema
+const LEGACY_TRACKS_KEY = 'audioTracks';
+const LEGACY_FILES_KEY = 'audioFiles';
+
+// Fields that only make sense for the current page (object URLs, File
+// handles, load errors) and are never persisted
+const RUNTIME_AUDIO_FILE_FIELDS = ['url', 'file', 'unavailable'];
+
+export const idSchema = z.union([z.string().min(1), z.number()]);
+
+// Embedded tags and stream details read at upload time (the
+// `AudioMetadata` fields)
+const trackMetadataSchema = z
+  .object({
+    title: z.string().optional(),
+    artist: z.string().optional(),
+    album: z.string().optional(),
+    albumArtist: z.string().optional(),
+    year: z.number().optional(),
+    genre: z.string().optional(),
+    track: z.number().optional(),
+    trackTotal: z.number().optional(),
+    disc: z.number().optional(),
+    discTotal: z.number().optional(),
+    comment: z.string().optional(),
+    replayGain: z
+      .object({
+        trackGain: z.number().optional(),
+        trackPeak: z.number().optional(),
+        albumGain: z.number().optional(),
+        albumPeak: z.number().optional(),
+      })
+      .optional(),
+    codec: z.string().optional(),
+    duration: z.number().optional(),
+    sampleRate: z.number().optional(),
+    channels: z.number().optional(),
+    bitsPerSample: z.number().optional(),
+    bitrate: z.number().optional(),
+    vbr: z.boolean().optional(),
+  })
+  .passthrough();
+
+// Chapters read at upload time (the `Chapter` interface)
+const chapterSchema = z.object({
+  start: z.number().nonnegative(),
+  end: z.number().optional(),
+  title: z.string(),
+});
+
+// Loudness measured at import (the `Loudness` interface)
+const loudnessSchema = z.object({
+  integrated: z.number().nullable(),
+  truePeak: z.number().nonnegative(),
+});
+
+// Beat grid detected at import (the `BeatGrid` interface)
+const beatGridSchema = z.object({
+  bpm: z.number().positive(),
+  firstBeat: z.number().nonnegative(),
+});
+
+// Key detected at import (the `MusicalKey` interface)
+const musicalKeySchema = z.object({
+  tonic: z.number().int().min(0).max(11),
+  mode: z.enum(['major', 'minor']),
+});
+
+// Silent lead-in and tail found at import (the `SilenceTrim` interface)
+const silenceTrimSchema = z.object({
+  threshold: z.number(),
+  start: z.number().nonnegative(),
+  end: z.number().nonnegative().nullable(),
+});
+
+export const audioFileSchema = z
+  .object({
+    id: idSchema,
+    name: z.string().min(1),
+    duration: z.number().nonnegative().catch(0),
+    size: z.number().nonnegative().catch(0),
+    type: z.string().catch(''),
+    uploadedAt: z.string().catch(() => new Date().toISOString()),
+    lastPlayed: z.string().optional().catch(undefined),
+    contentHash: z.string().optional().catch(undefined),
+    deletedAt: z.string().optional().catch(undefined),
+    // Set when the eviction manager deleted the stored audio to free space
+    evictedAt: z.string().optional().catch(undefined),
+    metadata: trackMetadataSchema.optional().catch(undefined),
+    hasArtwork: z.boolean().optional().catch(undefined),
+    hasLyrics: z.boolean().optional().catch(undefined),
+    hasEmbeddedLyrics: z.boolean().optional().catch(undefined),
+    chapters: z.array(chapterSchema).optional().catch(undefined),
+    loudness: loudnessSchema.nullable().optional().catch(undefined),
+    tempo: beatGridSchema.nullable().optional().catch(undefined),
+    key: musicalKeySchema.nullable().optional().catch(undefined),
+    silence: silenceTrimSchema.nullable().optional().catch(undefined),
+    trimSilence: z.boolean().optional().catch(undefined),
+  })
+  .passthrough();
+
+// Unlike the `PlaylistItem` interface, stored items reference their track
+// by `audioFileId` so a track shared by several playlists is stored once
+const playlistItemSchema = z.object({
+  id: idSchema,
+  audioFileId: idSchema,
+  order: z.number().int().nonnegative(),
+  isActive: z.boolean().catch(false),
+});
+
+const smartDefinitionSchema = z.object({
+  match: z.enum(['all', 'any']).catch('all'),
+  conditions: z.array(z.object({
+    field: z.string(),
+    operator: z.string(),
+    value: z.union([z.string(), z.number()]).optional(),
+  })),
+  sort: z.object({ field: z.string(), direction: z.enum(['asc', 'desc']) }).nullable().catch(null),
+  limit: z.number().int().positive().nullable().catch(null),
+});
+
+export const playlistSchema = z
+  .object({
+    id: idSchema,
+    name: z.string().min(1),
+    items: z.array(playlistItemSchema),
+    currentIndex: z.number().int().nonnegative().catch(0),
+    shuffle: z.boolean().catch(false),
+    repeat: z.enum(['none', 'one', 'all']).catch('none'),
+    createdAt: z.string().catch(() => new Date().toISOString()),
+    updatedAt: z.string().catch(() => new Date().toISOString()),
+    smart: smartDefinitionSchema.optional(),
+  })
+  .passthrough();
+
+const storageDataSchema = z.object({
+  version: z.string(),
+  audioFiles: z.array(z.unknown()).catch([]),
+  playlists: z.array(z.unknown()).catch([]),
+  settings: z.record(z.unknown()).catch({}),
+  lastPlayed: idSchema.optional().catch(undefined),
+});
+
+const mergeById = (...lists) => {
+  const merged = new Map();
+  lists.flat().forEach((entry) => {
+    if (entry && entry.id !== undefined && !merged.has(entry.id)) {
+      merged.set(entry.id, entry);
+    }
+  });
+  return [...merged.values()];
+};
+
+/**
+ * Ordered schema migrations. Each one receives the data as written by the
+ * previous version and returns it in the shape of its own version.
+ * Never edit a released migration; append a new one instead.
+ */
+const migrations = [
+  {
+    version: 1,
+    description: 'Merge the legacy audioTracks and audioFiles keys',
+    migrate: (data) => ({
+      audioFiles: mergeById(
+        Array.isArray(data.audioTracks) ? data.audioTracks : [],
+        Array.isArray(data.audioFiles) ? data.audioFiles : []
+      ),
+      playlists: [],
+      settings: {},
+    }),
+  },
+  {
+    version: 2,
+    description: 'Give playlists items, playback modes and timestamps',
+    migrate: (data) => ({
+      ...data,
+      playlists: (data.playlists || []).map((playlist) => ({
+        items: [],
+        currentIndex: 0,
+        shuffle: false,
+        repeat: 'none',
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        ...playlist,
+      })),
+    }),
+  },
+];
+
+export const CURRENT_VERSION = String(migrations[migrations.length - 1].version);
+
+/**
+ * Append entries that could not be loaded to the recovery key, so they can
+ * be inspected or restored by hand instead of disappearing
+ */
+const recordRecovered = (entries) => {
+  if (entries.length === 0) return;
+
+  console.warn(`Recovered ${entries.length} corrupt storage entries into "${RECOVERY_KEY}"`);
+
+  try {
+    const existing = JSON.parse(localStorage.getItem(RECOVERY_KEY) || '[]');
+    const recovered = Array.isArray(existing) ? existing : [existing];
+    localStorage.setItem(RECOVERY_KEY, JSON.stringify([...recovered, ...entries]));
+  } catch (error) {
+    console.error('Failed to write recovered storage entries:', error);
+  }
+};
+
+const readJson = (key, recovered) => {
+  const raw = localStorage.getItem(key);
+  if (raw === null) return undefined;
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    recovered.push({ source: key, reason: error.message, value: raw, recoveredAt: new Date().toISOString() });
+    return undefined;
+  }
+};
+
+/**
+ * Keep the entries of a list that pass the schema, moving the rest into
+ * `recovered`
+ */
+const validateEntries = (entries, schema, source, recovered) => {
+  return entries.flatMap((entry) => {
+    const result = schema.safeParse(entry);
+    if (result.success) return [result.data];
+
+    recovered.push({
+      source,
+      reason: result.error.issues.map((issue) => `${issue.path.join('.')}: ${issue.message}`).join('; '),
+      value: entry,
+      recoveredAt: new Date().toISOString(),
+    });
+    return [];
+  });
+};
+
+const readStoredData = (recovered) => {
+  const stored = readJson(STORAGE_KEY, recovered);
+  if (stored !== undefined) {
+    const result = storageDataSchema.safeParse(stored);
+    if (result.success) return result.data;
+
+    recovered.push({ source: STORAGE_KEY, reason: 'Invalid root record', value: stored, recoveredAt: new Date().toISOString() });
+  }
+
+  const legacyTracks = readJson(LEGACY_TRACKS_KEY, recovered);
+  const legacyFiles = readJson(LEGACY_FILES_KEY, recovered);
+  return { version: '0', audioTracks: legacyTracks, audioFiles: legacyFiles };
+};
+
+const runMigrations = (data) => {
+  const fromVersion = Number(data.version) || 0;
+
+  return migrations
+    .filter((migration) => migration.version > fromVersion)
+    .reduce((migrated, migration) => ({
+      ...migration.migrate(migrated),
+      version: String(migration.version),
+    }), data);
+};
+
+const isNewerVersion = (version) => Number(version) > Number(CURRENT_VERSION);
+
+/**
+ * Data written by a newer release (open in another tab, or before a
+ * rollback) is read-only here: the older schemas would drop what they don't
+ * know, and stamping it with this version would make the newer release
+ * migrate it again
+ */
+const writeData = (data) => {
+  const storedVersion = readJson(STORAGE_KEY, [])?.version;
+  if (isNewerVersion(storedVersion)) {
+    console.warn(`Not saving player data over newer version ${storedVersion}`);
+    return false;
+  }
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(data));
+    return true;
+  } catch (error) {
+    console.error('Failed to save player data:', error);
+    return false;
+  }
+};
+
+/**
+ * Strip runtime-only fields from a track before it is persisted
+ */
+export const toStoredAudioFile = (audioFile) => {
+  const stored = { ...audioFile };
+  RUNTIME_AUDIO_FILE_FIELDS.forEach((field) => delete stored[field]);
+  return stored;
+};
+
+/**
+ * Carry the runtime-only fields of tracks already loaded in this page over to
+ * freshly read stored tracks, so reloading data does not drop object URLs
+ */
+export const withRuntimeFields = (storedFiles, currentFiles) => {
+  const current = new Map(currentFiles.map((audioFile) => [audioFile.id, audioFile]));
+  return storedFiles.map((audioFile) => {
+    const loaded = current.get(audioFile.id);
+    if (!loaded) return audioFile;
+
+    const runtime = Object.fromEntries(
+      RUNTIME_AUDIO_FILE_FIELDS.filter((field) => loaded[field] !== undefined).map((field) => [field, loaded[field]])
+    );
+    return { ...audioFile, ...runtime };
+  });
+};
+
+/**
+ * Load, migrate and validate the persisted player data
+ * Always returns a complete `LocalStorageData` object; if migration or
+ * recovery changed anything the cleaned data is written back, unless it
+ * came from a newer version.
+ */
+export const loadStorageData = () => {
+  const recovered = [];
+  const stored = readStoredData(recovered);
+
+  const readOnly = isNewerVersion(stored.version);
+  if (readOnly) {
+    console.warn(`Player data version ${stored.version} is newer than supported version ${CURRENT_VERSION}; it will not be modified`);
+  }
+
+  const migrated = runMigrations(stored);
+  const data = {
+    ...migrated,
+    audioFiles: validateEntries(migrated.audioFiles || [], audioFileSchema, 'audioFiles', recovered)
+      .map(toStoredAudioFile),
+    playlists: validateEntries(migrated.playlists || [], playlistSchema, 'playlists', recovered),
+    settings: migrated.settings || {},
+  };
+
+  if (readOnly) return data;
+
+  recordRecovered(recovered);
+
+  if (stored.version !== data.version || recovered.length > 0) {
+    if (writeData(data)) {
+      localStorage.removeItem(LEGACY_TRACKS_KEY);
+      localStorage.removeItem(LEGACY_FILES_KEY);
+    }
+  }
+
+  return data;
+};
+
+/**
+ * Persist the full player data record
+ */
+export const saveStorageData = (data) => {
+  return writeData({
+    ...data,
+    audioFiles: (data.audioFiles || []).map(toStoredAudioFile),
+    version: CURRENT_VERSION,
+  });
+};
+
+/**
+ * Read-modify-write helper for updating part of the stored data
+ */
+export const updateStorageData = (updater) => {
+  return saveStorageData(updater(loadStorageData()));
+};
@@ -0,0 +1,80 @@
+import { STORAGE_KEY } from './storage';
+
+/**
+ * Coordination between tabs running the player
+ * Stored data changes are picked up from `storage` events, which the browser
+ * fires in every other tab after a write. Short-lived messages (who is
+ * playing what) go over a BroadcastChannel, falling back to writing them to
+ * a dedicated localStorage key where BroadcastChannel is unavailable.
+ */
+
+const CHANNEL_NAME = 'audio-player';
+const MESSAGE_KEY = 'audioPlayerData:message';
+
+export const TAB_ID = `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+const parseJson = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+// Only the shared parts of the record matter; sessions and per-tab settings
+// are written often and do not need to be reloaded elsewhere
+const sharedDataOf = (raw) => {
+  const data = parseJson(raw) || {};
+  return JSON.stringify([data.audioFiles, data.playlists]);
+};
+
+/**
+ * Open a channel to the other tabs. `onMessage` receives every message sent
+ * by another tab, tagged with the sender's `tabId`.
+ */
+export const createTabChannel = (onMessage) => {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => onMessage(event.data);
+
+    return {
+      post: (message) => channel.postMessage({ ...message, tabId: TAB_ID }),
+      close: () => channel.close(),
+    };
+  }
+
+  const handleStorage = (event) => {
+    if (event.key !== MESSAGE_KEY || !event.newValue) return;
+    const message = parseJson(event.newValue);
+    if (message) onMessage(message);
+  };
+  window.addEventListener('storage', handleStorage);
+
+  return {
+    // The timestamp makes repeated messages distinct, so each fires an event
+    post: (message) => {
+      try {
+        localStorage.setItem(MESSAGE_KEY, JSON.stringify({ ...message, tabId: TAB_ID, sentAt: Date.now() }));
+      } catch (error) {
+        console.error('Failed to send message to other tabs:', error);
+      }
+    },
+    close: () => window.removeEventListener('storage', handleStorage),
+  };
+};
+
+/**
+ * Call `onChange` whenever another tab changes the stored library or
+ * playlists. Returns an unsubscribe function.
+ */
+export const subscribeToDataChanges = (onChange) => {
+  const handleStorage = (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    if (sharedDataOf(event.oldValue) !== sharedDataOf(event.newValue)) {
+      onChange();
+    }
+  };
+
+  window.addEventListener('storage', handleStorage);
+  return () => window.removeEventListener('storage', handleStorage);
+};
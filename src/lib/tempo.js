@@ -0,0 +1,232 @@
+import { ANALYSIS_SAMPLE_RATE, forEachSpectrum, nextTick } from './audio-analysis';
+
+/**
+ * Tempo detection and beat grids
+ * An onset strength envelope (log spectral flux) is autocorrelated to find
+ * the tempo, beats are tracked along it with dynamic programming (Ellis,
+ * 2007) and a constant grid is fitted through them. Tracks store the grid
+ * as `tempo: { bpm, firstBeat }`: beat n falls at firstBeat + n * 60 / bpm
+ * seconds, which keeps the library small enough for localStorage.
+ */
+
+const SAMPLE_RATE = ANALYSIS_SAMPLE_RATE;
+const FRAME_SIZE = 1024;
+const HOP_SIZE = 128;
+const FRAME_RATE = SAMPLE_RATE / HOP_SIZE;
+
+const MIN_BPM = 40;
+const MAX_BPM = 240;
+// Tempo prior: a log-normal around 120 BPM, one octave wide
+const PRIOR_BPM = 120;
+const PRIOR_OCTAVES = 1;
+// How strongly beat tracking sticks to the estimated tempo
+const TIGHTNESS = 100;
+const MIN_BEATS = 8;
+
+// How long (in seconds) the visualizer pulse takes to fade after a beat
+const BEAT_PULSE_DECAY = 0.12;
+
+const BAND_COUNT = 24;
+const MIN_BAND_FREQUENCY = 30;
+const MAX_BAND_FREQUENCY = 5000;
+
+// First FFT bin of each log-spaced band, plus the end of the last band
+const getBandEdges = () => Array.from({ length: BAND_COUNT + 1 }, (_, band) => {
+  const frequency = MIN_BAND_FREQUENCY * (MAX_BAND_FREQUENCY / MIN_BAND_FREQUENCY) ** (band / BAND_COUNT);
+  return Math.max(1, Math.round((frequency * FRAME_SIZE) / SAMPLE_RATE)) + band;
+});
+
+/**
+ * Onset strength per frame: how much the log spectrum rose since the
+ * previous frame, with the local average removed. The spectrum is first
+ * summed into log-spaced bands so a kick drum counts as much as a
+ * broadband snare.
+ */
+const getOnsetEnvelope = async (samples) => {
+  const edges = getBandEdges();
+  let previous = null;
+  const flux = [];
+  await forEachSpectrum(samples, { size: FRAME_SIZE, hop: HOP_SIZE }, (magnitudes) => {
+    const current = new Float32Array(BAND_COUNT);
+    for (let band = 0; band < BAND_COUNT; band++) {
+      let energy = 0;
+      for (let bin = edges[band]; bin < edges[band + 1]; bin++) energy += magnitudes[bin];
+      current[band] = Math.log1p((100 * energy) / (edges[band + 1] - edges[band]));
+    }
+    let sum = 0;
+    if (previous) {
+      for (let band = 0; band < BAND_COUNT; band++) {
+        if (current[band] > previous[band]) sum += current[band] - previous[band];
+      }
+    }
+    flux.push(sum);
+    previous = current;
+  });
+
+  // Subtract a moving average so only peaks above the local level remain
+  const radius = Math.round(FRAME_RATE * 0.2);
+  const envelope = new Float32Array(flux.length);
+  let windowSum = 0;
+  for (let i = 0; i < flux.length + radius; i++) {
+    if (i < flux.length) windowSum += flux[i];
+    if (i - 2 * radius - 1 >= 0) windowSum -= flux[i - 2 * radius - 1];
+    const center = i - radius;
+    if (center >= 0) {
+      const count = Math.min(flux.length - 1, i) - Math.max(0, i - 2 * radius) + 1;
+      envelope[center] = Math.max(0, flux[center] - windowSum / count);
+    }
+  }
+
+  const deviation = Math.sqrt(envelope.reduce((sum, value) => sum + value * value, 0) / envelope.length);
+  return deviation > 0 ? envelope.map((value) => value / deviation) : envelope;
+};
+
+/**
+ * Beat period in frames (fractional), from the autocorrelation of the
+ * onset envelope weighted by the tempo prior
+ */
+const estimatePeriod = (envelope) => {
+  const minLag = Math.floor((60 * FRAME_RATE) / MAX_BPM);
+  const maxLag = Math.min(Math.ceil((60 * FRAME_RATE) / MIN_BPM), envelope.length - 1);
+  const scores = new Float64Array(maxLag + 2);
+  for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let i = lag; i < envelope.length; i++) sum += envelope[i] * envelope[i - lag];
+    const bpm = (60 * FRAME_RATE) / lag;
+    const prior = Math.exp(-0.5 * (Math.log2(bpm / PRIOR_BPM) / PRIOR_OCTAVES) ** 2);
+    scores[lag] = (sum / (envelope.length - lag)) * prior;
+  }
+
+  let best = minLag;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    if (scores[lag] > scores[best]) best = lag;
+  }
+  if (scores[best] <= 0) return null;
+
+  // Parabolic interpolation between neighbouring lags
+  const [before, at, after] = [scores[best - 1], scores[best], scores[best + 1]];
+  const denominator = before - 2 * at + after;
+  return denominator < 0 ? best + (0.5 * (before - after)) / denominator : best;
+};
+
+/**
+ * Frames of the beats best explaining the envelope at a given period
+ */
+const trackBeats = async (envelope, period) => {
+  // Smooth the envelope a little so beats can sit between onset peaks
+  const width = Math.max(1, Math.round(period / 32));
+  const local = new Float32Array(envelope.length);
+  for (let i = 0; i < envelope.length; i++) {
+    let sum = 0;
+    for (let k = -3 * width; k <= 3 * width; k++) {
+      const value = envelope[i + k];
+      if (value !== undefined) sum += value * Math.exp(-0.5 * (k / width) ** 2);
+    }
+    local[i] = sum;
+  }
+
+  const scores = new Float64Array(envelope.length);
+  const previous = new Int32Array(envelope.length).fill(-1);
+  const minGap = Math.round(period / 2);
+  const maxGap = Math.round(period * 2);
+  for (let t = 0; t < envelope.length; t++) {
+    let best = -Infinity;
+    for (let gap = minGap; gap <= maxGap && t - gap >= 0; gap++) {
+      const score = scores[t - gap] - TIGHTNESS * Math.log(gap / period) ** 2;
+      if (score > best) {
+        best = score;
+        previous[t] = t - gap;
+      }
+    }
+    scores[t] = local[t] + (best > -Infinity ? best : 0);
+    if (t % 8192 === 8191) await nextTick();
+  }
+
+  // Backtrack from the best-scoring frame within the last period
+  let last = Math.max(0, envelope.length - Math.round(period));
+  for (let t = last; t < envelope.length; t++) {
+    if (scores[t] > scores[last]) last = t;
+  }
+  const beats = [];
+  for (let t = last; t >= 0; t = previous[t]) beats.unshift(t);
+
+  // Drop beats in silent intros and outros
+  const threshold = 0.5 * Math.sqrt(local.reduce((sum, value) => sum + value * value, 0) / local.length);
+  const first = beats.findIndex((frame) => local[frame] >= threshold);
+  const end = beats.findLastIndex((frame) => local[frame] >= threshold);
+  return first === -1 ? [] : beats.slice(first, end + 1);
+};
+
+/**
+ * Least-squares fit of a constant grid through beat times
+ */
+export const fitBeatGrid = (beatTimes) => {
+  const n = beatTimes.length;
+  if (n < 2) return null;
+  const meanIndex = (n - 1) / 2;
+  const meanTime = beatTimes.reduce((sum, time) => sum + time, 0) / n;
+  let covariance = 0;
+  let variance = 0;
+  beatTimes.forEach((time, index) => {
+    covariance += (index - meanIndex) * (time - meanTime);
+    variance += (index - meanIndex) ** 2;
+  });
+  const interval = covariance / variance;
+  if (!(interval > 0)) return null;
+
+  const offset = meanTime - interval * meanIndex;
+  return {
+    bpm: Math.round(6000 / interval) / 100,
+    firstBeat: Math.round((offset - Math.floor(offset / interval) * interval) * 1000) / 1000,
+  };
+};
+
+/**
+ * Detect the beat grid `{ bpm, firstBeat }` of mono samples at
+ * ANALYSIS_SAMPLE_RATE, or null when no steady beat was found
+ */
+export const analyzeTempo = async (samples) => {
+  const envelope = await getOnsetEnvelope(samples);
+  const period = estimatePeriod(envelope);
+  if (!period) return null;
+
+  const beats = await trackBeats(envelope, period);
+  if (beats.length < MIN_BEATS) return null;
+  // Log flux peaks as an onset enters a frame, about three quarters of the
+  // way through its window
+  return fitBeatGrid(beats.map((frame) => (frame * HOP_SIZE + (3 * FRAME_SIZE) / 4) / SAMPLE_RATE));
+};
+
+/**
+ * Tracks that were never analyzed; null marks a finished analysis that
+ * found no beat
+ */
+export const needsTempoAnalysis = (track) => track.tempo === undefined;
+
+export const getTrackBpm = (track) => track.tempo?.bpm;
+
+/**
+ * Grid beats between `start` and `end` seconds
+ */
+export const getBeatsBetween = (tempo, start, end) => {
+  if (!tempo?.bpm) return [];
+  const interval = 60 / tempo.bpm;
+  const beats = [];
+  for (let n = Math.max(0, Math.ceil((start - tempo.firstBeat) / interval)); ; n++) {
+    const time = tempo.firstBeat + n * interval;
+    if (time > end) break;
+    beats.push(time);
+  }
+  return beats;
+};
+
+/**
+ * Strength of the beat pulse at `time`: 1 on a beat, fading towards 0
+ * until the next one
+ */
+export const getBeatPulse = (tempo, time) => {
+  if (!tempo?.bpm || time < tempo.firstBeat) return 0;
+  const interval = 60 / tempo.bpm;
+  const sinceBeat = (time - tempo.firstBeat) % interval;
+  return Math.exp(-sinceBeat / BEAT_PULSE_DECAY);
+};
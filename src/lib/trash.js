@@ -0,0 +1,46 @@
+/**
+ * Soft delete for library tracks
+ * Deleting a track only stamps it with `deletedAt`; it stays in the library
+ * (and in its playlists) but is hidden everywhere except the Trash view.
+ * Once the retention period has passed, a sweep purges the track record
+ * together with its stored audio.
+ */
+
+export const DEFAULT_RETENTION_DAYS = 30;
+export const RETENTION_OPTIONS = [1, 7, 30, 90];
+
+// How often an open player checks for expired tracks, in milliseconds
+export const TRASH_SWEEP_INTERVAL = 60 * 60 * 1000;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const isTrashed = (track) => !!track.deletedAt;
+
+export const moveToTrash = (track, now = new Date()) => ({ ...track, deletedAt: now.toISOString() });
+
+export const restoreFromTrash = (track) => {
+  const restored = { ...track };
+  delete restored.deletedAt;
+  return restored;
+};
+
+/**
+ * When a trashed track will be purged
+ */
+export const getPurgeDate = (track, retentionDays) => {
+  return new Date(new Date(track.deletedAt).getTime() + retentionDays * DAY);
+};
+
+/**
+ * Whole days left before a trashed track is purged
+ */
+export const getDaysUntilPurge = (track, retentionDays, now = new Date()) => {
+  return Math.max(0, Math.ceil((getPurgeDate(track, retentionDays) - now) / DAY));
+};
+
+/**
+ * Trashed tracks whose retention period has run out
+ */
+export const getExpiredTracks = (library, retentionDays, now = new Date()) => {
+  return library.filter((track) => isTrashed(track) && getPurgeDate(track, retentionDays) <= now);
+};
@@ -9,6 +9,17 @@ export interface AudioFile {
   type: string;
   uploadedAt: Date;
   lastPlayed?: Date;
+  evictedAt?: Date;
+  metadata?: Partial<AudioMetadata>;
+  hasArtwork?: boolean;
+  hasLyrics?: boolean;
+  hasEmbeddedLyrics?: boolean;
+  chapters?: Chapter[];
+  loudness?: Loudness | null;
+  tempo?: BeatGrid | null;
+  key?: MusicalKey | null;
+  silence?: SilenceTrim | null;
+  trimSilence?: boolean;
 }
 
 export interface PlaybackState {
@@ -102,12 +113,65 @@ export interface AudioMetadata {
   title?: string;
   artist?: string;
   album?: string;
+  albumArtist?: string;
   year?: number;
   genre?: string;
+  track?: number;
+  trackTotal?: number;
+  disc?: number;
+  discTotal?: number;
+  comment?: string;
+  replayGain?: ReplayGain;
+  codec?: string;
   duration: number;
   bitrate?: number;
   sampleRate?: number;
   channels?: number;
+  bitsPerSample?: number;
+  vbr?: boolean;
+}
+
+// Gains in dB, peaks as linear amplitude (1.0 is full scale)
+export interface ReplayGain {
+  trackGain?: number;
+  trackPeak?: number;
+  albumGain?: number;
+  albumPeak?: number;
+}
+
+// Times in seconds; a chapter ends where the next one starts
+export interface Chapter {
+  start: number;
+  end?: number;
+  title: string;
+}
+
+// Measured at import; integrated is null for silent files, and the whole
+// field is null when the file could not be decoded
+export interface Loudness {
+  integrated: number | null;
+  truePeak: number;
+}
+
+// Beat n falls at firstBeat + n * 60 / bpm seconds; null when no steady
+// beat was found
+export interface BeatGrid {
+  bpm: number;
+  firstBeat: number;
+}
+
+// Tonic as a pitch class (C = 0); null when no key was found
+export interface MusicalKey {
+  tonic: number;
+  mode: 'major' | 'minor';
+}
+
+// Seconds; start is 0 without a silent lead-in and end is null without a
+// silent tail. Re-measured when the silence threshold (dBFS) changes.
+export interface SilenceTrim {
+  threshold: number;
+  start: number;
+  end: number | null;
 }
 
 export interface VisualizationSettings {
@@ -165,7 +229,7 @@ export interface LocalStorageData {
   version: string;
 }
 
-export type AudioFileFormat = 'mp3' | 'wav' | 'ogg' | 'flac' | 'm4a' | 'aac';
+export type AudioFileFormat = 'mp3' | 'wav' | 'ogg' | 'opus' | 'flac' | 'm4a' | 'aac';
 
 export type VisualizationType = 'bars' | 'wave' | 'circle' | 'spectrum' | 'waveform';
 
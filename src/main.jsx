@@ -124,16 +124,6 @@ const AppWithProviders = () => {
       console.error('Unhandled promise rejection:', event.reason)
     })
 
-    // Clean up localStorage on app start (remove old/corrupted data)
-    try {
-      const audioFiles = JSON.parse(localStorage.getItem('audioFiles') || '[]')
-      if (!Array.isArray(audioFiles)) {
-        localStorage.removeItem('audioFiles')
-      }
-    } catch (error) {
-      localStorage.removeItem('audioFiles')
-    }
-
     // Set up theme detection
     const prefersDark = window.matchMedia('(prefers-color-scheme: dark)')
     const updateTheme = (e) => {